@@ -12,6 +12,9 @@ export default function Header() {
         
         <div className="header-right">
           <div className="nav-links">
+            <Link href="/graph" className="nav-link">
+              Graph
+            </Link>
             <Link href="/test/openai-debug" className="nav-link">
               Test Page
             </Link>
@@ -1,7 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
 import Link from 'next/link';
 import { slugify } from '../lib/utils';
-import logger from '../lib/logger';
+import { isSourceUnverified } from '../lib/source-verifier';
+import { isQuoteUnverified } from '../lib/quote-verifier';
+import { spotifyImageUrl } from '../lib/spotify-resolver';
+import { confidenceLevel } from '../lib/confidence';
 
 export default function RecommendationCard({ 
   recommendation, 
@@ -9,66 +12,52 @@ export default function RecommendationCard({
   sourceUrl = null // Default source URL if not provided
 }) {
   const [isHovered, setIsHovered] = useState(false);
-  const [imageUrl, setImageUrl] = useState(null);
-  const [imageLoading, setImageLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
   
   // Extract data from recommendation
-  const { name, reason, quote, domain } = recommendation;
+  const { name, reason, quote, domain, originalQuote, quoteLanguage } = recommendation;
   
-  // Fetch image on component mount
-  useEffect(() => {
-    if (!name) return;
-    
-    const normalizedType = type.toLowerCase();
-    const searchType = normalizedType === 'song' ? 'track' : normalizedType;
-    
-    // Skip loading if we already have an error
-    if (imageError) return;
-    
-    // Reset states for new fetch
-    setImageLoading(true);
-    setImageError(false);
-    
-    fetch(`/api/spotify-image?name=${encodeURIComponent(name)}&type=${searchType}`)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error('Image not found');
-        }
-        return response.json();
-      })
-      .then(data => {
-        if (data.imageUrl) {
-          setImageUrl(data.imageUrl);
-        } else {
-          setImageError(true);
-        }
-      })
-      .catch(error => {
-        logger.error(`Error fetching image for ${name}:`, error);
-        setImageError(true);
-      })
-      .finally(() => {
-        setImageLoading(false);
-      });
-  }, [name, type, imageError]);
+  // Quotes said in another language are shown in English, with the original a click away
+  const isTranslated = !!(quote && originalQuote);
+  const shownQuote = isTranslated && showOriginal ? originalQuote : quote;
+  const languageLabel = quoteLanguage ? quoteLanguage.toUpperCase() : 'original language';
   
-  // Determine title based on type
-  let title = name;
+  // Spotify entity resolved when the recommendation was cached (null when
+  // nothing matched; missing on records cached before resolution existed,
+  // until their artist's next refresh backfills it)
+  const spotify = recommendation.spotify || null;
+  const imageUrl = spotifyImageUrl(spotify);
+  
+  // Determine title based on type, preferring Spotify's canonical name
+  let title = spotify?.name || name;
   let subtitle = null;
+  const artistCredit = spotify?.artists?.map(artist => artist.name).join(', ') || null;
   
   if (type === "SONG") {
     // For songs, title is the song name and subtitle is artist name
-    subtitle = recommendation.artist || recommendation.subtitle || null;
+    subtitle = artistCredit || recommendation.artist || recommendation.subtitle || null;
   } else if (type === "ALBUM") {
     // For albums, title is album name and subtitle is artist name
-    subtitle = recommendation.artist || recommendation.subtitle || null;
+    subtitle = artistCredit || recommendation.artist || recommendation.subtitle || null;
   }
   
   // Format source information
   let sourceDisplay = '';
   let sourceName = '';
   let actualSourceUrl = recommendation.sourceUrl || sourceUrl;
+  
+  // Sources that failed verification at cache time are shown but not linked
+  const sourceUnverified = isSourceUnverified(recommendation);
+  if (sourceUnverified) {
+    actualSourceUrl = null;
+  }
+  
+  // A quote that couldn't be found on its (working) source page
+  const quoteUnverified = !sourceUnverified && isQuoteUnverified(recommendation);
+  
+  // How well-founded the recommendation is (see lib/confidence)
+  const confidence = confidenceLevel(recommendation.confidence);
 
   if (recommendation.source) {
     // We have a specific source type (Interview, Podcast, YouTube, Social media)
@@ -130,30 +119,54 @@ export default function RecommendationCard({
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
     >
-      {!imageError && !imageLoading && imageUrl && (
+      {!imageError && imageUrl && (
         <div className="recommendation-image-container">
           <img 
             src={imageUrl} 
             alt={title}
             className="recommendation-image"
+            loading="lazy"
             onError={() => setImageError(true)}
-            onLoad={() => setImageLoading(false)}
           />
           <div className="recommendation-type-badge">{type}</div>
         </div>
       )}
       
       <div className="recommendation-content">
-        {(imageError || imageLoading || !imageUrl) && (
+        {(imageError || !imageUrl) && (
           <div className="recommendation-type-badge">{type}</div>
         )}
         
-        <Link href={`/${slugify(name)}`} className="recommendation-title-link">
+        <Link 
+          href={`/recommended/${recommendation.slug || slugify(name)}?type=${type.toLowerCase()}`} 
+          className="recommendation-title-link"
+        >
           <h3 className="recommendation-title">{title}</h3>
           {subtitle && <div className="recommendation-subtitle">{subtitle}</div>}
         </Link>
         
-        <p className="recommendation-description">{quote || reason}</p>
+        {spotify?.url && (
+          <a href={spotify.url} target="_blank" rel="noopener noreferrer" className="recommendation-spotify-link">
+            Open in Spotify
+          </a>
+        )}
+        
+        <p
+          className={`recommendation-description ${quote && (quoteUnverified || sourceUnverified) ? 'quote-unverified' : ''}`}
+          lang={isTranslated && showOriginal ? quoteLanguage || undefined : undefined}
+        >
+          {shownQuote || reason}
+        </p>
+        
+        {isTranslated && (
+          <button
+            type="button"
+            className="quote-language-toggle"
+            onClick={() => setShowOriginal(!showOriginal)}
+          >
+            {showOriginal ? 'Show English translation' : `Translated from ${languageLabel} · Show original`}
+          </button>
+        )}
         
         <div className="recommendation-source">
           {sourceName && actualSourceUrl ? (
@@ -163,9 +176,29 @@ export default function RecommendationCard({
                 {sourceName}
               </a>
             </>
+          ) : sourceName ? (
+            <span>{sourceDisplay}{sourceName}</span>
           ) : (
             <span>{sourceDisplay}</span>
           )}
+          {sourceUnverified && (
+            <span className="source-unverified" title={recommendation.sourceVerification.reason || undefined}>
+              Unverified source
+            </span>
+          )}
+          {quoteUnverified && (
+            <span className="source-unverified" title={recommendation.quoteVerification.reason || undefined}>
+              Unverified quote
+            </span>
+          )}
+          {confidence && (
+            <span
+              className={`confidence-badge confidence-${confidence}`}
+              title={`Confidence score: ${Math.round(recommendation.confidence * 100)}%`}
+            >
+              {confidence.charAt(0).toUpperCase() + confidence.slice(1)} confidence
+            </span>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,217 @@
+import { useState, useEffect, useRef } from 'react';
+
+const WIDTH = 900;
+const HEIGHT = 600;
+
+// Force layout tuning
+const REPULSION = 2400;
+const SPRING_LENGTH = 90;
+const SPRING_STRENGTH = 0.04;
+const CENTER_PULL = 0.005;
+const DAMPING = 0.85;
+const MIN_ALPHA = 0.02;
+
+const NODE_RADIUS = {
+  artist: 10,
+  album: 8,
+  song: 6
+};
+
+/**
+ * Advance the force simulation by one step
+ * @param {Map} positions - Node id -> { x, y, vx, vy }
+ * @param {Array} edges - Visible edges
+ * @param {number} alpha - Cooling factor (1 = hot, 0 = frozen)
+ */
+function stepSimulation(positions, edges, alpha) {
+  const ids = [...positions.keys()];
+
+  // Pairwise repulsion keeps nodes apart
+  for (let i = 0; i < ids.length; i++) {
+    const a = positions.get(ids[i]);
+
+    for (let j = i + 1; j < ids.length; j++) {
+      const b = positions.get(ids[j]);
+      const dx = a.x - b.x || 0.01;
+      const dy = a.y - b.y || 0.01;
+      const distSq = Math.max(dx * dx + dy * dy, 25);
+      const force = (REPULSION / distSq) * alpha;
+      const dist = Math.sqrt(distSq);
+
+      a.vx += (dx / dist) * force;
+      a.vy += (dy / dist) * force;
+      b.vx -= (dx / dist) * force;
+      b.vy -= (dy / dist) * force;
+    }
+  }
+
+  // Springs pull recommended entities towards their recommender
+  edges.forEach(edge => {
+    const a = positions.get(edge.source);
+    const b = positions.get(edge.target);
+    if (!a || !b) return;
+
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (dist - SPRING_LENGTH) * SPRING_STRENGTH * alpha;
+
+    a.vx += (dx / dist) * force;
+    a.vy += (dy / dist) * force;
+    b.vx -= (dx / dist) * force;
+    b.vy -= (dy / dist) * force;
+  });
+
+  // Gentle pull to the center, then integrate
+  positions.forEach(p => {
+    p.vx += (WIDTH / 2 - p.x) * CENTER_PULL * alpha;
+    p.vy += (HEIGHT / 2 - p.y) * CENTER_PULL * alpha;
+    p.vx *= DAMPING;
+    p.vy *= DAMPING;
+    p.x = Math.min(WIDTH - 20, Math.max(20, p.x + p.vx));
+    p.y = Math.min(HEIGHT - 20, Math.max(20, p.y + p.vy));
+  });
+}
+
+/**
+ * Interactive force-directed view of the recommendation graph
+ *
+ * @param {Object} props
+ * @param {Array} props.nodes - Graph nodes ({ id, name, type, cached })
+ * @param {Array} props.edges - Graph edges ({ source, target, quote, ... })
+ * @param {string} props.rootId - Node to pin in the middle
+ * @param {Set} props.expandedIds - Nodes whose recommendations are already loaded
+ * @param {Function} props.onNodeClick - Called with the clicked node
+ */
+export default function RecommendationGraph({ nodes, edges, rootId, expandedIds, onNodeClick }) {
+  const positionsRef = useRef(new Map());
+  const alphaRef = useRef(1);
+  const [, setFrame] = useState(0);
+  const [hoveredEdge, setHoveredEdge] = useState(null);
+
+  // Seed positions for new nodes near whoever recommended them, then reheat
+  useEffect(() => {
+    const positions = positionsRef.current;
+    const visibleIds = new Set(nodes.map(node => node.id));
+
+    nodes.forEach(node => {
+      if (positions.has(node.id)) return;
+
+      const parentEdge = edges.find(edge => edge.target === node.id && positions.has(edge.source));
+      const parent = parentEdge ? positions.get(parentEdge.source) : null;
+
+      positions.set(node.id, {
+        x: (parent ? parent.x : WIDTH / 2) + (Math.random() - 0.5) * 60,
+        y: (parent ? parent.y : HEIGHT / 2) + (Math.random() - 0.5) * 60,
+        vx: 0,
+        vy: 0
+      });
+    });
+
+    // Forget nodes that were filtered out
+    [...positions.keys()].forEach(id => {
+      if (!visibleIds.has(id)) positions.delete(id);
+    });
+
+    alphaRef.current = 1;
+  }, [nodes, edges]);
+
+  // Run the simulation until it cools down
+  useEffect(() => {
+    let frameId;
+
+    const tick = () => {
+      // Stop once cooled; new nodes reheat the layout and restart this effect
+      if (alphaRef.current <= MIN_ALPHA) return;
+
+      stepSimulation(positionsRef.current, edges, alphaRef.current);
+
+      const root = positionsRef.current.get(rootId);
+      if (root) {
+        root.x = WIDTH / 2;
+        root.y = HEIGHT / 2;
+      }
+
+      alphaRef.current *= 0.98;
+      setFrame(frame => frame + 1);
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [nodes, edges, rootId]);
+
+  const positions = positionsRef.current;
+
+  return (
+    <div className="graph-container">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="graph-svg" role="img" aria-label="Recommendation graph">
+        <defs>
+          <marker id="graph-arrow" viewBox="0 0 10 10" refX="18" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 10 5 L 0 10 z" className="graph-arrow" />
+          </marker>
+        </defs>
+
+        {edges.map((edge, index) => {
+          const a = positions.get(edge.source);
+          const b = positions.get(edge.target);
+          if (!a || !b) return null;
+
+          return (
+            <g
+              key={`${edge.source}-${edge.target}-${index}`}
+              onMouseEnter={() => setHoveredEdge(edge)}
+              onMouseLeave={() => setHoveredEdge(null)}
+            >
+              <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} className="graph-edge" markerEnd="url(#graph-arrow)" />
+              {/* Wider invisible line so thin edges are easy to hover */}
+              <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} className="graph-edge-hitbox" />
+            </g>
+          );
+        })}
+
+        {nodes.map(node => {
+          const p = positions.get(node.id);
+          if (!p) return null;
+
+          const classes = [
+            'graph-node',
+            `graph-node-${node.type}`,
+            node.cached ? 'graph-node-expandable' : '',
+            expandedIds.has(node.id) ? 'graph-node-expanded' : '',
+            node.id === rootId ? 'graph-node-root' : ''
+          ].filter(Boolean).join(' ');
+
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${p.x}, ${p.y})`}
+              className={classes}
+              onClick={() => onNodeClick(node)}
+            >
+              <circle r={NODE_RADIUS[node.type] || NODE_RADIUS.artist} />
+              <text y={-14} textAnchor="middle">{node.name}</text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {hoveredEdge && (
+        <div className="graph-edge-tooltip">
+          <strong>
+            {nodes.find(n => n.id === hoveredEdge.source)?.name}
+            {' → '}
+            {nodes.find(n => n.id === hoveredEdge.target)?.name}
+          </strong>
+          {hoveredEdge.quote && <p>"{hoveredEdge.quote}"</p>}
+          {(hoveredEdge.domain || hoveredEdge.sourceType) && (
+            <span className="graph-edge-source">
+              {hoveredEdge.sourceType}{hoveredEdge.domain ? ` · ${hoveredEdge.domain}` : ''}
+              {hoveredEdge.year ? ` · ${hoveredEdge.year}` : ''}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
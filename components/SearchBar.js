@@ -75,7 +75,7 @@ export default function SearchBar() {
 
   // Handle suggestion click
   const handleSuggestionClick = (artist) => {
-    router.push(`/${slugify(artist.name)}`);
+    router.push(`/${artist.slug || slugify(artist.name)}`);
     setQuery('');
     setShowSuggestions(false);
   };
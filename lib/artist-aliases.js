@@ -0,0 +1,99 @@
+/**
+ * Artist aliases
+ * Alternate spellings, transliterations and former names, keyed by Spotify
+ * artist ID so two artists sharing a name never collide. Lookups compare
+ * normalized alias keys exactly - "Wilson" never matches "Steven Wilson".
+ * Shared by the app, the storage backends and the cache script (CommonJS).
+ *
+ * Extra aliases live in data/artist-aliases.json:
+ *   { "<spotify id>": { "alternate": [], "transliteration": [], "former": [] } }
+ */
+
+const { canonicalSlug } = require('./slugs');
+const aliasSeeds = require('../data/artist-aliases.json');
+
+// "name" is the artist's current Spotify name and wins ties over the others
+const ALIAS_KINDS = ['name', 'alternate', 'transliteration', 'former'];
+
+/**
+ * Normalize a name for alias comparison (case, accents and punctuation folded)
+ * @param {string} name - Artist name or alias
+ * @returns {string} - Alias key
+ */
+function aliasKey(name) {
+  return canonicalSlug(name);
+}
+
+/**
+ * Build alias rows for an artist
+ * @param {string} artistSpotifyId - Spotify artist ID
+ * @param {Array<Object>} aliases - { alias, kind } pairs
+ * @returns {Array<Object>} - { artist_spotify_id, alias, alias_key, kind }, one per key
+ */
+function toAliasRows(artistSpotifyId, aliases) {
+  const rows = new Map();
+
+  aliases.forEach(({ alias, kind }) => {
+    const key = aliasKey(alias);
+    const previous = rows.get(key);
+
+    // Keep the strongest kind when two aliases normalize to the same key
+    if (!key || (previous && ALIAS_KINDS.indexOf(previous.kind) <= ALIAS_KINDS.indexOf(kind))) {
+      return;
+    }
+
+    rows.set(key, { artist_spotify_id: artistSpotifyId, alias, alias_key: key, kind });
+  });
+
+  return [...rows.values()];
+}
+
+/**
+ * Aliases for a cached artist record being saved: its current name, any
+ * previous name stored under the same Spotify ID, and configured extras
+ * @param {Object} record - Record being saved
+ * @param {Object} existing - Previously stored record, if any
+ * @returns {Array<Object>} - Alias rows
+ */
+function artistAliasRows(record, existing) {
+  const seeds = aliasSeeds[record.artist_spotify_id] || {};
+  const aliases = [{ alias: record.artist_name, kind: 'name' }];
+
+  if (existing?.artist_name && aliasKey(existing.artist_name) !== aliasKey(record.artist_name)) {
+    aliases.push({ alias: existing.artist_name, kind: 'former' });
+  }
+
+  ALIAS_KINDS.filter(kind => kind !== 'name').forEach(kind => {
+    (seeds[kind] || []).forEach(alias => aliases.push({ alias, kind }));
+  });
+
+  return toAliasRows(record.artist_spotify_id, aliases);
+}
+
+/**
+ * Pick the artist an alias lookup refers to
+ * A single match wins outright; between several artists, one whose current
+ * name matches beats those matched by alternate or former names. Anything
+ * still tied is ambiguous and must be disambiguated by Spotify ID.
+ * @param {Array<Object>} rows - Alias rows matching one key
+ * @returns {Object} - { artistSpotifyId, candidates } (artistSpotifyId null when ambiguous)
+ */
+function resolveAliasRows(rows) {
+  const candidates = [...new Set(rows.map(row => row.artist_spotify_id))];
+
+  if (candidates.length <= 1) {
+    return { artistSpotifyId: candidates[0] || null, candidates };
+  }
+
+  const byName = [...new Set(rows.filter(row => row.kind === 'name').map(row => row.artist_spotify_id))];
+
+  return { artistSpotifyId: byName.length === 1 ? byName[0] : null, candidates };
+}
+
+module.exports = {
+  ALIAS_KINDS,
+  aliasKey,
+  toAliasRows,
+  artistAliasRows,
+  resolveAliasRows
+};
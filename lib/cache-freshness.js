@@ -0,0 +1,45 @@
+/**
+ * Staleness helpers for cached artist recommendations
+ * Kept free of API clients so status checks stay cheap to import
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default time-to-live for cached recommendations, overridable with
+// RECOMMENDATIONS_CACHE_TTL_DAYS. The prompt asks for the past 12 months,
+// so anything much older than a month starts drifting out of that window.
+export const DEFAULT_CACHE_TTL_DAYS = 30;
+
+/**
+ * Get the configured cache TTL
+ * @returns {number} - TTL in milliseconds
+ */
+export function getCacheTtlMs() {
+  const days = Number(process.env.RECOMMENDATIONS_CACHE_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_CACHE_TTL_DAYS) * DAY_MS;
+}
+
+/**
+ * Work out whether a cached record is due for regeneration
+ * @param {Object} record - Cached artist record
+ * @param {number} ttlMs - Time-to-live in milliseconds
+ * @param {number} now - Current timestamp (for testing)
+ * @returns {Object} - { lastUpdated, stale, nextRefreshAt }
+ */
+export function getCacheFreshness(record, ttlMs = getCacheTtlMs(), now = Date.now()) {
+  const lastUpdated = record?.updated_at || record?.created_at || null;
+  const lastUpdatedMs = lastUpdated ? Date.parse(lastUpdated) : NaN;
+  
+  // Records without a usable timestamp are treated as stale
+  if (Number.isNaN(lastUpdatedMs)) {
+    return { lastUpdated, stale: true, nextRefreshAt: null };
+  }
+  
+  const nextRefreshMs = lastUpdatedMs + ttlMs;
+  
+  return {
+    lastUpdated,
+    stale: now >= nextRefreshMs,
+    nextRefreshAt: new Date(nextRefreshMs).toISOString()
+  };
+}
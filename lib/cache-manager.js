@@ -1,78 +1,411 @@
-import { getCachedArtistRecommendations, cacheArtistRecommendations, markArtistAsFeatured } from './supabase';
+import { getCachedArtistRecommendations, cacheArtistRecommendations, markArtistAsFeatured, recordRecommendationSnapshot } from './supabase';
 import logger from './logger';
-import { getArtistDetails } from './spotify';
-import { getArtistRecommendations } from './openai';
+import { getArtistDetails, getArtistsDetails, getServerAccessToken, spotifyServer } from './spotify';
+import { generateArtistRecommendations, getRecommendationProvider } from './recommendation-provider';
+import { createGenerationPipeline } from './generation-pipeline';
+import { createSourceVerifier, isSourceVerificationEnabled } from './source-verifier';
+import { createQuoteVerifier } from './quote-verifier';
+import { createSpotifyResolver } from './spotify-resolver';
+import { isOfflineSpotify, createOfflineResolver } from './offline-spotify';
+import { getCacheFreshness, getCacheTtlMs } from './cache-freshness';
+import { createJobQueue } from './job-queue';
+import { createRateLimiter, rateLimitedError } from './rate-limiter';
+import { canonicalSlug } from './slugs';
+
+// Check source URLs and quotes with the global fetch; created on first use
+let sourceVerifier = null;
+let quoteVerifier = null;
+
+/**
+ * Check every recommendation's source URL, then look for its quote on the page
+ * @param {Array} recommendations - Freshly generated recommendations
+ * @param {Object} research - Research constraints whose domain lists the sources must meet
+ * @returns {Promise<Array>} - Recommendations with sourceVerification and quoteVerification, ready to cache
+ */
+async function verifySources(recommendations, research) {
+  if (!isSourceVerificationEnabled()) {
+    return recommendations;
+  }
+  
+  if (!sourceVerifier) {
+    sourceVerifier = createSourceVerifier({ logger });
+    quoteVerifier = createQuoteVerifier({ logger });
+  }
+  
+  return quoteVerifier.verifyRecommendations(await sourceVerifier.verifyRecommendations(recommendations, research));
+}
+
+// Matches recommendations to Spotify entities; created on first use
+let spotifyResolver = null;
+
+function getSpotifyResolver() {
+  if (!spotifyResolver) {
+    spotifyResolver = isOfflineSpotify()
+      ? createOfflineResolver()
+      : createSpotifyResolver({ getToken: getServerAccessToken, fetcher: spotifyServer.fetch, logger });
+  }
+  return spotifyResolver;
+}
+
+// The generation pipeline (see lib/generation-pipeline) over the app's
+// storage helpers, which fall back to memory; created on first use
+let generationPipeline = null;
+
+function getGenerationPipeline() {
+  if (!generationPipeline) {
+    generationPipeline = createGenerationPipeline({
+      llm: getRecommendationProvider(),
+      generate: ({ artistName, artistId, useWebSearch, research }) => (
+        generateArtistRecommendations(artistName, artistId, useWebSearch, { research })
+      ),
+      spotify: { getArtist: getArtistDetails },
+      resolver: getSpotifyResolver(),
+      verify: verifySources,
+      loadCached: async (artistName, artistId) => {
+        const { data } = await getCachedArtistRecommendations(artistName, { artistId });
+        return data;
+      },
+      saveSnapshot: async snapshot => {
+        const { error } = await recordRecommendationSnapshot(snapshot);
+        
+        if (error) {
+          logger.warn(`Non-critical error saving snapshot for ${snapshot.artist_name}:`, error);
+        }
+      },
+      saveArtist: async record => {
+        const { data, error } = await cacheArtistRecommendations(
+          record.artist_name,
+          record.artist_spotify_id,
+          record.artist_data,
+          record.recommendations,
+          record.is_featured,
+          record.research_options
+        );
+        
+        if (error) {
+          logger.warn(`Non-critical error caching ${record.artist_name}:`, error);
+          // Continue anyway since we have in-memory fallback
+        }
+        
+        return data || record;
+      },
+      logger
+    });
+  }
+  return generationPipeline;
+}
+
+// Regenerations in flight, keyed by Spotify ID like generation jobs, so a
+// background refresh and a job for the same artist share one LLM call
+const refreshesInFlight = new Map();
+
+// When each artist's last background refresh failed, by Spotify ID; stale
+// reads wait REFRESH_FAILURE_BACKOFF_MS before trying that artist again
+const failedRefreshes = new Map();
+export const REFRESH_FAILURE_BACKOFF_MS = 15 * 60 * 1000;
+
+/**
+ * Regenerate and cache recommendations for an artist
+ * Concurrent calls for the same artist (Spotify ID) share a single regeneration
+ * @param {string} artistName - Name of the artist
+ * @param {string} artistId - Spotify ID of the artist
+ * @param {boolean} isFeatured - Whether the cached record is featured
+ * @param {Object} research - Research constraints (see lib/llm/research); pass a cached record's research_options to keep its settings
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage, label, step, steps } as each step starts (not when joining a regeneration already running)
+ * @returns {Promise<Object>} - Artist data and recommendations
+ */
+export function refreshArtistRecommendations(artistName, artistId, isFeatured = false, research = null, { onProgress = () => {} } = {}) {
+  if (refreshesInFlight.has(artistId)) {
+    return refreshesInFlight.get(artistId);
+  }
+  
+  const refresh = (async () => {
+    const { record } = await getGenerationPipeline().run({ artistName, artistId, isFeatured, research }, { onProgress });
+    return record;
+  })();
+  
+  refreshesInFlight.set(artistId, refresh);
+  refresh.then(
+    () => refreshesInFlight.delete(artistId),
+    () => refreshesInFlight.delete(artistId)
+  );
+  
+  return refresh;
+}
+
+/**
+ * Whether a regeneration is currently running for an artist
+ * @param {string} artistId - Spotify ID of the artist
+ * @returns {boolean}
+ */
+export function isRefreshInFlight(artistId) {
+  return !!artistId && refreshesInFlight.has(artistId);
+}
+
+/**
+ * Kick off a background regeneration if a cached record has gone stale
+ * The stale record keeps being served until the regeneration lands.
+ * After a failed regeneration the artist is left alone for
+ * REFRESH_FAILURE_BACKOFF_MS, so every read doesn't retry it straight away.
+ * Note: on serverless hosts the background work may be cut short once the
+ * response is sent; the next stale read simply tries again.
+ * @param {Object} cachedData - Cached artist record
+ * @param {number} ttlMs - Time-to-live in milliseconds
+ * @returns {Object} - Freshness info ({ lastUpdated, stale, nextRefreshAt })
+ */
+export function revalidateIfStale(cachedData, ttlMs = getCacheTtlMs()) {
+  const freshness = getCacheFreshness(cachedData, ttlMs);
+  
+  const artistId = cachedData.artist_spotify_id;
+  const failedAt = failedRefreshes.get(artistId);
+  
+  if (failedAt && Date.now() - failedAt < REFRESH_FAILURE_BACKOFF_MS) {
+    return freshness;
+  }
+  
+  if (freshness.stale && artistId) {
+    logger.log('Stale cache for artist:', cachedData.artist_name, 'regenerating in background...');
+    
+    refreshArtistRecommendations(
+      cachedData.artist_name,
+      artistId,
+      cachedData.is_featured,
+      cachedData.research_options
+    ).then(() => {
+      failedRefreshes.delete(artistId);
+    }, error => {
+      failedRefreshes.set(artistId, Date.now());
+      logger.error(`Background refresh failed for ${cachedData.artist_name}, retrying in ` +
+        `${REFRESH_FAILURE_BACKOFF_MS / 60000} minutes at the earliest:`, error);
+    });
+  }
+  
+  return freshness;
+}
 
 /**
  * Get cached recommendations for an artist, or generate new ones
+ * Stale cache entries are served immediately and regenerated in the background.
  * @param {string} artistName - Name of the artist
  * @param {string} artistId - Spotify ID of the artist
  * @param {boolean} forceRefresh - Whether to force a refresh of the cache
+ * @param {Object} options
+ * @param {number} options.ttlMs - Cache time-to-live (defaults to RECOMMENDATIONS_CACHE_TTL_DAYS)
+ * @param {boolean} options.isFeatured - Whether a newly generated record is featured
+ * @param {Object} options.research - Research constraints for a newly generated record
+ * @param {Function} options.onProgress - Progress callback for a generation (see refreshArtistRecommendations)
  * @returns {Promise<Object>} - Artist data and recommendations
  */
-export async function getArtistRecommendationsWithCache(artistName, artistId, forceRefresh = false) {
+export async function getArtistRecommendationsWithCache(artistName, artistId, forceRefresh = false, {
+  ttlMs = getCacheTtlMs(),
+  isFeatured = false,
+  research = null,
+  onProgress
+} = {}) {
   try {
     // Check database cache first (if not forcing refresh)
     if (!forceRefresh) {
-      const { data: cachedData, error: cacheError } = await getCachedArtistRecommendations(artistName);
+      const { data: cachedData, error: cacheError } = await getCachedArtistRecommendations(artistName, { artistId });
       
       if (!cacheError && cachedData) {
         logger.log('Cache hit for artist:', artistName);
+        revalidateIfStale(cachedData, ttlMs);
         return cachedData;
       }
     }
     
     logger.log('Cache miss or refresh requested for artist:', artistName, 'Fetching fresh data...');
     
-    // Get detailed artist info from Spotify
-    const artistData = await getArtistDetails(artistId);
-    
-    // Get recommendations from OpenAI with web search enabled
-    const recommendations = await getArtistRecommendations(artistName, artistId, true);
-    
-    // Cache the results with in-memory fallback
-    const { data, error } = await cacheArtistRecommendations(
-      artistName,
-      artistId,
-      artistData,
-      recommendations,
-      false // Not featured
-    );
-    
-    if (error) {
-      logger.warn('Non-critical error caching artist recommendations:', error);
-      // Continue anyway since we have in-memory fallback
-    }
-    
-    const resultData = data || {
-      artist_name: artistName,
-      artist_spotify_id: artistId,
-      artist_data: artistData,
-      recommendations: recommendations,
-      is_featured: false
-    };
-    
-    return resultData;
+    return await refreshArtistRecommendations(artistName, artistId, isFeatured, research, { onProgress });
   } catch (error) {
     logger.error('Error in getArtistRecommendationsWithCache:', error);
     throw error;
   }
 }
 
+// On-demand generation limits, overridable with GENERATION_CONCURRENCY and
+// GENERATION_QUEUE_LIMIT. Each job is a web-search LLM call, so keep them low.
+export const DEFAULT_GENERATION_CONCURRENCY = 2;
+export const DEFAULT_GENERATION_QUEUE_LIMIT = 20;
+
+// A failed generation is returned to everyone asking for that artist for this
+// long, instead of every visitor starting another LLM call
+export const GENERATION_FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
+
+// New generation jobs allowed per hour, per requester and in total, overridable
+// with GENERATION_RATE_LIMIT_PER_IP and GENERATION_RATE_LIMIT. Joining a job
+// that is already queued or running isn't counted.
+export const DEFAULT_GENERATION_RATE_LIMIT_PER_IP = 5;
+export const DEFAULT_GENERATION_RATE_LIMIT = 60;
+const GENERATION_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+function positiveIntegerFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+// Created on first use, like the queue
+let generationLimits = null;
+
+function getGenerationLimits() {
+  if (!generationLimits) {
+    generationLimits = {
+      perRequester: createRateLimiter({
+        limit: positiveIntegerFromEnv('GENERATION_RATE_LIMIT_PER_IP', DEFAULT_GENERATION_RATE_LIMIT_PER_IP),
+        windowMs: GENERATION_RATE_WINDOW_MS
+      }),
+      overall: createRateLimiter({
+        limit: positiveIntegerFromEnv('GENERATION_RATE_LIMIT', DEFAULT_GENERATION_RATE_LIMIT),
+        windowMs: GENERATION_RATE_WINDOW_MS
+      })
+    };
+  }
+  return generationLimits;
+}
+
+// Count a new job against both limits, or refuse it if either is used up
+function admitGeneration(requester) {
+  const { perRequester, overall } = getGenerationLimits();
+  const requesterWaitMs = perRequester.check(requester);
+  
+  if (requesterWaitMs > 0) {
+    throw rateLimitedError('Too many new artists requested, try again later', requesterWaitMs);
+  }
+  
+  const overallWaitMs = overall.check('all');
+  
+  if (overallWaitMs > 0) {
+    throw rateLimitedError('Too many new artists are being generated, try again later', overallWaitMs);
+  }
+  
+  perRequester.record(requester);
+  overall.record('all');
+}
+
+// Generations requested by visitors to uncached artists; created on first use
+let generationQueue = null;
+
+function getGenerationQueue() {
+  if (!generationQueue) {
+    generationQueue = createJobQueue({
+      concurrency: positiveIntegerFromEnv('GENERATION_CONCURRENCY', DEFAULT_GENERATION_CONCURRENCY),
+      maxQueued: positiveIntegerFromEnv('GENERATION_QUEUE_LIMIT', DEFAULT_GENERATION_QUEUE_LIMIT),
+      failureCooldownMs: GENERATION_FAILURE_COOLDOWN_MS,
+      logger,
+      run: async ({ artistName, artistId, isFeatured, research }, { report }) => {
+        // Checks the cache again first, in case the artist was cached while the job waited
+        const record = await getArtistRecommendationsWithCache(artistName, artistId, false, {
+          isFeatured,
+          research,
+          onProgress: report
+        });
+        
+        return {
+          artistName: record.artist_name,
+          artistId: record.artist_spotify_id,
+          slug: record.slug || canonicalSlug(record.artist_name),
+          recommendationCount: record.recommendations?.length || 0
+        };
+      }
+    });
+  }
+  return generationQueue;
+}
+
+/**
+ * Queue recommendations generation for an uncached artist
+ * One job per Spotify ID: while one is queued or running, or failed less than
+ * GENERATION_FAILURE_COOLDOWN_MS ago, asking again returns it instead of
+ * starting another LLM call. New jobs count against the requester's and the
+ * overall hourly limits; the daily LLM budget (LLM_DAILY_BUDGET_USD) is
+ * checked when the job calls the provider.
+ * @param {Object} artist
+ * @param {string} artist.artistName - Name of the artist
+ * @param {string} artist.artistId - Spotify ID of the artist
+ * @param {boolean} artist.isFeatured - Whether the record is featured
+ * @param {Object} artist.research - Research constraints (see lib/llm/research)
+ * @param {Object} options
+ * @param {string} options.requester - Who is asking (client IP), for the per-requester limit
+ * @returns {Object} - { job, created } (see lib/job-queue)
+ * @throws {Error} - With code QUEUE_FULL when too many generations are waiting,
+ * or RATE_LIMITED (with retryAfterMs) when a limit is used up
+ */
+export function enqueueGeneration({ artistName, artistId, isFeatured = false, research = null }, { requester = 'unknown' } = {}) {
+  return getGenerationQueue().enqueue(artistId, { artistName, artistId, isFeatured, research }, {
+    admit: () => admitGeneration(requester)
+  });
+}
+
+/**
+ * Look up a generation job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - The job, or null when unknown or expired
+ */
+export function getGenerationJob(jobId) {
+  return getGenerationQueue().getJob(jobId);
+}
+
+/**
+ * Latest generation job for an artist
+ * @param {string} artistName - Name of the artist
+ * @param {string} artistId - Spotify ID of the artist (optional)
+ * @returns {Object|null}
+ */
+export function findGenerationJob(artistName, artistId = null) {
+  return getGenerationQueue().findJob(input => (
+    artistId ? input.artistId === artistId : input.artistName.toLowerCase() === artistName.toLowerCase()
+  ));
+}
+
+/**
+ * A generation job as the API reports it
+ * @param {Object} job - Job from enqueueGeneration, getGenerationJob or findGenerationJob
+ * @returns {Object} - { jobId, status, artistName, artistId, progress, position, result, error, retryAt, createdAt, startedAt, finishedAt, statusUrl }
+ */
+export function describeGenerationJob(job) {
+  const { artistName, artistId } = job.input;
+  
+  return {
+    jobId: job.id,
+    status: job.status,
+    artistName,
+    artistId,
+    progress: job.progress,
+    position: job.position,
+    result: job.result,
+    error: job.error,
+    retryAt: job.retryAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    statusUrl: `/api/recommendations/${encodeURIComponent(artistName)}/status?jobId=${job.id}`
+  };
+}
+
 /**
  * Cache recommendations for a list of featured artists
- * @param {Array<Object>} artists - List of artists with name and id
+ * @param {Array<Object>} artists - List of artists with name, id and optional research options
  * @returns {Promise<Array>} - Results of the cache operation
  */
 export async function cacheFeaturedArtists(artists) {
   const results = [];
   
+  // Details for every artist in one batched request; any missing are looked up on their own
+  let detailsById = new Map();
+  
+  try {
+    detailsById = await getArtistsDetails(artists.map(artist => artist.id));
+  } catch (error) {
+    logger.warn('Batched artist lookup failed, looking artists up one by one:', error.message);
+  }
+  
   for (const artist of artists) {
     try {
       logger.log(`Caching featured artist: ${artist.name}`);
       
       // Check if already cached
-      const { data: existingData, error: existingError } = await getCachedArtistRecommendations(artist.name);
+      const { data: existingData, error: existingError } = await getCachedArtistRecommendations(artist.name, { artistId: artist.id });
       
       if (!existingError && existingData) {
         // Mark as featured if not already
@@ -89,25 +422,14 @@ export async function cacheFeaturedArtists(artists) {
         continue;
       }
       
-      // Get detailed artist info from Spotify
-      const artistData = await getArtistDetails(artist.id);
-      
-      // Get recommendations from OpenAI with web search
-      const recommendations = await getArtistRecommendations(artist.name, artist.id, true);
-      
-      // Cache the results with featured flag (using in-memory fallback)
-      const { error: cacheError } = await cacheArtistRecommendations(
-        artist.name,
-        artist.id,
-        artistData,
-        recommendations,
-        true  // Mark as featured
-      );
-      
-      if (cacheError) {
-        logger.warn(`Non-critical error caching featured artist ${artist.name}:`, cacheError);
-        // Continue anyway since we have in-memory fallback
-      }
+      // Same run as a regeneration, with the details from the batched lookup
+      await getGenerationPipeline().run({
+        artistName: artist.name,
+        artistId: artist.id,
+        research: artist.research,
+        isFeatured: true,
+        artistData: detailsById.get(artist.id) || null
+      });
       
       results.push({
         name: artist.name,
@@ -0,0 +1,161 @@
+/**
+ * Confidence scores for recommendations
+ * A score from 0 to 1 per recommendation, built from what is known about it
+ * at cache time: an explicit quote (and whether it was found on its page), a
+ * source URL on an allowed domain (and whether it checked out), citations
+ * returned with the response, a resolved Spotify entity and how recent it
+ * is. Scores are stored with each recommendation and lists are sorted by
+ * them. Shared by the app and the cache script (CommonJS).
+ */
+
+const { normalizeResearchOptions, domainProblem } = require('./llm/research');
+
+// Signal -> weight; the weights add up to 1
+const CONFIDENCE_WEIGHTS = {
+  quote: 0.15,
+  quoteVerified: 0.1,
+  sourceUrl: 0.15,
+  sourceVerified: 0.1,
+  citations: 0.15,
+  resolved: 0.2,
+  recency: 0.15
+};
+
+// Age at which a recommendation stops earning recency, in months
+const RECENCY_HORIZON_MONTHS = 24;
+
+// Cut-offs for the labels shown on cards
+const CONFIDENCE_LEVELS = [
+  { min: 0.7, level: 'high' },
+  { min: 0.4, level: 'medium' },
+  { min: 0, level: 'low' }
+];
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 1 for this month, falling to 0 at the horizon; a year alone counts from mid-year
+function recency(rec, now) {
+  const year = parseInt(rec.year, 10);
+
+  if (!year) {
+    return 0;
+  }
+
+  const month = parseInt(rec.month, 10) || 6;
+  const age = (now.getUTCFullYear() - year) * 12 + (now.getUTCMonth() + 1 - month);
+
+  return Math.min(1, Math.max(0, 1 - age / RECENCY_HORIZON_MONTHS));
+}
+
+/**
+ * Signals behind a recommendation's confidence, each from 0 to 1
+ * @param {Object} rec - Recommendation
+ * @param {Object} research - Normalized research options whose domain lists the source must meet
+ * @param {Date} now - Reference date for recency
+ * @returns {Object} - One value per key of CONFIDENCE_WEIGHTS
+ */
+function confidenceSignals(rec, research, now = new Date()) {
+  const host = rec.sourceUrl && hostOf(rec.sourceUrl);
+  const sourceFailed = rec.sourceVerification?.status === 'unverified';
+
+  return {
+    quote: rec.quote ? 1 : 0,
+    quoteVerified: rec.quote && rec.quoteVerification?.status === 'verified' ? 1 : 0,
+    sourceUrl: host && !sourceFailed && !domainProblem(host, research) ? 1 : 0,
+    sourceVerified: rec.sourceVerification?.status === 'verified' ? 1 : 0,
+    citations: rec.sources?.length > 0 ? 1 : 0,
+    resolved: rec.spotify?.id ? 1 : 0,
+    recency: recency(rec, now)
+  };
+}
+
+/**
+ * Confidence score of one recommendation
+ * @param {Object} rec - Recommendation
+ * @param {Object} options
+ * @param {Object} options.research - Research options (see lib/llm/research; defaults apply when missing)
+ * @param {Date} options.now - Reference date for recency
+ * @returns {number} - 0-1, to two decimals
+ */
+function scoreConfidence(rec, { research = null, now = new Date() } = {}) {
+  const signals = confidenceSignals(rec, normalizeResearchOptions(research, now), now);
+  const score = Object.entries(CONFIDENCE_WEIGHTS)
+    .reduce((total, [signal, weight]) => total + weight * signals[signal], 0);
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Label for a confidence score
+ * @param {number} confidence - 0-1
+ * @returns {string|null} - 'high', 'medium' or 'low' (null when unscored)
+ */
+function confidenceLevel(confidence) {
+  if (typeof confidence !== 'number') {
+    return null;
+  }
+
+  return CONFIDENCE_LEVELS.find(({ min }) => confidence >= min).level;
+}
+
+/**
+ * Read a minimum confidence from a query parameter
+ * @param {string} value - Query value
+ * @returns {number|null} - 0-1, or null when not given
+ * @throws {Error} - With code INVALID_MIN_CONFIDENCE
+ */
+function parseMinConfidence(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const min = Number(value);
+
+  if (Number.isNaN(min) || min < 0 || min > 1) {
+    const error = new Error('minConfidence must be a number from 0 to 1');
+    error.code = 'INVALID_MIN_CONFIDENCE';
+    throw error;
+  }
+
+  return min;
+}
+
+/**
+ * Score, sort and optionally filter recommendations, most confident first
+ * Stored scores are kept unless rescore is set, so records cached before
+ * scoring existed are scored when read.
+ * @param {Array} recommendations - Recommendations
+ * @param {Object} options
+ * @param {Object} options.research - Research options the list was generated under
+ * @param {boolean} options.rescore - Recompute stored scores too (at cache time)
+ * @param {number} options.minConfidence - Drop recommendations scored below this
+ * @param {Date} options.now - Reference date for recency
+ * @returns {Array} - Recommendations with a confidence field
+ */
+function rankRecommendations(recommendations = [], { research = null, rescore = false, minConfidence = null, now = new Date() } = {}) {
+  const scored = (recommendations || []).map(rec => (
+    !rescore && typeof rec.confidence === 'number'
+      ? rec
+      : { ...rec, confidence: scoreConfidence(rec, { research, now }) }
+  ));
+
+  // Array.prototype.sort is stable, so equal scores keep their order
+  return scored
+    .filter(rec => minConfidence === null || rec.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+  CONFIDENCE_WEIGHTS,
+  confidenceSignals,
+  scoreConfidence,
+  confidenceLevel,
+  parseMinConfidence,
+  rankRecommendations
+};
@@ -0,0 +1,40 @@
+/**
+ * Featured artists (data/featured-artists.json)
+ * Entries are artist names, or { name, research } objects with the artist's
+ * own research options (see lib/llm/research). Shared by the app and the
+ * cache script (CommonJS).
+ */
+
+const { normalizeResearchOptions } = require('./llm/research');
+
+/**
+ * Name of a featured artist entry
+ * @param {string|Object} entry - Name, or { name, research }
+ * @returns {string}
+ */
+function featuredArtistName(entry) {
+  return typeof entry === 'string' ? entry : entry.name;
+}
+
+/**
+ * Read a featured artist entry, checking its research options up front
+ * @param {string|Object} entry - Name, or { name, research }
+ * @returns {Object} - { name, research }
+ * @throws {Error} - Naming the artist when its research options are invalid
+ */
+function toFeaturedArtist(entry) {
+  const artist = typeof entry === 'string' ? { name: entry, research: null } : { research: null, ...entry };
+
+  try {
+    normalizeResearchOptions(artist.research);
+  } catch (error) {
+    throw new Error(`${artist.name}: ${error.message}`);
+  }
+
+  return artist;
+}
+
+module.exports = {
+  featuredArtistName,
+  toFeaturedArtist
+};
@@ -0,0 +1,148 @@
+/**
+ * Generation pipeline
+ * One artist's run, the same wherever it starts (background refresh,
+ * on-demand job, featured artists in the app or the cache script):
+ * generate -> resolve on Spotify -> check sources and quotes -> snapshot ->
+ * merge with the cached list and backfill -> rank -> save.
+ * Storage, usage accounting and the Spotify clients are passed in, since the
+ * app and the cache script reach them differently. Shared by the app and the
+ * cache script (CommonJS).
+ */
+
+const { buildSnapshot } = require('./snapshots');
+const { mergeRecommendations } = require('./recommendation-merge');
+const { rankRecommendations } = require('./confidence');
+
+// Steps of a run, reported to whoever is waiting on it
+const GENERATION_STAGES = [
+  { stage: 'artist', label: 'Looking up the artist on Spotify' },
+  { stage: 'generating', label: 'Searching for recommendations' },
+  { stage: 'resolving', label: 'Matching recommendations on Spotify' },
+  { stage: 'verifying', label: 'Checking sources and quotes' },
+  { stage: 'saving', label: 'Saving recommendations' }
+];
+
+/**
+ * Progress value for a stage
+ * @param {string} stage - Stage name from GENERATION_STAGES
+ * @returns {Object} - { stage, label, step, steps }
+ */
+function generationProgress(stage) {
+  const index = GENERATION_STAGES.findIndex(entry => entry.stage === stage);
+  return { ...GENERATION_STAGES[index], step: index + 1, steps: GENERATION_STAGES.length };
+}
+
+/**
+ * Create a pipeline
+ * @param {Object} options
+ * @param {Object} options.llm - LLM provider; its model and prompt version are recorded with snapshots
+ * @param {Function} options.generate - async ({ artistName, artistId, useWebSearch, research }) => provider result; wraps the provider to record usage (defaults to llm.generateRecommendations)
+ * @param {Object} options.spotify - Anything with getArtist(id) (see lib/spotify-client)
+ * @param {Object} options.resolver - { resolveRecommendations, backfillRecommendations } (see lib/spotify-resolver)
+ * @param {Function} options.verify - async (recommendations, research) => recommendations with their checks (defaults to none)
+ * @param {Function} options.loadCached - async (artistName, artistId) => cached artist record or null
+ * @param {Function} options.saveSnapshot - async (snapshot) => void
+ * @param {Function} options.saveArtist - async (record, cached) => saved record; cached is the record loadCached found, if any
+ * @param {Object} options.logger - Logger
+ * @returns {Object} - { run }
+ */
+function createGenerationPipeline({
+  llm,
+  generate = args => llm.generateRecommendations(args),
+  spotify,
+  resolver,
+  verify = async recommendations => recommendations,
+  loadCached,
+  saveSnapshot,
+  saveArtist,
+  logger = console
+}) {
+  /**
+   * Generate, check and cache one artist's recommendations
+   * The run is kept as an immutable snapshot; the cached list accumulates
+   * across runs (see lib/recommendation-merge) and is stored most confident
+   * first (see lib/confidence).
+   * @param {Object} artist
+   * @param {string} artist.artistName - Name of the artist
+   * @param {string} artist.artistId - Spotify ID of the artist
+   * @param {Object} artist.research - Research constraints (see lib/llm/research)
+   * @param {boolean} artist.isFeatured - Whether the cached record is featured
+   * @param {Object} artist.artistData - Spotify details, when already looked up
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { stage, label, step, steps } as each step starts
+   * @returns {Promise<Object>} - { record, wasCached, verified, rejected, corrected, merged, research, usage }; merged counts added, seenAgain, retained, duplicates, backfilled and dropped
+   */
+  async function run({ artistName, artistId, research = null, isFeatured = false, artistData = null }, { onProgress = () => {} } = {}) {
+    onProgress(generationProgress('artist'));
+    const details = artistData || await spotify.getArtist(artistId);
+
+    onProgress(generationProgress('generating'));
+    const generated = await generate({ artistName, artistId, useWebSearch: true, research });
+
+    // Drop entities Spotify doesn't have before spending requests on their sources;
+    // a run whose catalog check fails is neither snapshotted nor cached
+    onProgress(generationProgress('resolving'));
+    const resolved = await resolver.resolveRecommendations(generated.recommendations);
+    onProgress(generationProgress('verifying'));
+    const verified = await verify(resolved.recommendations, generated.research);
+    const rejected = [...generated.rejected, ...resolved.rejected];
+
+    onProgress(generationProgress('saving'));
+    await saveSnapshot(buildSnapshot({
+      artistName,
+      artistId,
+      recommendations: verified,
+      rejected,
+      model: llm.model,
+      promptVersion: llm.promptVersion,
+      research: generated.research
+    }));
+
+    // Recommendations kept from runs before resolution get their entities now
+    const cached = await loadCached(artistName, artistId);
+    const merged = mergeRecommendations(cached?.recommendations, verified, {
+      previousSeenAt: cached?.updated_at || cached?.created_at || null
+    });
+    const backfill = await resolver.backfillRecommendations(merged.recommendations);
+    const recommendations = rankRecommendations(backfill.recommendations, { research: generated.research, rescore: true });
+
+    logger.log(`Merged run for ${artistName}: ${merged.added} new, ${merged.seenAgain} seen again, ` +
+      `${merged.retained} kept from earlier runs, ${merged.duplicates} duplicate(s) folded, ` +
+      `${backfill.backfilled} backfilled from Spotify, ${backfill.rejected.length} dropped as not on Spotify`);
+
+    const record = await saveArtist({
+      artist_name: artistName,
+      artist_spotify_id: artistId,
+      artist_data: details,
+      recommendations,
+      is_featured: isFeatured,
+      research_options: generated.research
+    }, cached);
+
+    return {
+      record,
+      wasCached: !!cached,
+      verified,
+      rejected,
+      corrected: resolved.corrected,
+      merged: {
+        added: merged.added,
+        seenAgain: merged.seenAgain,
+        retained: merged.retained,
+        duplicates: merged.duplicates,
+        backfilled: backfill.backfilled,
+        dropped: backfill.rejected.length
+      },
+      research: generated.research,
+      usage: generated.usage
+    };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  GENERATION_STAGES,
+  generationProgress,
+  createGenerationPipeline
+};
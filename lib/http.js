@@ -0,0 +1,306 @@
+/**
+ * Resilient HTTP for upstream APIs (Spotify, OpenAI)
+ * A fetch-compatible wrapper with a timeout per attempt, retries with
+ * exponential backoff that honour Retry-After, and a circuit breaker per
+ * upstream: after repeated failures calls fail fast until the upstream has
+ * had time to recover, then a single trial call decides whether it is back.
+ * Client errors (4xx other than 408 and 429) are returned like any response;
+ * an upstream that keeps failing throws an error with code
+ * UPSTREAM_UNAVAILABLE, or CIRCUIT_OPEN while the breaker is open, which API
+ * routes answer with a 503. Shared by the app and the scripts (CommonJS).
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+
+// Longest wait between attempts; a longer Retry-After fails the call instead
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+// Consecutive failures that open the breaker, and how long it stays open
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_MS = 30000;
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const UPSTREAM_ERROR_CODES = ['UPSTREAM_UNAVAILABLE', 'CIRCUIT_OPEN'];
+
+// Network errors raised before the request reached the upstream
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function upstreamError(message, { code, upstream, status = null, retryAfterMs = null, cause = null }) {
+  const error = new Error(message);
+  error.code = code;
+  error.upstream = upstream;
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+/**
+ * The upstream failure behind an error, if any
+ * Looks through error.cause too, since SDKs wrap what fetch throws.
+ * @param {Error} error - Caught error
+ * @returns {Error|null} - Error with code UPSTREAM_UNAVAILABLE or CIRCUIT_OPEN
+ */
+function upstreamFailure(error) {
+  for (let current = error; current; current = current.cause) {
+    if (UPSTREAM_ERROR_CODES.includes(current.code)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: anywhere up to the exponential step, so clients don't retry in lockstep
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Circuit breaker for one upstream
+ * closed -> open after failureThreshold consecutive failures; open ->
+ * half-open once resetMs has passed, letting one trial call through; the
+ * trial closes the breaker on success and reopens it on failure. A trial that
+ * proves neither (rate limited, or aborted by its caller) is released, so the
+ * next call becomes the trial.
+ * @param {Object} options
+ * @param {number} options.failureThreshold - Consecutive failures that open it
+ * @param {number} options.resetMs - How long it stays open
+ * @param {Function} options.now - Clock (ms)
+ * @returns {Object} - { state, canRequest, retryAfterMs, onSuccess, onFailure, release }
+ */
+function createCircuitBreaker({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, resetMs = DEFAULT_RESET_MS, now = Date.now } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  return {
+    state() {
+      if (state === 'open' && now() - openedAt >= resetMs) {
+        state = 'half-open';
+      }
+      return state;
+    },
+
+    canRequest() {
+      const current = this.state();
+
+      if (current === 'closed') {
+        return true;
+      }
+
+      if (current === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+
+      return false;
+    },
+
+    retryAfterMs() {
+      return state === 'open' ? Math.max(0, openedAt + resetMs - now()) : 0;
+    },
+
+    onSuccess() {
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    onFailure() {
+      failures += 1;
+      trialInFlight = false;
+
+      if (state === 'half-open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+
+    // A call that ended without saying whether the upstream is healthy
+    release() {
+      trialInFlight = false;
+    }
+  };
+}
+
+// Whether a failed attempt never reached the upstream (fetch wraps the
+// socket error in its cause)
+function wasNotSent(error) {
+  for (let current = error; current; current = current.cause) {
+    if (NOT_SENT_ERROR_CODES.includes(current.code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Free the connection of a response we won't read
+function discardBody(response) {
+  if (response && typeof response.arrayBuffer === 'function') {
+    response.arrayBuffer().catch(() => {});
+  }
+}
+
+/**
+ * Create a client for one upstream
+ * @param {Object} options
+ * @param {string} options.name - Upstream name used in errors and logs, e.g. 'Spotify'
+ * @param {Function} options.fetcher - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {boolean} options.retryAfterSend - Whether an attempt the upstream may have acted on (timeout, 408, 5xx) can be retried; turn off for billed, non-idempotent calls, which then only retry 429s and connections that never went through
+ * @param {number} options.baseDelayMs - First backoff step
+ * @param {number} options.maxDelayMs - Longest wait between attempts
+ * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+ * @param {number} options.resetMs - How long the breaker stays open
+ * @param {Function} options.sleep - Waits a number of ms (injectable for tests)
+ * @param {Object} options.logger - Anything with warn()
+ * @returns {Object} - { name, fetch, breaker }; fetch has the fetch signature
+ */
+function createHttpClient({
+  name,
+  fetcher = fetch,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retryAfterSend = true,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  resetMs = DEFAULT_RESET_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  logger = console
+} = {}) {
+  if (typeof fetcher !== 'function') {
+    throw new Error(`Calling ${name} needs a fetch implementation`);
+  }
+
+  const breaker = createCircuitBreaker({ failureThreshold, resetMs });
+
+  // One attempt, aborted after timeoutMs or when the caller's own signal fires
+  async function attempt(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const callerSignal = init.signal;
+    const forwardAbort = () => controller.abort();
+
+    if (callerSignal) {
+      if (callerSignal.aborted) controller.abort();
+      callerSignal.addEventListener('abort', forwardAbort);
+    }
+
+    try {
+      return await fetcher(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (callerSignal?.aborted) {
+        throw error;
+      }
+      throw controller.signal.aborted ? new Error(`timed out after ${timeoutMs}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  async function request(url, init = {}) {
+    let failure = null;
+
+    for (let attemptIndex = 0; attemptIndex <= retries; attemptIndex++) {
+      if (!breaker.canRequest()) {
+        throw upstreamError(`${name} is unavailable: too many recent failures`, {
+          code: 'CIRCUIT_OPEN',
+          upstream: name,
+          retryAfterMs: breaker.retryAfterMs(),
+          cause: failure?.cause
+        });
+      }
+
+      let response = null;
+
+      try {
+        response = await attempt(url, init);
+      } catch (error) {
+        if (init.signal?.aborted) {
+          breaker.release();
+          throw error;
+        }
+        failure = { reason: error.message, status: null, retryAfterMs: null, cause: error, sent: !wasNotSent(error) };
+      }
+
+      if (response && !RETRY_STATUSES.includes(response.status)) {
+        breaker.onSuccess();
+        return response;
+      }
+
+      if (response) {
+        failure = {
+          reason: `HTTP ${response.status}`,
+          status: response.status,
+          retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after')),
+          cause: null,
+          // A 429 was turned away before any work was done
+          sent: response.status !== 429
+        };
+        discardBody(response);
+      }
+
+      // Rate limiting says nothing about the upstream being down
+      if (failure.status === 429) {
+        breaker.release();
+      } else {
+        breaker.onFailure();
+      }
+
+      const delay = failure.retryAfterMs ?? backoffDelay(attemptIndex, baseDelayMs, maxDelayMs);
+
+      if (attemptIndex === retries || delay > maxDelayMs || (failure.sent && !retryAfterSend)) {
+        break;
+      }
+
+      logger.warn(`${name} request failed (${failure.reason}), retrying in ${delay}ms (${attemptIndex + 1}/${retries})`);
+      await sleep(delay);
+    }
+
+    throw upstreamError(`${name} request failed: ${failure.reason}`, {
+      code: 'UPSTREAM_UNAVAILABLE',
+      upstream: name,
+      status: failure.status,
+      retryAfterMs: failure.retryAfterMs,
+      cause: failure.cause
+    });
+  }
+
+  return { name, fetch: request, breaker };
+}
+
+module.exports = {
+  RETRY_STATUSES,
+  parseRetryAfter,
+  upstreamFailure,
+  createCircuitBreaker,
+  createHttpClient
+};
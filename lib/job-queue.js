@@ -0,0 +1,197 @@
+/**
+ * In-process job queue
+ * Runs at most `concurrency` jobs at a time, in the order they were queued.
+ * Jobs are keyed: enqueueing a key that is already queued or running returns
+ * that job instead of adding another (single flight). A failed job keeps its
+ * key for `failureCooldownMs`, so retries wait instead of failing again at
+ * once. Finished jobs are kept for a while so their outcome can still be polled.
+ * Note: jobs live in the server process; on serverless hosts they may be cut
+ * short once the response is sent, and a restart forgets them.
+ * CommonJS, like the other modules the tests load.
+ */
+
+const { randomUUID } = require('crypto');
+
+// How long finished jobs stay readable
+const DEFAULT_RETAIN_MS = 10 * 60 * 1000;
+
+// Copy of a job for callers, with its place in line while queued
+function describe(job, waiting) {
+  return {
+    id: job.id,
+    key: job.key,
+    input: job.input,
+    status: job.status,
+    progress: job.progress,
+    position: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+    result: job.result,
+    error: job.error,
+    retryAt: job.retryAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {Function} options.run - async (input, { report }) => result; report(progress) updates the job's progress
+ * @param {number} options.concurrency - Jobs running at once
+ * @param {number} options.maxQueued - Jobs waiting at once; more are refused
+ * @param {number} options.retainMs - How long finished jobs stay readable
+ * @param {number} options.failureCooldownMs - How long a failed job is returned for its key before it can be queued again
+ * @param {Function} options.now - Clock (ms)
+ * @param {Object} options.logger - Logger
+ * @returns {Object} - { enqueue, getJob, findJob, stats }
+ */
+function createJobQueue({
+  run,
+  concurrency = 1,
+  maxQueued = Infinity,
+  retainMs = DEFAULT_RETAIN_MS,
+  failureCooldownMs = 0,
+  now = Date.now,
+  logger = console
+}) {
+  const jobs = new Map();
+  // Queued, running or cooling down (failed) job per key
+  const active = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function prune() {
+    const cutoff = now() - retainMs;
+
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    });
+  }
+
+  function start(job) {
+    running += 1;
+    job.status = 'running';
+    job.startedAt = new Date(now()).toISOString();
+
+    const report = progress => {
+      job.progress = progress;
+    };
+
+    Promise.resolve()
+      .then(() => run(job.input, { report }))
+      .then(result => {
+        job.status = 'succeeded';
+        job.result = result ?? null;
+      }, error => {
+        logger.error(`Job ${job.id} (${job.key}) failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date(now()).toISOString();
+
+        if (job.status === 'failed' && failureCooldownMs > 0) {
+          job.retryAt = new Date(now() + failureCooldownMs).toISOString();
+        } else {
+          active.delete(job.key);
+        }
+
+        running -= 1;
+        drain();
+      });
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  /**
+   * Queue a job, unless one with the same key is already queued or running,
+   * or failed less than failureCooldownMs ago
+   * @param {string} key - What makes two jobs the same
+   * @param {*} input - Passed to run
+   * @param {Object} options
+   * @param {Function} options.admit - Called only when a new job would be queued; throw to refuse it (joining an existing job is always allowed)
+   * @returns {Object} - { job, created }; created is false when an existing job was returned
+   * @throws {Error} - With code QUEUE_FULL when maxQueued jobs are already waiting, or whatever admit throws
+   */
+  function enqueue(key, input, { admit = () => {} } = {}) {
+    let existing = active.get(key);
+
+    if (existing?.retryAt && Date.parse(existing.retryAt) <= now()) {
+      active.delete(key);
+      existing = null;
+    }
+
+    if (existing) {
+      return { job: describe(existing, waiting), created: false };
+    }
+
+    if (waiting.length >= maxQueued) {
+      const error = new Error('Too many jobs are waiting, try again later');
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    admit();
+    prune();
+
+    const job = {
+      id: randomUUID(),
+      key,
+      input,
+      status: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      retryAt: null,
+      createdAt: new Date(now()).toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    active.set(key, job);
+    waiting.push(job);
+    drain();
+
+    return { job: describe(job, waiting), created: true };
+  }
+
+  /**
+   * Look up a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} - The job, or null when unknown or expired
+   */
+  function getJob(id) {
+    prune();
+    const job = jobs.get(id);
+    return job ? describe(job, waiting) : null;
+  }
+
+  /**
+   * Most recently queued job matching a predicate
+   * @param {Function} predicate - (input) => boolean
+   * @returns {Object|null}
+   */
+  function findJob(predicate) {
+    prune();
+    const matches = [...jobs.values()].filter(job => predicate(job.input));
+    return matches.length > 0 ? describe(matches[matches.length - 1], waiting) : null;
+  }
+
+  /**
+   * @returns {Object} - { running, queued }
+   */
+  function stats() {
+    return { running, queued: waiting.length };
+  }
+
+  return { enqueue, getJob, findJob, stats };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,149 @@
+/**
+ * Offline evaluation of prompt versions
+ * Scores recorded model responses with the parser, schema and checks the
+ * cache uses, so prompt versions can be compared on numbers: how many
+ * records pass the schema (and how many only after repair), how many fall
+ * outside the research constraints they were recorded under, duplicates, how
+ * many source URLs verify and how many recommendations resolve on Spotify.
+ * Recordings are made and scored by scripts/evaluate-prompts.js.
+ */
+
+const { canonicalSlug } = require('../slugs');
+const { extractRecords } = require('./repair');
+const { parseRecommendationResponse } = require('./parse');
+
+/**
+ * Recommendations that repeat an earlier one in the same list (same type and
+ * name, ignoring case, accents and punctuation)
+ * @param {Array} recommendations - Recommendations of one artist
+ * @returns {Array} - The repeats, in order
+ */
+function findDuplicates(recommendations) {
+  const seen = new Set();
+
+  return recommendations.filter(rec => {
+    const key = `${String(rec.type).toLowerCase()}:${canonicalSlug(rec.name)}`;
+
+    if (seen.has(key)) {
+      return true;
+    }
+
+    seen.add(key);
+    return false;
+  });
+}
+
+/**
+ * Score one recorded response
+ * URL and Spotify checks are skipped (and their counts left null) when no
+ * verifier or resolver is given.
+ * @param {Object} recording - { artistName, useWebSearch, research, response, annotations, error }
+ * @param {Object} checks
+ * @param {Object} checks.sourceVerifier - Source verifier (see lib/source-verifier)
+ * @param {Object} checks.spotifyResolver - Spotify resolver (see lib/spotify-resolver)
+ * @returns {Promise<Object>} - { artistName, parsed, error, records, valid, repaired, outsideConstraints, kept, duplicates, urls, verifiedUrls, resolved }
+ */
+async function scoreRecording(recording, { sourceVerifier = null, spotifyResolver = null } = {}) {
+  const score = {
+    artistName: recording.artistName,
+    parsed: false,
+    error: recording.error || null,
+    records: 0,
+    valid: 0,
+    repaired: 0,
+    outsideConstraints: 0,
+    kept: 0,
+    duplicates: 0,
+    urls: 0,
+    verifiedUrls: null,
+    resolved: null
+  };
+
+  if (score.error) {
+    return score;
+  }
+
+  let result;
+
+  try {
+    // The constraints are used as recorded: a window in months isn't moved to today
+    result = parseRecommendationResponse(recording.response, {
+      useWebSearch: recording.useWebSearch,
+      annotations: recording.annotations || [],
+      research: recording.research || null
+    });
+  } catch (error) {
+    return { ...score, error: error.message };
+  }
+
+  const { recommendations, rejected, repaired } = result;
+
+  score.parsed = true;
+  score.records = extractRecords(recording.response).length;
+  score.valid = score.records - rejected.filter(rec => rec.stage === 'schema').length;
+  score.repaired = repaired.length;
+  score.outsideConstraints = rejected.filter(rec => rec.stage === 'constraints').length;
+  score.kept = recommendations.length;
+  score.duplicates = findDuplicates(recommendations).length;
+  score.urls = recommendations.filter(rec => rec.sourceUrl).length;
+
+  if (sourceVerifier) {
+    const verified = await sourceVerifier.verifyRecommendations(recommendations, recording.research || null);
+    score.verifiedUrls = verified.filter(rec => rec.sourceVerification?.status === 'verified').length;
+  }
+
+  // Failed lookups keep the recommendation without an entity, so they count as unresolved
+  if (spotifyResolver) {
+    const resolved = await spotifyResolver.resolveRecommendations(recommendations);
+    score.resolved = resolved.recommendations.filter(rec => rec.spotify).length;
+  }
+
+  return score;
+}
+
+function rate(count, total) {
+  return count === null || total === 0 ? null : Math.round((count / total) * 1000) / 1000;
+}
+
+/**
+ * Totals and rates over the scores of one prompt version
+ * @param {Array} scores - Results of scoreRecording(), plus a { artistName, missing: true } entry per artist without a recording
+ * @returns {Object} - Counts plus schemaValidRate, repairFreeRate, outsideConstraintsRate, duplicateRate, verifiedUrlRate and resolutionRate (0-1, null when not measured)
+ */
+function summarizeScores(scores) {
+  const recorded = scores.filter(score => !score.missing);
+  const sum = field => recorded.reduce((total, score) => total + score[field], 0);
+  // Null when any response went unchecked, so a partial count never passes for a full one
+  const sumChecked = field => recorded.some(score => score.parsed && score[field] === null) ? null : sum(field);
+
+  const totals = {
+    artists: scores.length,
+    recorded: recorded.length,
+    parsed: recorded.filter(score => score.parsed).length,
+    records: sum('records'),
+    valid: sum('valid'),
+    repaired: sum('repaired'),
+    outsideConstraints: sum('outsideConstraints'),
+    kept: sum('kept'),
+    duplicates: sum('duplicates'),
+    urls: sum('urls'),
+    verifiedUrls: sumChecked('verifiedUrls'),
+    resolved: sumChecked('resolved')
+  };
+
+  return {
+    ...totals,
+    schemaValidRate: rate(totals.valid, totals.records),
+    repairFreeRate: rate(totals.valid - totals.repaired, totals.records),
+    outsideConstraintsRate: rate(totals.outsideConstraints, totals.valid),
+    duplicateRate: rate(totals.duplicates, totals.kept),
+    verifiedUrlRate: rate(totals.verifiedUrls, totals.urls),
+    resolutionRate: rate(totals.resolved, totals.kept)
+  };
+}
+
+module.exports = {
+  findDuplicates,
+  scoreRecording,
+  summarizeScores
+};
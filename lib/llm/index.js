@@ -0,0 +1,93 @@
+/**
+ * LLM providers for "generate recommendations for artist X"
+ *
+ * Every provider exposes:
+ *   name                                  -> provider name
+ *   model                                 -> model recorded with snapshots
+ *   promptVersion                         -> prompt version recorded with snapshots (see ./prompts)
+ *   complete({ artistName, artistId, useWebSearch, research })
+ *                                         -> { text, annotations, usage }: the raw answer
+ *   generateRecommendations({ artistName, artistId, useWebSearch, research })
+ *                                         -> { recommendations, rejected, repaired, research, usage }
+ *
+ * Records are validated against the shared schema in ./schema and repaired
+ * where possible (see ./repair); rejected lists each dropped record with the
+ * reasons, so one bad record never fails the whole artist. research holds the
+ * research constraints the call ran under (window, source types, domains; see
+ * ./research), and records outside them are rejected too. usage reports the
+ * call's tokens, web searches, latency and estimated cost (see ./usage); a
+ * call that fails after the model answered carries it as error.usage.
+ *
+ * Pick a provider with LLM_PROVIDER=openai|mock (default: openai), a model
+ * with LLM_MODEL and a prompt version with LLM_PROMPT_VERSION (default: the
+ * latest). The openai provider also covers OpenAI-compatible servers
+ * (LLM_BASE_URL); the mock answers from fixtures (LLM_FIXTURES_PATH) with no
+ * network. Other vendors plug in as another case in createLLMProvider().
+ *
+ * Written as CommonJS so scripts/cache-featured-artists.js can share it.
+ */
+
+const { createOpenAIProvider } = require('./openai-provider');
+const { createMockProvider } = require('./mock-provider');
+const { PROMPT_VERSIONS, LATEST_PROMPT_VERSION, resolvePromptVersion, getPrompt } = require('./prompts');
+const {
+  estimateCost,
+  toUsageRecord,
+  getBudgetUsd,
+  DAILY_BUDGET_WINDOW_MS,
+  getDailyBudgetUsd,
+  budgetExceededError,
+  createUsageTracker
+} = require('./usage');
+const { normalizeResearchOptions } = require('./research');
+
+const PROVIDERS = ['openai', 'mock'];
+
+function resolveProvider() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+/**
+ * Create an LLM provider
+ * @param {Object} options
+ * @param {string} options.provider - Provider name (defaults to resolveProvider())
+ * @param {string} options.model - Model name (defaults to LLM_MODEL, then the provider's default)
+ * @param {string} options.promptVersion - Prompt version (defaults to LLM_PROMPT_VERSION, then the latest)
+ * @param {Object} options.logger - Anything with log() and error()
+ * @returns {Object} - Provider implementation
+ */
+function createLLMProvider({
+  provider = resolveProvider(),
+  model = process.env.LLM_MODEL || undefined,
+  promptVersion = resolvePromptVersion(),
+  logger
+} = {}) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider({ model, promptVersion, logger });
+    case 'mock':
+      return createMockProvider({ model, promptVersion, logger });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  PROMPT_VERSIONS,
+  LATEST_PROMPT_VERSION,
+  resolveProvider,
+  resolvePromptVersion,
+  getPrompt,
+  normalizeResearchOptions,
+  createLLMProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  estimateCost,
+  toUsageRecord,
+  getBudgetUsd,
+  DAILY_BUDGET_WINDOW_MS,
+  getDailyBudgetUsd,
+  budgetExceededError,
+  createUsageTracker
+};
@@ -0,0 +1,82 @@
+/**
+ * Fixture-backed mock provider
+ * Answers from a JSON file instead of calling a model, so the app, API routes
+ * and cache script run without network access. The same artist always gets
+ * the same recommendations.
+ *
+ * Fixtures map artist names to recommendation arrays; names are matched like
+ * aliases (case, accents and punctuation ignored). A "*" entry answers for
+ * every artist without one of its own. Fixtures are canned answers, so
+ * research options are checked and reported but don't filter them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { aliasKey } = require('../artist-aliases');
+const { parseRecommendationResponse } = require('./parse');
+const { buildUsage } = require('./usage');
+const { getPrompt, resolvePromptVersion } = require('./prompts');
+const { normalizeResearchOptions } = require('./research');
+
+const DEFAULT_FIXTURES_PATH = path.join(process.cwd(), 'data', 'fixtures', 'llm-recommendations.json');
+const DEFAULT_MOCK_MODEL = 'mock-fixtures';
+const FALLBACK_FIXTURE = '*';
+
+function createMockProvider({
+  model = DEFAULT_MOCK_MODEL,
+  promptVersion = resolvePromptVersion(),
+  fixturesPath = process.env.LLM_FIXTURES_PATH || DEFAULT_FIXTURES_PATH,
+  logger = console
+} = {}) {
+  let fixtures = null;
+
+  function loadFixtures() {
+    if (!fixtures) {
+      const raw = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      fixtures = new Map(Object.entries(raw).map(([name, recs]) => [
+        name === FALLBACK_FIXTURE ? FALLBACK_FIXTURE : aliasKey(name),
+        recs
+      ]));
+    }
+    return fixtures;
+  }
+
+  // Fixtures don't depend on the prompts, but the version is still recorded
+  getPrompt(promptVersion);
+
+  /**
+   * Answer with an artist's fixtures, serialized like a model response
+   * @returns {Promise<Object>} - { text, annotations, usage }
+   */
+  async function complete({ artistName }) {
+    const all = loadFixtures();
+    const recs = all.get(aliasKey(artistName)) || all.get(FALLBACK_FIXTURE) || [];
+
+    logger.log(`Using ${recs.length} fixture recommendations for artist ${artistName}`);
+
+    // Nothing is billed, but the accounting path runs like it does for real calls
+    return {
+      text: JSON.stringify({ recommendations: recs }),
+      annotations: [],
+      usage: buildUsage({ provider: 'mock', model })
+    };
+  }
+
+  return {
+    name: 'mock',
+    model,
+    promptVersion,
+
+    complete,
+
+    async generateRecommendations({ artistName, useWebSearch = true, research = null }) {
+      const constraints = normalizeResearchOptions(research);
+      const { text, usage } = await complete({ artistName });
+
+      // Round-trip through the real parser so fixtures are validated and repaired like model output
+      return { ...parseRecommendationResponse(text, { useWebSearch }), research: constraints, usage };
+    }
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_FIXTURES_PATH, DEFAULT_MOCK_MODEL };
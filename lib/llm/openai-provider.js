@@ -0,0 +1,148 @@
+/**
+ * OpenAI provider
+ * Also works with any server that speaks the OpenAI chat completions API
+ * (e.g. a local model server) by pointing LLM_BASE_URL at it.
+ */
+
+const OpenAI = require('openai');
+const { buildRecommendationPrompts, getPrompt, resolvePromptVersion } = require('./prompts');
+const { parseRecommendationResponse } = require('./parse');
+const { recommendationResponseFormat } = require('./schema');
+const { buildUsage } = require('./usage');
+const { normalizeResearchOptions } = require('./research');
+const { createHttpClient } = require('../http');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-search-preview';
+
+// Web search answers can take a minute or more
+const OPENAI_TIMEOUT_MS = 120000;
+// Only for 429s and connections that never went through: a call that timed
+// out or failed upstream may still be billed, so it isn't sent twice
+const OPENAI_RETRIES = 2;
+
+function createOpenAIProvider({
+  model = DEFAULT_OPENAI_MODEL,
+  promptVersion = resolvePromptVersion(),
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL = process.env.LLM_BASE_URL,
+  logger = console
+} = {}) {
+  // Fail on an unknown prompt version when the provider is configured, not on first use
+  getPrompt(promptVersion);
+
+  // Created on first use so configuring this provider never requires an
+  // API key (the SDK throws when the key is missing)
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      // Timeouts, retries and the circuit breaker are lib/http's, so the SDK's own retries are off
+      const http = createHttpClient({
+        name: 'OpenAI',
+        timeoutMs: OPENAI_TIMEOUT_MS,
+        retries: OPENAI_RETRIES,
+        retryAfterSend: false,
+        logger
+      });
+
+      client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK insists on one
+        apiKey: apiKey || (baseURL ? 'not-needed' : undefined),
+        ...(baseURL && { baseURL }),
+        fetch: http.fetch,
+        maxRetries: 0
+      });
+    }
+    return client;
+  }
+
+  /**
+   * Ask the model for one artist's recommendations, without parsing the answer
+   * @returns {Promise<Object>} - { text, annotations, usage }
+   */
+  async function complete({ artistName, artistId = null, useWebSearch = true, research = null }) {
+    // Checked before the API key so bad options fail the same way everywhere
+    const constraints = normalizeResearchOptions(research);
+
+    if (!apiKey && !baseURL) {
+      throw new Error('OpenAI API key is not configured');
+    }
+
+    const prompts = buildRecommendationPrompts({ artistName, artistId, useWebSearch, research: constraints, version: promptVersion });
+
+    logger.log(`Making ${model} request for artist ${artistName}${artistId ? ` (${artistId})` : ''} with web search: ${useWebSearch} (prompt v${promptVersion})`);
+
+    const startedAt = Date.now();
+    const response = await getClient().chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: prompts.system },
+        { role: 'user', content: prompts.user }
+      ],
+      // Note: temperature parameter removed as it's not supported with search-preview models
+      max_tokens: 4000,
+      // Constrain the output to the shared recommendation schema
+      response_format: prompts.structuredOutput ? recommendationResponseFormat(useWebSearch) : undefined,
+      web_search_options: useWebSearch ? {
+        search_context_size: 'medium'  // Balanced context, cost, and latency
+      } : undefined
+    });
+
+    // Search-preview models bill one web search per request that enables it
+    const usage = buildUsage({
+      provider: 'openai',
+      model,
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      webSearchCalls: useWebSearch ? 1 : 0,
+      latencyMs: Date.now() - startedAt
+    });
+
+    logger.log(`${model} used ${usage.totalTokens} tokens in ${usage.latencyMs}ms${usage.costUsd !== null ? ` (~$${usage.costUsd.toFixed(4)})` : ''}`);
+
+    const { content, refusal, annotations = [] } = response.choices[0].message;
+
+    if (refusal) {
+      const error = new Error(`${model} refused to generate recommendations: ${refusal}`);
+      error.usage = usage;
+      throw error;
+    }
+
+    if (annotations.length > 0) {
+      logger.log(`Found ${annotations.length} citations in ${model} response`);
+    }
+
+    return { text: content, annotations, usage };
+  }
+
+  return {
+    name: 'openai',
+    model,
+    promptVersion,
+
+    complete,
+
+    async generateRecommendations({ artistName, artistId = null, useWebSearch = true, research = null }) {
+      const constraints = normalizeResearchOptions(research);
+      const { text: responseText, annotations, usage } = await complete({ artistName, artistId, useWebSearch, research: constraints });
+
+      try {
+        const result = parseRecommendationResponse(responseText, { useWebSearch, annotations, research: constraints });
+
+        result.rejected.forEach(({ index, name, reasons }) => {
+          logger.log(`Rejected recommendation #${index}${name ? ` (${name})` : ''} for ${artistName}: ${reasons.join('; ')}`);
+        });
+
+        return { ...result, research: constraints, usage };
+      } catch (error) {
+        logger.error('Error parsing model response:', error);
+        logger.error('Raw response:', responseText);
+        // The tokens were spent either way
+        error.usage = usage;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_OPENAI_MODEL };
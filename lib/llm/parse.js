@@ -0,0 +1,90 @@
+/**
+ * Turn a model's text response into recommendation records
+ */
+
+const { extractRecords, repairRecords } = require('./repair');
+const { applyResearchConstraints } = require('./research');
+
+// Researched recommendations are capped at 10, similar-music suggestions at 6
+const MAX_RESEARCHED = 10;
+const MAX_SIMILAR = 6;
+
+/**
+ * Extract sources/citations for a specific recommendation
+ * @param {string} name - The name of the recommended artist, album or song
+ * @param {string} content - The full response text
+ * @param {Array} annotations - URL citations returned with the response
+ * @returns {Array} - Array of source objects with url and title
+ */
+function extractSourcesForRecommendation(name, content, annotations) {
+  if (!annotations || !annotations.length || !name || !content) {
+    return [];
+  }
+
+  const sources = [];
+  const nameLower = name.toLowerCase();
+
+  annotations.forEach(annotation => {
+    if (annotation.type === 'url_citation' && annotation.url_citation) {
+      const { url, title, start_index: start, end_index: end } = annotation.url_citation;
+
+      // Keep citations whose cited text mentions this recommendation
+      if (content.substring(start, end).toLowerCase().includes(nameLower)) {
+        sources.push({
+          url,
+          title: title || url
+        });
+      }
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Parse, validate and repair a recommendation response
+ * Invalid records are rejected one by one; only a response with no JSON in
+ * it at all fails as a whole.
+ * @param {string} responseText - Raw model output
+ * @param {Object} options
+ * @param {boolean} options.useWebSearch - Whether the researched prompt was used
+ * @param {Array} options.annotations - URL citations to attach as sources
+ * @param {Object} options.research - Normalized research options; researched records outside them are rejected
+ * @returns {Object} - { recommendations, rejected, repaired } (see repairRecords)
+ */
+function parseRecommendationResponse(responseText, { useWebSearch = true, annotations = [], research = null } = {}) {
+  const rawRecords = extractRecords(responseText);
+
+  if (!rawRecords) {
+    const error = new Error('Failed to parse recommendation data');
+    error.responseText = responseText;
+    throw error;
+  }
+
+  const repairedRecords = repairRecords(rawRecords, { useWebSearch });
+  const { repaired } = repairedRecords;
+  let { recommendations, rejected } = repairedRecords;
+
+  if (useWebSearch && research) {
+    const constrained = applyResearchConstraints(recommendations, research);
+    recommendations = constrained.recommendations;
+    rejected = [...rejected, ...constrained.rejected];
+  }
+
+  if (useWebSearch && annotations.length > 0) {
+    recommendations.forEach(rec => {
+      rec.sources = extractSourcesForRecommendation(rec.name, responseText, annotations);
+    });
+  }
+
+  return {
+    recommendations: recommendations.slice(0, useWebSearch ? MAX_RESEARCHED : MAX_SIMILAR),
+    rejected,
+    repaired
+  };
+}
+
+module.exports = {
+  extractSourcesForRecommendation,
+  parseRecommendationResponse
+};
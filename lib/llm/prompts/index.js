@@ -0,0 +1,83 @@
+/**
+ * Prompt registry for "generate recommendations for artist X"
+ *
+ * Every prompt version lives in its own module and is never edited once it
+ * has been used: a change to the wording or output format is a new version,
+ * so snapshots and evaluation recordings always point at the exact prompts
+ * that produced them. Each version exposes:
+ *   version            -> registry key, recorded with snapshots and usage
+ *   description        -> one line on what sets it apart
+ *   structuredOutput   -> whether the shared schema is sent as the response format
+ *   build(options)     -> { system, user } for one artist; versions before 3
+ *                         ignore the research options (../research) and
+ *                         version 3 their languages, which are all still
+ *                         enforced on the output
+ *
+ * Every provider sends the same prompts so their output is comparable. The
+ * app and the cache script use LLM_PROMPT_VERSION, or the latest version;
+ * scripts/evaluate-prompts.js scores versions against each other.
+ */
+
+const PROMPTS = [
+  require('./v1'),
+  require('./v2'),
+  require('./v3'),
+  require('./v4')
+];
+
+const PROMPT_VERSIONS = PROMPTS.map(prompt => prompt.version);
+
+const LATEST_PROMPT_VERSION = PROMPT_VERSIONS[PROMPT_VERSIONS.length - 1];
+
+function resolvePromptVersion() {
+  return process.env.LLM_PROMPT_VERSION || LATEST_PROMPT_VERSION;
+}
+
+/**
+ * Look up a prompt version
+ * @param {string} version - Registry key
+ * @returns {Object} - Prompt module
+ */
+function getPrompt(version) {
+  const prompt = PROMPTS.find(candidate => candidate.version === String(version));
+
+  if (!prompt) {
+    throw new Error(`Unknown prompt version "${version}" (expected one of: ${PROMPT_VERSIONS.join(', ')})`);
+  }
+
+  return prompt;
+}
+
+/**
+ * Build the system and user prompts for one artist
+ * @param {Object} options
+ * @param {string} options.artistName - The name of the artist
+ * @param {string} options.artistId - Spotify ID of the artist (optional)
+ * @param {boolean} options.useWebSearch - Research real recommendations (true) or suggest similar music
+ * @param {Object} options.research - Normalized research options (see ../research)
+ * @param {string} options.version - Prompt version (defaults to resolvePromptVersion())
+ * @returns {Object} - { version, system, user, structuredOutput }
+ */
+function buildRecommendationPrompts({
+  artistName,
+  artistId = null,
+  useWebSearch = true,
+  research,
+  version = resolvePromptVersion()
+}) {
+  const prompt = getPrompt(version);
+
+  return {
+    version: prompt.version,
+    ...prompt.build({ artistName, artistId, useWebSearch, research }),
+    structuredOutput: prompt.structuredOutput
+  };
+}
+
+module.exports = {
+  PROMPT_VERSIONS,
+  LATEST_PROMPT_VERSION,
+  resolvePromptVersion,
+  getPrompt,
+  buildRecommendationPrompts
+};
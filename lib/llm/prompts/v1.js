@@ -0,0 +1,80 @@
+/**
+ * Prompt version 1
+ * The app's and the cache script's prompts as first consolidated: records
+ * come back as a bare JSON array, without structured output. Kept so
+ * recordings made with it can still be evaluated against later versions.
+ */
+
+/**
+ * Build the system and user prompts for one artist
+ * @param {Object} options
+ * @param {string} options.artistName - The name of the artist
+ * @param {string} options.artistId - Spotify ID of the artist (optional)
+ * @param {boolean} options.useWebSearch - Research real recommendations (true) or suggest similar music
+ * @returns {Object} - { system, user }
+ */
+function build({ artistName, artistId = null, useWebSearch = true }) {
+  if (!useWebSearch) {
+    return {
+      system: `You are an expert on modern music. ` +
+        `Provide 6 artists, albums, or songs similar to ${artistName}. ` +
+        `Return ONLY a JSON array with objects containing "name" (artist/album/song name), ` +
+        `"type" (artist|album|song), and "reason" (brief explanation why it's similar). ` +
+        `Each reason should be conversational and limited to 100 characters max. ` +
+        `Output format: [{name:"Name", type:"artist|album|song", reason:"Brief reason"}]. ` +
+        `No text or code fences before or after the JSON.`,
+      user: `Give me 6 music recommendations similar to ${artistName}. Include only artists, albums, or songs that real fans of ${artistName} would enjoy, with a focus on similar style and sound.`
+    };
+  }
+
+  return {
+    system: `You are a music-industry research specialist with full websearch access. ` +
+      `Find the MOST RECENT (past 12 months) instances where ${artistName} has ` +
+      `EXPLICITLY recommended another artist, album, or song—only in interviews, podcasts, ` +
+      `YouTube videos, or social-media posts (no hearsay). ` +
+      `For each entry you must:` +
+      `\n  • Verify that the sourceUrl responds over HTTPS with HTTP 200.` +
+      `\n  • Only use domains ending in .com, .org, or .net.` +
+      `\n  • Extract: name, type (artist|album|song), exact quote, year, month, source type, domain, author (if known).` +
+      `\nCRITICAL:` +
+      `\n 1) Output only valid JSON: an array starting with "[" and ending with "]".` +
+      `\n 2) Do NOT wrap in code fences or add any text before/after.` +
+      `\n 3) If nothing is found, return \`[]\` exactly.`,
+    user: `Search for instances in the last 12 months where ${artistName}${artistId ? ` (id: ${artistId})` : ''} ` +
+      `has explicitly recommended music to others (artist, album, or song) in interviews, ` +
+      `podcasts, YouTube videos, or social-media posts.  
+
+       For each recommendation, verify that the URL:  
+       • Uses HTTPS  
+       • Returns HTTP status 200  
+       • Is on a .com, .org, or .net domain  
+
+       Output **only** a JSON array of objects with exactly these fields:
+       [
+         {
+           "name":        "Artist/Album/Song Name",
+           "type":        "artist|album|song",
+           "quote":       "Exact excerpt of recommendation",
+           "year":        "YYYY",
+           "month":       "MM",
+           "source":      "Interview|Podcast|YouTube|Social media",
+           "domain":      "example.com", 
+           "author":      "Interviewer or poster name (if known)",
+           "sourceUrl":   "https://…"
+         },
+         …
+       ]
+
+       **IMPORTANT:**
+       - Do not include any text before or after the JSON.
+       - If any record fails URL or domain validation, omit it.
+       - If you find no valid recommendations, return \`[]\`.`
+  };
+}
+
+module.exports = {
+  version: '1',
+  description: 'Bare JSON array, no structured output',
+  structuredOutput: false,
+  build
+};
@@ -0,0 +1,87 @@
+/**
+ * Prompt version 3
+ * Version 2 with the research window, source types and domain lists taken
+ * from the call's research options (see ../research) instead of fixed text.
+ */
+
+const { normalizeResearchOptions, describeResearchOptions } = require('../research');
+
+/**
+ * Build the system and user prompts for one artist
+ * @param {Object} options
+ * @param {string} options.artistName - The name of the artist
+ * @param {string} options.artistId - Spotify ID of the artist (optional)
+ * @param {boolean} options.useWebSearch - Research real recommendations (true) or suggest similar music
+ * @param {Object} options.research - Normalized research options (defaults apply when missing)
+ * @returns {Object} - { system, user }
+ */
+function build({ artistName, artistId = null, useWebSearch = true, research = normalizeResearchOptions() }) {
+  if (!useWebSearch) {
+    return {
+      system: `You are an expert on modern music. ` +
+        `Provide 6 artists, albums, or songs similar to ${artistName}. ` +
+        `Return ONLY a JSON object whose "recommendations" array holds objects containing "name" (artist/album/song name), ` +
+        `"type" (artist|album|song), and "reason" (brief explanation why it's similar). ` +
+        `Each reason should be conversational and limited to 100 characters max. ` +
+        `Output format: {"recommendations": [{"name": "Name", "type": "artist|album|song", "reason": "Brief reason"}]}. ` +
+        `No text or code fences before or after the JSON.`,
+      user: `Give me 6 music recommendations similar to ${artistName}. Include only artists, albums, or songs that real fans of ${artistName} would enjoy, with a focus on similar style and sound.`
+    };
+  }
+
+  const constraints = describeResearchOptions(research);
+  const sourceTypes = research.sourceTypes.join('|');
+
+  return {
+    system: `You are a music-industry research specialist with full websearch access. ` +
+      `Find the MOST RECENT instances within ${constraints.window} where ${artistName} has ` +
+      `EXPLICITLY recommended another artist, album, or song—only in these kinds of source: ` +
+      `${constraints.sourceTypes} (no hearsay). ` +
+      `For each entry you must:` +
+      `\n  • Verify that the sourceUrl responds over HTTPS with HTTP 200.` +
+      `\n  • Only use ${constraints.domains}.` +
+      `\n  • Extract: name, type (artist|album|song), exact quote, year, month, source type, domain, author (if known).` +
+      `\nCRITICAL:` +
+      `\n 1) Output only valid JSON: an object with a "recommendations" array.` +
+      `\n 2) Do NOT wrap in code fences or add any text before/after.` +
+      `\n 3) Use null for any field you cannot verify.` +
+      `\n 4) If nothing is found, return \`{"recommendations": []}\` exactly.`,
+    user: `Search for instances within ${constraints.window} where ${artistName}${artistId ? ` (id: ${artistId})` : ''} ` +
+      `has explicitly recommended music to others (artist, album, or song) in any of: ` +
+      `${constraints.sourceTypes}.  
+
+       For each recommendation, verify that the URL:  
+       • Uses HTTPS  
+       • Returns HTTP status 200  
+       • Is on one of these: ${constraints.domains}  
+
+       Output **only** a JSON object whose "recommendations" array holds objects with exactly these fields
+       (null when unknown):
+       {"recommendations": [
+         {
+           "name":        "Artist/Album/Song Name",
+           "type":        "artist|album|song",
+           "quote":       "Exact excerpt of recommendation",
+           "year":        "YYYY",
+           "month":       "MM",
+           "source":      "${sourceTypes}",
+           "domain":      "example.com", 
+           "author":      "Interviewer or poster name (if known)",
+           "sourceUrl":   "https://…"
+         },
+         …
+       ]}
+
+       **IMPORTANT:**
+       - Do not include any text before or after the JSON.
+       - If any record fails URL or domain validation, or falls outside the dates above, omit it.
+       - If you find no valid recommendations, return \`{"recommendations": []}\`.`
+  };
+}
+
+module.exports = {
+  version: '3',
+  description: 'Research window, source types and domains from the call options',
+  structuredOutput: true,
+  build
+};
@@ -0,0 +1,248 @@
+/**
+ * Repair pass for model output
+ * Salvages what it can from partially valid responses: pulls the JSON out of
+ * surrounding text, fixes records that are close (type synonyms, numeric
+ * years, month names, missing domains, "original" quotes that are English),
+ * drops optional fields that can't be fixed and rejects only the records that
+ * still fail the shared schema, with the reasons why.
+ */
+
+const { recommendationSchema, validateAgainstSchema } = require('./schema');
+
+// Candidate JSON fragments, most specific first
+const JSON_PATTERNS = [
+  /```(?:json)?\s*([[{][\s\S]*?[\]}])\s*```/m,
+  /\{\s*"recommendations"\s*:\s*\[[\s\S]*\]\s*\}/m,
+  /\[\s*\{[\s\S]*\}\s*\]/m,
+  /\[\s*\{[\s\S]*?\}\s*\]/m,
+  /\{[\s\S]*?"name"[\s\S]*?\}/m
+];
+
+const TYPE_SYNONYMS = {
+  band: 'artist',
+  group: 'artist',
+  musician: 'artist',
+  singer: 'artist',
+  record: 'album',
+  lp: 'album',
+  ep: 'album',
+  track: 'song',
+  single: 'song'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Loosen common near-JSON: trailing commas, unquoted keys, Python literals
+// outside string literals, so quote text keeps its own commas and colons
+function sanitizeJson(text) {
+  // Splitting on a capture group leaves the string literals at odd indexes
+  return text
+    .split(/("(?:[^"\\]|\\.)*")/)
+    .map((part, index) => (index % 2 === 1 ? part : part
+      .replace(/,\s*([\]}])/g, '$1')
+      .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+      .replace(/:\s*True\b/g, ': true')
+      .replace(/:\s*False\b/g, ': false')
+      .replace(/:\s*None\b/g, ': null')))
+    .join('');
+}
+
+function tryParse(text) {
+  for (const candidate of [text, sanitizeJson(text)]) {
+    try {
+      return { ok: true, value: JSON.parse(candidate) };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return { ok: false };
+}
+
+// Accept [records], { recommendations: [records] } or a single record
+function toRecordList(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.recommendations)) return value.recommendations;
+  if (value && typeof value === 'object') return [value];
+  return null;
+}
+
+/**
+ * Find the recommendation records in a model response
+ * @param {string} text - Raw model output
+ * @returns {Array|null} - Raw records, or null when no JSON could be found
+ */
+function extractRecords(text) {
+  const trimmed = (text || '').trim();
+
+  if (!trimmed) {
+    return null;
+  }
+
+  const whole = tryParse(trimmed);
+  if (whole.ok && toRecordList(whole.value)) {
+    return toRecordList(whole.value);
+  }
+
+  for (const pattern of JSON_PATTERNS) {
+    const match = trimmed.match(pattern);
+
+    if (match) {
+      const parsed = tryParse(match[1] || match[0]);
+      if (parsed.ok && toRecordList(parsed.value)) {
+        return toRecordList(parsed.value);
+      }
+    }
+  }
+
+  return null;
+}
+
+function normalizeMonth(value) {
+  const text = String(value).trim().toLowerCase();
+  const monthIndex = MONTHS.findIndex(month => month.startsWith(text.slice(0, 3)) && text.length >= 3);
+
+  if (monthIndex !== -1) {
+    return String(monthIndex + 1).padStart(2, '0');
+  }
+
+  return /^\d{1,2}$/.test(text) ? text.padStart(2, '0') : text;
+}
+
+function domainFromUrl(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fix up one raw record before validation
+ * @param {Object} raw - Record as the model produced it
+ * @param {Object} schema - Record schema
+ * @returns {Object} - { record, repairs }
+ */
+function normalizeRecord(raw, schema) {
+  const repairs = [];
+  const record = {};
+
+  Object.entries(raw).forEach(([field, value]) => {
+    if (!schema.properties[field]) {
+      repairs.push(`dropped unexpected field ${field}`);
+      return;
+    }
+
+    if (typeof value === 'number') {
+      record[field] = String(value);
+    } else if (typeof value === 'string') {
+      record[field] = value.trim() === '' ? null : value.trim();
+    } else {
+      record[field] = value;
+    }
+  });
+
+  if (typeof record.type === 'string') {
+    const type = record.type.toLowerCase();
+    record.type = TYPE_SYNONYMS[type] || type;
+    if (TYPE_SYNONYMS[type]) repairs.push(`mapped type ${type} to ${record.type}`);
+  }
+
+  if (typeof record.year === 'string') {
+    const year = record.year.match(/\b(19|20)\d{2}\b/);
+    record.year = year ? year[0] : record.year;
+  }
+
+  if (typeof record.month === 'string') {
+    record.month = normalizeMonth(record.month);
+  }
+
+  if (typeof record.domain === 'string') {
+    record.domain = record.domain.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  }
+
+  if (typeof record.quoteLanguage === 'string') {
+    record.quoteLanguage = record.quoteLanguage.toLowerCase();
+  }
+
+  // An English quote needs no original, and a copy of the quote isn't one
+  if (record.originalQuote && (record.quoteLanguage === 'en' || record.originalQuote === record.quote)) {
+    record.originalQuote = null;
+    repairs.push('dropped originalQuote that repeats the quote');
+  }
+
+  if ('domain' in schema.properties && !record.domain && typeof record.sourceUrl === 'string') {
+    record.domain = domainFromUrl(record.sourceUrl);
+    if (record.domain) repairs.push('derived domain from sourceUrl');
+  }
+
+  // Structured output spells unknown optional values as null
+  schema.required.forEach(field => {
+    if (!(field in record) && [].concat(schema.properties[field].type).includes('null')) {
+      record[field] = null;
+    }
+  });
+
+  return { record, repairs };
+}
+
+// Drop null fields so stored records only carry what is known
+function compact(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Validate and repair raw records against the shared schema
+ * @param {Array} rawRecords - Records extracted from the response
+ * @param {Object} options
+ * @param {boolean} options.useWebSearch - Researched (true) or similar-music records
+ * @returns {Object} - { recommendations, rejected: [{ index, name, stage, reasons }], repaired: [{ index, name, repairs }] }
+ */
+function repairRecords(rawRecords, { useWebSearch = true } = {}) {
+  const schema = recommendationSchema(useWebSearch);
+  const recommendations = [];
+  const rejected = [];
+  const repaired = [];
+
+  rawRecords.forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      rejected.push({ index, name: null, stage: 'schema', reasons: ['not an object'] });
+      return;
+    }
+
+    const { record, repairs } = normalizeRecord(raw, schema);
+    const errors = validateAgainstSchema(record, schema);
+
+    // Optional (nullable) fields that still fail are dropped; anything else rejects the record
+    const fatal = errors.filter(error => !error.field || ![].concat(schema.properties[error.field]?.type).includes('null'));
+
+    if (fatal.length > 0) {
+      rejected.push({
+        index,
+        name: typeof raw.name === 'string' ? raw.name : null,
+        stage: 'schema',
+        reasons: fatal.map(error => error.message)
+      });
+      return;
+    }
+
+    errors.forEach(error => {
+      record[error.field] = null;
+      repairs.push(`dropped ${error.message}`);
+    });
+
+    recommendations.push(compact(record));
+
+    if (repairs.length > 0) {
+      repaired.push({ index, name: record.name, repairs });
+    }
+  });
+
+  return { recommendations, rejected, repaired };
+}
+
+module.exports = {
+  sanitizeJson,
+  extractRecords,
+  normalizeRecord,
+  repairRecords
+};
@@ -0,0 +1,259 @@
+/**
+ * Research constraints for "find recommendations artist X made"
+ * The research window, the source types that count and the domains a source
+ * may (or may not) live on are parameters of the generation call rather than
+ * wording baked into the prompt. They are normalized once, passed to the
+ * prompt, enforced on what comes back (see applyResearchConstraints) and
+ * stored with the cached result and its snapshot, so every list records the
+ * constraints that produced it.
+ *
+ * Options (all optional):
+ *   months          -> window ending today, in months (default 12 when there is no from)
+ *   from, to        -> fixed window as YYYY-MM-DD dates (to defaults to today); months wins
+ *   sourceTypes     -> e.g. ['Interview', 'Podcast', 'YouTube', 'Social media']
+ *   allowedDomains  -> top-level domains or domains a source may be on ('com', 'bbc.co.uk')
+ *   deniedDomains   -> domains a source may never be on; wins over allowedDomains
+ *   languages       -> ISO 639-1 codes of the languages to search in (default ['en']);
+ *                      quotes in other languages are kept with an English translation
+ */
+
+const DEFAULT_WINDOW_MONTHS = 12;
+const DEFAULT_SOURCE_TYPES = ['Interview', 'Podcast', 'YouTube', 'Social media'];
+const DEFAULT_ALLOWED_DOMAINS = ['com', 'org', 'net'];
+const DEFAULT_LANGUAGES = ['en'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+function invalid(message) {
+  const error = new Error(`Invalid research options: ${message}`);
+  error.code = 'INVALID_RESEARCH_OPTIONS';
+  return error;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(value, field) {
+  if (!DATE_PATTERN.test(String(value)) || Number.isNaN(Date.parse(value))) {
+    throw invalid(`${field} must be a YYYY-MM-DD date`);
+  }
+  return String(value);
+}
+
+function monthsBefore(date, months) {
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCMonth(start.getUTCMonth() - months);
+  return toDateString(start);
+}
+
+// Comma-separated strings (query strings, form fields) or arrays
+function toList(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+
+  if (list.some(item => typeof item !== 'string')) {
+    throw invalid(`${field} must be a list of strings`);
+  }
+
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+function toDomainList(value, field) {
+  const list = toList(value, field);
+  return list && list.map(domain => domain.toLowerCase().replace(/^\*?\./, ''));
+}
+
+function toLanguageList(value, field) {
+  const list = toList(value, field);
+  const languages = list && [...new Set(list.map(language => language.toLowerCase()))];
+
+  if (languages && languages.some(language => !LANGUAGE_PATTERN.test(language))) {
+    throw invalid(`${field} must be ISO 639-1 language codes such as en, pt or ja`);
+  }
+
+  return languages;
+}
+
+// "pt" -> "Portuguese", or the code itself where Intl has no names
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Fill in defaults and check research options
+ * A window given in months is re-anchored to today every time it is
+ * normalized, so stored options can be reused for the next refresh.
+ * @param {Object} options - See the module comment
+ * @param {Date} now - Reference date for relative windows
+ * @returns {Object} - { months, from, to, sourceTypes, allowedDomains, deniedDomains, languages }
+ * @throws {Error} - With code INVALID_RESEARCH_OPTIONS
+ */
+function normalizeResearchOptions(input = null, now = new Date()) {
+  const options = input ?? {};
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw invalid('expected an object');
+  }
+
+  const relative = (options.months !== undefined && options.months !== null) || !options.from;
+  const months = relative ? Number(options.months ?? DEFAULT_WINDOW_MONTHS) : null;
+  const to = !relative && options.to ? parseDate(options.to, 'to') : toDateString(now);
+  let from;
+
+  if (relative) {
+    if (!Number.isInteger(months) || months < 1) {
+      throw invalid('months must be a whole number of at least 1');
+    }
+
+    from = monthsBefore(to, months);
+  } else {
+    from = parseDate(options.from, 'from');
+  }
+
+  if (from > to) {
+    throw invalid(`from (${from}) is after to (${to})`);
+  }
+
+  const sourceTypes = toList(options.sourceTypes, 'sourceTypes') || DEFAULT_SOURCE_TYPES;
+  const allowedDomains = toDomainList(options.allowedDomains, 'allowedDomains') || DEFAULT_ALLOWED_DOMAINS;
+  const deniedDomains = toDomainList(options.deniedDomains, 'deniedDomains') || [];
+  const languages = toLanguageList(options.languages, 'languages') || DEFAULT_LANGUAGES;
+
+  if (sourceTypes.length === 0) {
+    throw invalid('sourceTypes must name at least one source type');
+  }
+
+  if (allowedDomains.length === 0) {
+    throw invalid('allowedDomains must name at least one domain');
+  }
+
+  if (languages.length === 0) {
+    throw invalid('languages must name at least one language');
+  }
+
+  return { months, from, to, sourceTypes, allowedDomains, deniedDomains, languages };
+}
+
+// "com" matches any .com host, "pitchfork.com" the site and its subdomains
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Why a host can't be used as a source under these constraints
+ * @param {string} hostname - Host of the source URL
+ * @param {Object} research - Normalized research options
+ * @returns {string|null} - Reason, or null when the host is allowed
+ */
+function domainProblem(hostname, { allowedDomains, deniedDomains }) {
+  const host = String(hostname).toLowerCase();
+
+  if (deniedDomains.some(domain => matchesDomain(host, domain))) {
+    return `${host} is on a denied domain`;
+  }
+
+  if (!allowedDomains.some(domain => matchesDomain(host, domain))) {
+    return `${host} is not on an allowed domain (${allowedDomains.join(', ')})`;
+  }
+
+  return null;
+}
+
+function hostOf(rec) {
+  try {
+    return new URL(rec.sourceUrl).hostname;
+  } catch (error) {
+    return rec.domain || null;
+  }
+}
+
+/**
+ * Reject researched recommendations that fall outside the constraints
+ * Unknown values (no date, source type, URL or quote language) pass; only a
+ * known value outside the window, source types, domains or languages rejects
+ * a record.
+ * @param {Array} recommendations - Schema-valid recommendations
+ * @param {Object} research - Normalized research options
+ * @returns {Object} - { recommendations, rejected: [{ index, name, stage, reasons }] }
+ */
+function applyResearchConstraints(recommendations, research) {
+  const sourceTypes = research.sourceTypes.map(type => type.toLowerCase());
+  // Options stored before languages existed searched in English only
+  const languages = research.languages || DEFAULT_LANGUAGES;
+  const kept = [];
+  const rejected = [];
+
+  recommendations.forEach((rec, index) => {
+    const reasons = [];
+
+    // Compared by month: a record dated to its year only is in the window if any of that year is
+    if (rec.year) {
+      const first = `${rec.year}-${rec.month || '01'}`;
+      const last = `${rec.year}-${rec.month || '12'}`;
+
+      if (last < research.from.slice(0, 7) || first > research.to.slice(0, 7)) {
+        reasons.push(`dated ${rec.month ? first : rec.year}, outside ${research.from} to ${research.to}`);
+      }
+    }
+
+    if (rec.source && !sourceTypes.includes(rec.source.toLowerCase())) {
+      reasons.push(`source type ${rec.source} is not one of ${research.sourceTypes.join(', ')}`);
+    }
+
+    if (rec.quoteLanguage && !languages.includes(rec.quoteLanguage.toLowerCase())) {
+      reasons.push(`quote language ${rec.quoteLanguage} is not one of ${languages.join(', ')}`);
+    }
+
+    const host = hostOf(rec);
+    const problem = host && domainProblem(host, research);
+
+    if (problem) {
+      reasons.push(problem);
+    }
+
+    if (reasons.length > 0) {
+      rejected.push({ index, name: rec.name || null, stage: 'constraints', reasons });
+    } else {
+      kept.push(rec);
+    }
+  });
+
+  return { recommendations: kept, rejected };
+}
+
+/**
+ * The constraints in words, for prompts
+ * @param {Object} research - Normalized research options
+ * @returns {Object} - { window, sourceTypes, domains, languages }
+ */
+function describeResearchOptions({ months, from, to, sourceTypes, allowedDomains, deniedDomains, languages = DEFAULT_LANGUAGES }) {
+  const allowed = allowedDomains.map(domain => (domain.includes('.') ? domain : `.${domain}`));
+
+  return {
+    window: months ? `the past ${months} months (${from} to ${to})` : `${from} to ${to}`,
+    sourceTypes: sourceTypes.join(', '),
+    domains: `domains ending in ${allowed.join(', ')}` +
+      (deniedDomains.length > 0 ? `, never ${deniedDomains.join(', ')}` : ''),
+    languages: languages.map(code => `${languageName(code)} (${code})`).join(', ')
+  };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MONTHS,
+  DEFAULT_SOURCE_TYPES,
+  DEFAULT_ALLOWED_DOMAINS,
+  DEFAULT_LANGUAGES,
+  normalizeResearchOptions,
+  domainProblem,
+  applyResearchConstraints,
+  describeResearchOptions
+};
@@ -0,0 +1,131 @@
+/**
+ * The one schema every generated recommendation is checked against
+ * Sent to the model as a JSON-schema response format and used to validate
+ * whatever comes back, so the two can never drift apart.
+ */
+
+const RECOMMENDATION_TYPES = ['artist', 'album', 'song'];
+
+// A recommendation found through research: what was recommended and where
+const RESEARCHED_RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  // Structured outputs require every property; unknown values are null
+  required: ['name', 'type', 'quote', 'originalQuote', 'quoteLanguage', 'year', 'month', 'source', 'domain', 'author', 'sourceUrl'],
+  properties: {
+    name: { type: 'string', pattern: '\\S', description: 'Artist, album or song name' },
+    type: { type: 'string', enum: RECOMMENDATION_TYPES },
+    quote: { type: 'string', pattern: '\\S', description: 'Exact excerpt of the recommendation, translated to English if said in another language' },
+    originalQuote: { type: ['string', 'null'], pattern: '\\S', description: 'Exact excerpt in the language it was said in, when not English' },
+    quoteLanguage: { type: ['string', 'null'], pattern: '^[a-z]{2,3}$', description: 'ISO 639-1 code of the language the quote was said in' },
+    year: { type: ['string', 'null'], pattern: '^\\d{4}$' },
+    month: { type: ['string', 'null'], pattern: '^(0[1-9]|1[0-2])$' },
+    source: { type: ['string', 'null'], description: 'Interview, Podcast, YouTube or Social media' },
+    domain: { type: ['string', 'null'], pattern: '^[a-z0-9.-]+\\.[a-z]{2,}$' },
+    author: { type: ['string', 'null'], description: 'Interviewer or poster name' },
+    sourceUrl: { type: ['string', 'null'], pattern: '^https://' }
+  }
+};
+
+// A similar-music suggestion (used when web search is off)
+const SIMILAR_RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'type', 'reason'],
+  properties: {
+    name: { type: 'string', pattern: '\\S' },
+    type: { type: 'string', enum: RECOMMENDATION_TYPES },
+    reason: { type: 'string', pattern: '\\S', description: 'Why it is similar, 100 characters max' }
+  }
+};
+
+function recommendationSchema(useWebSearch = true) {
+  return useWebSearch ? RESEARCHED_RECOMMENDATION_SCHEMA : SIMILAR_RECOMMENDATION_SCHEMA;
+}
+
+/**
+ * JSON-schema response format for a chat completion
+ * Structured outputs need an object at the top level, so the records are
+ * wrapped in { recommendations: [...] }.
+ * @param {boolean} useWebSearch - Researched (true) or similar-music records
+ * @returns {Object} - response_format value
+ */
+function recommendationResponseFormat(useWebSearch = true) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: useWebSearch ? 'artist_recommendations' : 'similar_music',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['recommendations'],
+        properties: {
+          recommendations: { type: 'array', items: recommendationSchema(useWebSearch) }
+        }
+      }
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used above
+ * (type, enum, pattern, required, properties, additionalProperties)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Field path used in messages
+ * @returns {Array<Object>} - { field, message } per problem; empty when valid
+ */
+function validateAgainstSchema(value, schema, path = '') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return [{ field: path, message: `${path || 'value'} should be ${types.join(' or ')}, got ${actual}` }];
+  }
+
+  const errors = [];
+
+  if (actual === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ field: path, message: `${path} should be one of ${schema.enum.join(', ')}, got "${value}"` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: path, message: `${path} "${value}" doesn't match ${schema.pattern}` });
+    }
+  }
+
+  if (actual === 'object' && schema.properties) {
+    (schema.required || []).forEach(field => {
+      if (!(field in value)) {
+        errors.push({ field, message: `missing ${field}` });
+      }
+    });
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      if (schema.properties[field]) {
+        errors.push(...validateAgainstSchema(fieldValue, schema.properties[field], field));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field, message: `unexpected field ${field}` });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  RECOMMENDATION_TYPES,
+  RESEARCHED_RECOMMENDATION_SCHEMA,
+  SIMILAR_RECOMMENDATION_SCHEMA,
+  recommendationSchema,
+  recommendationResponseFormat,
+  validateAgainstSchema
+};
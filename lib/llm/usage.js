@@ -0,0 +1,190 @@
+/**
+ * Token usage and cost accounting
+ * Every generation call reports what it used (tokens, web searches, latency)
+ * and what that cost, priced from data/llm-pricing.json (USD; keep it in step
+ * with the vendor's price list). Records are persisted through storage so the
+ * app, the debug route and the cache script can all be audited, and the cache
+ * script uses a tracker to stop a run once it goes over budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING_PATH = path.join(process.cwd(), 'data', 'llm-pricing.json');
+
+let pricingCache = null;
+
+/**
+ * Per-model prices: { [model]: { inputPerMillion, outputPerMillion, webSearchPerCall } }
+ * @param {string} pricingPath - JSON file (defaults to LLM_PRICING_PATH, then data/llm-pricing.json)
+ * @returns {Object}
+ */
+function loadPricing(pricingPath = process.env.LLM_PRICING_PATH || DEFAULT_PRICING_PATH) {
+  if (!pricingCache || pricingCache.path !== pricingPath) {
+    pricingCache = { path: pricingPath, prices: JSON.parse(fs.readFileSync(pricingPath, 'utf8')) };
+  }
+  return pricingCache.prices;
+}
+
+/**
+ * Estimated cost of one call
+ * @param {string} model - Model name
+ * @param {Object} usage - { promptTokens, completionTokens, webSearchCalls }
+ * @param {Object} pricing - Price table (defaults to loadPricing())
+ * @returns {number|null} - USD, or null when the model has no price
+ */
+function estimateCost(model, { promptTokens = 0, completionTokens = 0, webSearchCalls = 0 }, pricing = loadPricing()) {
+  const price = pricing[model];
+
+  if (!price) {
+    return null;
+  }
+
+  const cost = (promptTokens * (price.inputPerMillion || 0) +
+    completionTokens * (price.outputPerMillion || 0)) / 1e6 +
+    webSearchCalls * (price.webSearchPerCall || 0);
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Usage of one generation call, with its estimated cost
+ * @param {Object} options
+ * @param {string} options.provider - Provider name
+ * @param {string} options.model - Model name
+ * @param {number} options.promptTokens - Input tokens
+ * @param {number} options.completionTokens - Output tokens
+ * @param {number} options.webSearchCalls - Web searches billed for the call
+ * @param {number} options.latencyMs - Wall-clock time of the call
+ * @returns {Object} - { provider, model, promptTokens, completionTokens, totalTokens, webSearchCalls, latencyMs, costUsd }
+ */
+function buildUsage({ provider, model, promptTokens = 0, completionTokens = 0, webSearchCalls = 0, latencyMs = 0 }) {
+  return {
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    webSearchCalls,
+    latencyMs,
+    costUsd: estimateCost(model, { promptTokens, completionTokens, webSearchCalls })
+  };
+}
+
+/**
+ * Storage row for one call
+ * @param {Object} options
+ * @param {string} options.artistName - Artist the call was for
+ * @param {string} options.artistId - Spotify ID of the artist
+ * @param {Object} options.usage - Result of buildUsage()
+ * @param {string} options.source - Caller: app, debug, cache-script or eval
+ * @param {string} options.runId - Script run the call belongs to, if any
+ * @param {boolean} options.success - Whether the call produced recommendations
+ * @returns {Object} - Record ready for storage.addUsage()
+ */
+function toUsageRecord({ artistName, artistId, usage, source, runId = null, success = true }) {
+  return {
+    artist_name: artistName,
+    artist_spotify_id: artistId || null,
+    provider: usage.provider,
+    model: usage.model,
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.totalTokens,
+    web_search_calls: usage.webSearchCalls,
+    latency_ms: usage.latencyMs,
+    cost_usd: usage.costUsd,
+    source,
+    run_id: runId,
+    success,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Spending cap for one cache run
+ * @returns {number|null} - LLM_BUDGET_USD, or null for no cap
+ */
+function getBudgetUsd() {
+  const budget = parseFloat(process.env.LLM_BUDGET_USD);
+  return budget > 0 ? budget : null;
+}
+
+// Window of the app's spending cap
+const DAILY_BUDGET_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Spending cap for the app's generations (background refreshes, on-demand
+ * jobs and the debug route), over the last DAILY_BUDGET_WINDOW_MS
+ * @returns {number|null} - LLM_DAILY_BUDGET_USD, or null for no cap
+ */
+function getDailyBudgetUsd() {
+  const budget = parseFloat(process.env.LLM_DAILY_BUDGET_USD);
+  return budget > 0 ? budget : null;
+}
+
+/**
+ * Error for a call refused because a budget is spent
+ * @param {number} spentUsd - Estimated spend so far
+ * @param {number} budgetUsd - Cap in USD
+ * @returns {Error} - With code LLM_BUDGET_EXCEEDED
+ */
+function budgetExceededError(spentUsd, budgetUsd) {
+  const error = new Error(`LLM budget of $${budgetUsd.toFixed(2)} spent ($${spentUsd.toFixed(4)} so far)`);
+  error.code = 'LLM_BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Running totals for a batch of calls, checked against an optional budget
+ * @param {Object} options
+ * @param {number|null} options.budgetUsd - Cap in USD; null for none
+ * @returns {Object} - { add, entries, totals, isOverBudget }
+ */
+function createUsageTracker({ budgetUsd = null } = {}) {
+  const entries = [];
+
+  function totals() {
+    const sum = field => entries.reduce((total, { usage }) => total + (usage[field] || 0), 0);
+
+    return {
+      calls: entries.length,
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      totalTokens: sum('totalTokens'),
+      webSearchCalls: sum('webSearchCalls'),
+      costUsd: Math.round(sum('costUsd') * 1e6) / 1e6,
+      // Calls whose model has no price, so their cost is missing from costUsd
+      unpricedCalls: entries.filter(({ usage }) => usage.costUsd === null).length,
+      averageLatencyMs: entries.length > 0 ? Math.round(sum('latencyMs') / entries.length) : 0,
+      budgetUsd
+    };
+  }
+
+  return {
+    add(artistName, usage) {
+      entries.push({ artistName, usage });
+    },
+
+    entries,
+
+    totals,
+
+    isOverBudget() {
+      return budgetUsd !== null && totals().costUsd > budgetUsd;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING_PATH,
+  loadPricing,
+  estimateCost,
+  buildUsage,
+  toUsageRecord,
+  getBudgetUsd,
+  DAILY_BUDGET_WINDOW_MS,
+  getDailyBudgetUsd,
+  budgetExceededError,
+  createUsageTracker
+};
@@ -0,0 +1,105 @@
+/**
+ * Offline stand-in for Spotify
+ * With the mock LLM provider and no Spotify credentials, the app, API routes
+ * and cache script run without network access: artists get a stable
+ * "mock-<slug>" ID and no image, and recommendations are cached without a
+ * catalog match. Same interfaces as lib/spotify-client and
+ * lib/spotify-resolver. Shared by the app and the cache script (CommonJS).
+ */
+
+const { canonicalSlug } = require('./slugs');
+const { resolveProvider } = require('./llm');
+
+/**
+ * Whether Spotify is stood in for: the mock provider is in use and no
+ * Spotify credentials are set
+ * @returns {boolean}
+ */
+function isOfflineSpotify() {
+  return resolveProvider() === 'mock' && !(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+}
+
+/**
+ * Made-up ID of an artist, the same for the same name
+ * @param {string} name - Artist name
+ * @returns {string}
+ */
+function offlineArtistId(name) {
+  return `mock-${canonicalSlug(name)}`;
+}
+
+/**
+ * Spotify client stand-in: every search finds one artist named like the query
+ * @returns {Object} - { getAccessToken, request, searchArtists, getArtists, getArtist, fetch }
+ */
+function createOfflineSpotifyClient() {
+  // Names seen in searches, so lookups by ID can give them back
+  const names = new Map();
+
+  const toDetails = id => ({ id, name: names.get(id) || id, image: null });
+
+  function find(query) {
+    const id = offlineArtistId(query);
+    names.set(id, query);
+    return { id, name: query, image: null, uri: null };
+  }
+
+  return {
+    async getAccessToken() {
+      return 'offline';
+    },
+
+    // Only searches are answered, shaped like the Web API's response
+    async request(path) {
+      const params = new URLSearchParams(path.split('?')[1] || '');
+      const types = (params.get('type') || '').split(',');
+      const body = Object.fromEntries(types.map(type => [`${type}s`, { items: [] }]));
+
+      if (path.startsWith('/search') && types.includes('artist') && params.get('q')) {
+        const { id, name } = find(params.get('q'));
+        body.artists.items.push({ id, name, images: [], external_urls: {}, uri: null });
+      }
+
+      return { ok: true, status: 200, json: async () => body };
+    },
+
+    async searchArtists(query) {
+      return [find(query)];
+    },
+
+    async getArtists(ids) {
+      return new Map(ids.map(id => [id, toDetails(id)]));
+    },
+
+    async getArtist(id) {
+      return toDetails(id);
+    },
+
+    async fetch() {
+      throw new Error('Spotify is not available offline');
+    }
+  };
+}
+
+/**
+ * Resolver stand-in: recommendations pass through unmatched
+ * @returns {Object} - { resolveRecommendations, backfillRecommendations }
+ */
+function createOfflineResolver() {
+  return {
+    async resolveRecommendations(recommendations = []) {
+      return { recommendations, rejected: [], corrected: [] };
+    },
+
+    async backfillRecommendations(recommendations = []) {
+      return { recommendations, backfilled: 0, rejected: [] };
+    }
+  };
+}
+
+module.exports = {
+  isOfflineSpotify,
+  offlineArtistId,
+  createOfflineSpotifyClient,
+  createOfflineResolver
+};
@@ -0,0 +1,373 @@
+/**
+ * Quote verification
+ * Fetches the cited page, pulls out its readable text and looks for the
+ * recommendation's quote in it. Models paraphrase, trim and re-punctuate, so
+ * matching is fuzzy: words are compared after normalization and the best
+ * window on the page is scored by how many quote words it contains in order.
+ * A translated quote is looked for in its original language, and scripts
+ * written without spaces (Chinese, Japanese, Thai) are compared per character.
+ * Shared by the app and the cache script (CommonJS); the fetcher is injectable
+ * like the source verifier's.
+ */
+
+const { USER_AGENT, isSourceUnverified } = require('./source-verifier');
+
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+
+// Longest excerpt stored with a match
+const MAX_EXCERPT_LENGTH = 300;
+
+// Candidate windows scored in full after the cheap word-overlap pass
+const CANDIDATE_WINDOWS = 5;
+
+const TEXT_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–'
+};
+
+/**
+ * Minimum match score (0-1) for a quote to count as found
+ * @returns {number} - QUOTE_MATCH_THRESHOLD, or 0.8
+ */
+function getQuoteMatchThreshold() {
+  const threshold = parseFloat(process.env.QUOTE_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+}
+
+/**
+ * Whether a recommendation's quote was looked for on its source and not found
+ * @param {Object} rec - Recommendation
+ * @returns {boolean}
+ */
+function isQuoteUnverified(rec) {
+  return rec?.quoteVerification?.status === 'unverified';
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Readable text of an HTML document
+ * Page descriptions are kept too: social posts and videos often carry the
+ * words only there.
+ * @param {string} html - Document source
+ * @returns {string} - Text, one block per line
+ */
+function extractText(html) {
+  const descriptions = [...html.matchAll(/<meta\b[^>]*(?:name|property)=["'](?:description|og:description|twitter:description)["'][^>]*>/gi)]
+    .map(([tag]) => tag.match(/\bcontent=(["'])([\s\S]*?)\1/i)?.[2])
+    .filter(Boolean);
+
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|blockquote|tr|section|article)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities([...descriptions, body].join('\n'))
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Compare words without case, accents or punctuation
+function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Scripts written without spaces between words: each character counts as a word
+const UNSPACED_CHARACTER = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}]';
+const WORD_PATTERN = new RegExp(`${UNSPACED_CHARACTER}|(?:(?!${UNSPACED_CHARACTER})\\S)+`, 'gu');
+
+// Words of a text with where they start and end in it
+function splitWords(text) {
+  return [...text.matchAll(WORD_PATTERN)].map(match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  })).filter(entry => entry.word);
+}
+
+// Longest common subsequence of two word lists, with the matched positions in b
+function alignWords(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = a[i - 1] === b[j - 1]
+        ? table[i - 1][j - 1] + 1
+        : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+
+  const matched = [];
+  for (let i = a.length, j = b.length; i > 0 && j > 0;) {
+    if (a[i - 1] === b[j - 1]) {
+      matched.unshift(j - 1);
+      i--;
+      j--;
+    } else if (table[i - 1][j] >= table[i][j - 1]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Find the best match for a quote in a page's text
+ * @param {string} quote - Quote to look for
+ * @param {string} text - Page text
+ * @returns {Object} - { score: 0-1 share of quote words found in order, excerpt }
+ */
+function matchQuote(quote, text) {
+  const quoteWords = splitWords(quote).map(entry => entry.word);
+  const pageWords = splitWords(text);
+
+  if (quoteWords.length === 0 || pageWords.length === 0) {
+    return { score: 0, excerpt: null };
+  }
+
+  // Leave room for words the model dropped from the middle of the quote
+  const windowSize = Math.min(pageWords.length, quoteWords.length + Math.ceil(quoteWords.length / 4));
+
+  // Cheap pass: how many quote words each window contains, in any order
+  const wanted = new Map();
+  quoteWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  const seen = new Map();
+  let overlap = 0;
+  const add = word => {
+    const count = (seen.get(word) || 0) + 1;
+    seen.set(word, count);
+    if (count <= (wanted.get(word) || 0)) overlap++;
+  };
+  const remove = word => {
+    const count = seen.get(word);
+    seen.set(word, count - 1);
+    if (count <= (wanted.get(word) || 0)) overlap--;
+  };
+
+  const windows = [];
+  pageWords.forEach(({ word }, index) => {
+    add(word);
+    if (index >= windowSize) remove(pageWords[index - windowSize].word);
+    if (index >= windowSize - 1) windows.push({ start: index - windowSize + 1, overlap });
+  });
+
+  // Full pass: in-order alignment on the most promising windows
+  let best = { score: 0, excerpt: null };
+
+  windows
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, CANDIDATE_WINDOWS)
+    .forEach(({ start }) => {
+      const candidate = pageWords.slice(start, start + windowSize);
+      const matched = alignWords(quoteWords, candidate.map(entry => entry.word));
+      const score = matched.length / quoteWords.length;
+
+      if (score > best.score) {
+        const first = candidate[matched[0]].start;
+        const last = candidate[matched[matched.length - 1]].end;
+        best = { score, excerpt: text.slice(first, last).replace(/\s+/g, ' ').slice(0, MAX_EXCERPT_LENGTH) };
+      }
+    });
+
+  return { score: Math.round(best.score * 100) / 100, excerpt: best.excerpt };
+}
+
+// Read at most maxBytes of a response body, from a web stream or a Node stream
+async function readText(response, maxBytes) {
+  const decoder = new TextDecoder();
+  let text = '';
+  let size = 0;
+
+  const append = chunk => {
+    const part = chunk.subarray(0, maxBytes - size);
+    text += decoder.decode(part, { stream: true });
+    size += part.length;
+  };
+
+  if (response.body && typeof response.body.getReader === 'function') {
+    const reader = response.body.getReader();
+
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      append(value);
+    }
+    reader.cancel().catch(() => {});
+  } else if (response.body && typeof response.body.on === 'function') {
+    for await (const chunk of response.body) {
+      append(chunk);
+      if (size >= maxBytes) break;
+    }
+  } else {
+    return (await response.text()).slice(0, maxBytes);
+  }
+
+  return text + decoder.decode();
+}
+
+/**
+ * Create a quote verifier
+ * @param {Object} options
+ * @param {Function} options.fetcher - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.threshold - Minimum score for a match (defaults to QUOTE_MATCH_THRESHOLD)
+ * @param {number} options.timeoutMs - Per-page timeout, body included
+ * @param {number} options.maxBytes - Most of a page that is read
+ * @param {Object} options.logger - Anything with warn()
+ * @returns {Object} - { verifyQuote, verifyRecommendations }
+ */
+function createQuoteVerifier({
+  fetcher = fetch,
+  threshold = getQuoteMatchThreshold(),
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  logger = console
+} = {}) {
+  if (typeof fetcher !== 'function') {
+    throw new Error('Quote verification needs a fetch implementation');
+  }
+
+  async function fetchPageText(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetcher(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,text/plain' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+      if (contentType && !TEXT_CONTENT_TYPES.includes(contentType)) {
+        throw new Error(`${contentType} is not a text page`);
+      }
+
+      const body = await readText(response, maxBytes);
+      return contentType === 'text/plain' ? body : extractText(body);
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error(`timed out after ${timeoutMs}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function result(status, { score = null, excerpt = null, reason = null } = {}) {
+    return { status, score, excerpt, reason, checkedAt: new Date().toISOString() };
+  }
+
+  // Score a quote against page text already fetched (or the error fetching it)
+  function scoreQuote(quote, page) {
+    if (page.error) {
+      return result('unverified', { reason: `source page unavailable: ${page.error.message}` });
+    }
+
+    const { score, excerpt } = matchQuote(quote, page.text);
+
+    if (score >= threshold) {
+      return result('verified', { score, excerpt });
+    }
+
+    return result('unverified', {
+      score,
+      excerpt: score > 0 ? excerpt : null,
+      reason: score > 0 ? `best match ${Math.round(score * 100)}% of the quote` : 'quote not found on the page'
+    });
+  }
+
+  function loadPage(url) {
+    return fetchPageText(url).then(text => ({ text }), error => ({ error }));
+  }
+
+  /**
+   * Look for a quote on a page
+   * @param {string} quote - Quote to look for
+   * @param {string} url - Page the quote is attributed to
+   * @returns {Promise<Object>} - { status: 'verified'|'unverified', score, excerpt, reason, checkedAt }
+   */
+  async function verifyQuote(quote, url) {
+    return scoreQuote(quote, await loadPage(url));
+  }
+
+  /**
+   * Check the quotes of a list of recommendations against their sources
+   * Recommendations without a quote or source URL are left as they are; those
+   * whose source already failed verification are marked without a fetch.
+   * @param {Array} recommendations - Recommendations to check
+   * @returns {Promise<Array>} - Copies with quoteVerification attached
+   */
+  async function verifyRecommendations(recommendations = []) {
+    const pages = new Map();
+
+    const verified = await Promise.all(recommendations.map(async rec => {
+      if (!rec.quote || !rec.sourceUrl) {
+        return rec;
+      }
+
+      if (isSourceUnverified(rec)) {
+        return { ...rec, quoteVerification: result('unverified', { reason: 'source URL failed verification' }) };
+      }
+
+      // Read the page the source check ended up on, once per page
+      const url = rec.sourceVerification?.finalUrl || rec.sourceUrl;
+
+      if (!pages.has(url)) {
+        pages.set(url, loadPage(url));
+      }
+
+      // The page has the quote as said, not its translation
+      return { ...rec, quoteVerification: scoreQuote(rec.originalQuote || rec.quote, await pages.get(url)) };
+    }));
+
+    verified.filter(isQuoteUnverified).forEach(rec => {
+      logger.warn(`Unverified quote for ${rec.name}: ${rec.quoteVerification.reason}`);
+    });
+
+    return verified;
+  }
+
+  return { verifyQuote, verifyRecommendations };
+}
+
+module.exports = {
+  extractText,
+  matchQuote,
+  getQuoteMatchThreshold,
+  isQuoteUnverified,
+  createQuoteVerifier
+};
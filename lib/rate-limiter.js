@@ -0,0 +1,78 @@
+/**
+ * Fixed-window rate limiter
+ * Counts events per key in windows of windowMs; once a key has had `limit`
+ * events in its window, it waits for the next one. check() and record() are
+ * separate so several limiters can be consulted before any of them counts.
+ * State lives in the server process, like the job queue's. CommonJS, like
+ * the job queue.
+ */
+
+/**
+ * Create a limiter
+ * @param {Object} options
+ * @param {number} options.limit - Events allowed per key and window
+ * @param {number} options.windowMs - Window length
+ * @param {Function} options.now - Clock (ms)
+ * @returns {Object} - { check, record }
+ */
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  // key -> { start, count } of the key's current window
+  const windows = new Map();
+
+  function current(key) {
+    const window = windows.get(key);
+    return window && now() - window.start < windowMs ? window : null;
+  }
+
+  // Forget windows that have ended, so one-off keys don't pile up
+  function prune() {
+    windows.forEach((window, key) => {
+      if (now() - window.start >= windowMs) {
+        windows.delete(key);
+      }
+    });
+  }
+
+  return {
+    /**
+     * How long a key must wait before its next event
+     * @param {string} key - e.g. a client IP
+     * @returns {number} - ms to wait, 0 when the event is allowed now
+     */
+    check(key) {
+      const window = current(key);
+      return window && window.count >= limit ? window.start + windowMs - now() : 0;
+    },
+
+    /**
+     * Count an event for a key
+     * @param {string} key
+     */
+    record(key) {
+      const window = current(key);
+
+      if (window) {
+        window.count += 1;
+        return;
+      }
+
+      prune();
+      windows.set(key, { start: now(), count: 1 });
+    }
+  };
+}
+
+/**
+ * Error for a request turned away by a limiter
+ * @param {string} message - What was limited
+ * @param {number} retryAfterMs - How long to wait
+ * @returns {Error} - With code RATE_LIMITED and retryAfterMs
+ */
+function rateLimitedError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.code = 'RATE_LIMITED';
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+module.exports = { createRateLimiter, rateLimitedError };
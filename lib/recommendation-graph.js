@@ -0,0 +1,271 @@
+/**
+ * Recommendation graph
+ * The cached artists and what they recommend, as a directed graph: built from
+ * records the caller loads (see getAllCachedArtists in lib/supabase), then
+ * walked for neighborhoods and shortest paths. CommonJS, so the tests can
+ * load it.
+ */
+
+const { canonicalSlug: slugify } = require('./slugs');
+const { isSourceUnverified } = require('./source-verifier');
+
+// Upper bound on neighborhood depth so one request can't walk the whole cache
+const MAX_GRAPH_HOPS = 3;
+
+/**
+ * Node ID for a recommended entity or cached artist
+ * Entities matched on Spotify are keyed by their Spotify ID, so two artists
+ * sharing a name stay apart; the rest fall back to their slugified name.
+ * @param {string} type - artist, album or song
+ * @param {string} name - Entity name
+ * @param {string} spotifyId - Spotify ID, when known
+ * @returns {string} - e.g. "artist:spotify:4X42BfuhWCAZ2swiVze9O0" or "artist:steven-wilson"
+ */
+function nodeId(type, name, spotifyId = null) {
+  const kind = (type || 'artist').toLowerCase();
+  return spotifyId ? `${kind}:spotify:${spotifyId}` : `${kind}:${slugify(name)}`;
+}
+
+// Name-based key, shared by every entity of a type with that name
+function nameKey(type, name) {
+  return `${(type || 'artist').toLowerCase()}:${slugify(name)}`;
+}
+
+/**
+ * Build the directed recommendation graph from cached artist records
+ * Edges point from the recommending artist to what they recommended.
+ * A recommendation without a Spotify ID joins the node of the only entity
+ * with its type and name that has one; when there are none or several, it
+ * gets a node of its own.
+ * @param {Array} records - Cached artist records
+ * @returns {Object} - { nodes: Map<id, node>, outgoing: Map<id, edges>, incoming: Map<id, edges>, byName: Map<name key, Set<id>> }
+ */
+function buildRecommendationGraph(records) {
+  const nodes = new Map();
+  const outgoing = new Map();
+  const incoming = new Map();
+  const byName = new Map();
+  
+  // Spotify IDs seen for each type and name
+  const spotifyIds = new Map();
+  const noteSpotifyId = (type, name, spotifyId) => {
+    if (!name || !spotifyId) return;
+    
+    const key = nameKey(type, name);
+    if (!spotifyIds.has(key)) spotifyIds.set(key, new Set());
+    spotifyIds.get(key).add(spotifyId);
+  };
+  
+  records.forEach(record => {
+    noteSpotifyId('artist', record.artist_name, record.artist_spotify_id);
+    (record.recommendations || []).forEach(rec => noteSpotifyId(rec.type, rec.name, rec.spotify?.id));
+  });
+  
+  const addNode = (type, name, spotifyId, extra = {}) => {
+    const known = spotifyIds.get(nameKey(type, name));
+    const resolvedId = spotifyId || (known?.size === 1 ? [...known][0] : null);
+    const id = nodeId(type, name, resolvedId);
+    const existing = nodes.get(id);
+    
+    nodes.set(id, {
+      id,
+      type: (type || 'artist').toLowerCase(),
+      name: existing?.name || name,
+      slug: existing?.slug || slugify(name),
+      spotifyId: resolvedId,
+      cached: false,
+      ...existing,
+      ...extra
+    });
+    
+    const key = nameKey(type, name);
+    if (!byName.has(key)) byName.set(key, new Set());
+    byName.get(key).add(id);
+    
+    return id;
+  };
+  
+  records.forEach(record => {
+    const sourceId = addNode('artist', record.artist_name, record.artist_spotify_id, {
+      name: record.artist_name,
+      slug: record.slug || slugify(record.artist_name),
+      cached: true,
+      image: record.artist_data?.image || null
+    });
+    
+    (record.recommendations || []).forEach(rec => {
+      if (!rec.name) return;
+      
+      const targetId = addNode(rec.type, rec.name, rec.spotify?.id);
+      const edge = {
+        source: sourceId,
+        target: targetId,
+        quote: rec.quote || rec.reason || null,
+        sourceType: rec.source || null,
+        domain: rec.domain || null,
+        sourceUrl: isSourceUnverified(rec) ? null : rec.sourceUrl || null,
+        year: rec.year || null,
+        month: rec.month || null
+      };
+      
+      if (!outgoing.has(sourceId)) outgoing.set(sourceId, []);
+      if (!incoming.has(targetId)) incoming.set(targetId, []);
+      
+      outgoing.get(sourceId).push(edge);
+      incoming.get(targetId).push(edge);
+    });
+  });
+  
+  return { nodes, outgoing, incoming, byName };
+}
+
+/**
+ * Node ID of an artist in the graph
+ * A name shared by several artists picks the cached one; when several are
+ * cached, pass artistId to choose.
+ * @param {Object} graph - Graph from buildRecommendationGraph
+ * @param {string} artistName - Name of the artist
+ * @param {string} artistId - Spotify ID of the artist (optional)
+ * @returns {string|null} - Node ID, or null when the artist isn't in the graph
+ * @throws {Error} - With code AMBIGUOUS_ARTIST and the candidates when the name doesn't pick one
+ */
+function findArtistNode(graph, artistName, artistId = null) {
+  if (artistId) {
+    const id = nodeId('artist', artistName, artistId);
+    return graph.nodes.has(id) ? id : null;
+  }
+  
+  const ids = [...(graph.byName.get(nameKey('artist', artistName)) || [])];
+  const cached = ids.filter(id => graph.nodes.get(id).cached);
+  const matches = cached.length > 0 ? cached : ids;
+  
+  if (matches.length > 1) {
+    const error = new Error(`"${artistName}" matches more than one artist`);
+    error.code = 'AMBIGUOUS_ARTIST';
+    error.candidates = matches.map(id => graph.nodes.get(id)).map(node => ({
+      artist_name: node.name,
+      artist_spotify_id: node.spotifyId,
+      slug: node.slug
+    }));
+    throw error;
+  }
+  
+  return matches[0] || null;
+}
+
+/**
+ * Collect everything reachable from an artist within N recommendation hops
+ * @param {Object} graph - Graph from buildRecommendationGraph
+ * @param {string} artistName - Starting artist
+ * @param {number} hops - Maximum number of hops
+ * @param {Object} options
+ * @param {string} options.artistId - Spotify ID of the starting artist (optional)
+ * @returns {Object|null} - { root, nodes, edges } or null if the artist isn't in the graph
+ * @throws {Error} - With code AMBIGUOUS_ARTIST (see findArtistNode)
+ */
+function getNeighborhood(graph, artistName, hops = 1, { artistId = null } = {}) {
+  const root = findArtistNode(graph, artistName, artistId);
+  
+  if (!root) {
+    return null;
+  }
+  
+  const depth = new Map([[root, 0]]);
+  const edges = [];
+  let frontier = [root];
+  
+  for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+    const next = [];
+    
+    frontier.forEach(id => {
+      (graph.outgoing.get(id) || []).forEach(edge => {
+        edges.push(edge);
+        
+        if (!depth.has(edge.target)) {
+          depth.set(edge.target, hop);
+          next.push(edge.target);
+        }
+      });
+    });
+    
+    frontier = next;
+  }
+  
+  return {
+    root,
+    nodes: [...depth.entries()].map(([id, hop]) => ({ ...graph.nodes.get(id), depth: hop })),
+    edges
+  };
+}
+
+/**
+ * Find the shortest recommendation chain between two artists (breadth-first)
+ * @param {Object} graph - Graph from buildRecommendationGraph
+ * @param {string} fromName - Starting artist
+ * @param {string} toName - Target artist
+ * @param {Object} options
+ * @param {boolean} options.directed - Only follow edges in recommendation direction (default true)
+ * @param {string} options.fromId - Spotify ID of the starting artist (optional)
+ * @param {string} options.toId - Spotify ID of the target artist (optional)
+ * @returns {Object|null} - { nodes, edges } along the path, or null when unconnected
+ * @throws {Error} - With code AMBIGUOUS_ARTIST (see findArtistNode)
+ */
+function findConnection(graph, fromName, toName, { directed = true, fromId = null, toId = null } = {}) {
+  const start = findArtistNode(graph, fromName, fromId);
+  const goal = findArtistNode(graph, toName, toId);
+  
+  if (!start || !goal) {
+    return null;
+  }
+  
+  // Maps each visited node to the edge used to reach it
+  const cameFrom = new Map([[start, null]]);
+  const queue = [start];
+  
+  while (queue.length > 0 && !cameFrom.has(goal)) {
+    const current = queue.shift();
+    
+    const steps = (graph.outgoing.get(current) || []).map(edge => [edge.target, edge]);
+    
+    if (!directed) {
+      (graph.incoming.get(current) || []).forEach(edge => steps.push([edge.source, edge]));
+    }
+    
+    steps.forEach(([next, edge]) => {
+      if (!cameFrom.has(next)) {
+        cameFrom.set(next, edge);
+        queue.push(next);
+      }
+    });
+  }
+  
+  if (!cameFrom.has(goal)) {
+    return null;
+  }
+  
+  // Walk back from the goal to rebuild the path
+  const pathNodes = [goal];
+  const pathEdges = [];
+  let current = goal;
+  
+  while (cameFrom.get(current)) {
+    const edge = cameFrom.get(current);
+    pathEdges.unshift(edge);
+    current = edge.target === current ? edge.source : edge.target;
+    pathNodes.unshift(current);
+  }
+  
+  return {
+    nodes: pathNodes.map(id => graph.nodes.get(id)),
+    edges: pathEdges
+  };
+}
+
+module.exports = {
+  MAX_GRAPH_HOPS,
+  nodeId,
+  buildRecommendationGraph,
+  findArtistNode,
+  getNeighborhood,
+  findConnection
+};
@@ -0,0 +1,148 @@
+/**
+ * Merge recommendations across generation runs
+ * A refresh used to replace the cached list wholesale, so anything the latest
+ * search didn't surface again was lost. Instead each run is merged into the
+ * cached list: recommendations are matched by their resolved Spotify entity
+ * or, failing that, by type and normalized name; a match keeps whichever
+ * quote is best sourced, and every recommendation carries the first and last
+ * time a run returned it. Shared by the app and the cache script (CommonJS).
+ */
+
+const { nameKey } = require('./spotify-resolver');
+
+// Verification status -> rank; unchecked sits between the two
+const STATUS_RANK = {
+  verified: 2,
+  unverified: 0
+};
+
+/**
+ * Keys a recommendation is known by: its Spotify entity when resolved, and
+ * its type plus normalized name (so "OK Computer (Remastered)" matches)
+ * @param {Object} rec - Recommendation
+ * @returns {Array<string>} - Identity keys
+ */
+function identityKeys(rec) {
+  const keys = [`${String(rec.type).toLowerCase()}:${nameKey(rec.name)}`];
+
+  if (rec.spotify?.id) {
+    keys.unshift(`spotify:${rec.spotify.id}`);
+  }
+
+  return keys;
+}
+
+/**
+ * How well a recommendation's quote is sourced; higher is better
+ * A source that checks out outweighs a quote found on the page, and an
+ * unchecked one (verification off) beats one that failed.
+ * @param {Object} rec - Recommendation
+ * @returns {number}
+ */
+function sourceScore(rec) {
+  const source = STATUS_RANK[rec.sourceVerification?.status] ?? (rec.sourceUrl ? 1 : 0);
+  const quote = STATUS_RANK[rec.quoteVerification?.status] ?? (rec.quote ? 1 : 0);
+
+  return source * 3 + quote;
+}
+
+function earliest(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return Date.parse(a) <= Date.parse(b) ? a : b;
+}
+
+function latest(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return Date.parse(a) >= Date.parse(b) ? a : b;
+}
+
+// One recommendation out of two matches; "current" was seen first (fresher on ties)
+function combine(current, other) {
+  const best = sourceScore(other) > sourceScore(current) ? other : current;
+  // Name, type and entity come from the resolved one, preferring the fresher
+  const entity = current.spotify || !other.spotify ? current : other;
+  const combined = {
+    ...best,
+    name: entity.name,
+    type: entity.type,
+    slug: entity.slug,
+    firstSeenAt: earliest(current.firstSeenAt, other.firstSeenAt),
+    lastSeenAt: latest(current.lastSeenAt, other.lastSeenAt)
+  };
+
+  if (entity.spotify) {
+    combined.spotify = entity.spotify;
+  }
+
+  if (!combined.slug) {
+    delete combined.slug;
+  }
+
+  return combined;
+}
+
+/**
+ * Merge a fresh run into the cached recommendations
+ * Fresh recommendations come first, in the order the run returned them,
+ * followed by cached ones the run didn't return again.
+ * @param {Array} previous - Cached recommendations
+ * @param {Array} fresh - Recommendations of the run being saved
+ * @param {Object} options
+ * @param {string} options.seenAt - When the run happened (ISO date, defaults to now)
+ * @param {string} options.previousSeenAt - Stand-in seen date for cached recommendations that predate seen dates (e.g. the record's updated_at)
+ * @returns {Object} - { recommendations, added, seenAgain, retained, duplicates }
+ */
+function mergeRecommendations(previous = [], fresh = [], { seenAt = new Date().toISOString(), previousSeenAt = null } = {}) {
+  const entries = [];
+  const byKey = new Map();
+  let duplicates = 0;
+
+  const add = (rec, fromRun) => {
+    const keys = identityKeys(rec);
+    const index = keys.map(key => byKey.get(key)).find(found => found !== undefined);
+
+    if (index === undefined) {
+      entries.push({ rec, fromRun, fromCache: !fromRun });
+      keys.forEach(key => byKey.set(key, entries.length - 1));
+      return;
+    }
+
+    const entry = entries[index];
+
+    // The same recommendation twice within one list
+    if (fromRun ? entry.fromRun : entry.fromCache) {
+      duplicates += 1;
+    }
+
+    entry.rec = combine(entry.rec, rec);
+    entry.fromRun = entry.fromRun || fromRun;
+    entry.fromCache = entry.fromCache || !fromRun;
+    identityKeys(entry.rec).concat(keys).forEach(key => byKey.set(key, index));
+  };
+
+  (fresh || []).forEach(rec => add({ ...rec, firstSeenAt: seenAt, lastSeenAt: seenAt }, true));
+
+  (previous || []).forEach(rec => add({
+    ...rec,
+    firstSeenAt: rec.firstSeenAt || rec.lastSeenAt || previousSeenAt,
+    lastSeenAt: rec.lastSeenAt || previousSeenAt
+  }, false));
+
+  return {
+    recommendations: entries.map(entry => entry.rec),
+    added: entries.filter(entry => entry.fromRun && !entry.fromCache).length,
+    seenAgain: entries.filter(entry => entry.fromRun && entry.fromCache).length,
+    retained: entries.filter(entry => !entry.fromRun).length,
+    duplicates
+  };
+}
+
+module.exports = {
+  identityKeys,
+  sourceScore,
+  mergeRecommendations
+};
@@ -0,0 +1,99 @@
+import {
+  createLLMProvider,
+  toUsageRecord,
+  estimateCost,
+  DAILY_BUDGET_WINDOW_MS,
+  getDailyBudgetUsd,
+  budgetExceededError
+} from './llm';
+import { recordLLMUsage, getLLMUsage } from './supabase';
+import logger from './logger';
+
+// Provider chosen by LLM_PROVIDER / LLM_MODEL / LLM_PROMPT_VERSION (see
+// lib/llm), created on first use so a misconfigured provider only fails the
+// requests that need it
+let provider = null;
+
+export function getRecommendationProvider() {
+  if (!provider) {
+    provider = createLLMProvider({ logger });
+  }
+  return provider;
+}
+
+// Persist what a call used; a storage failure doesn't fail the generation,
+// whose tokens are spent either way, but it is reported as an error
+async function saveUsage({ artistName, artistId, usage, source, success }) {
+  if (!usage) {
+    return;
+  }
+  
+  const { error } = await recordLLMUsage(toUsageRecord({ artistName, artistId, usage, source, success }));
+  
+  if (error) {
+    logger.error(`LLM usage for ${artistName} was not stored (kept in memory for this process only):`, error);
+  }
+}
+
+/**
+ * Refuse a call once the last day's recorded spending reaches LLM_DAILY_BUDGET_USD
+ * Counts every recorded call, the cache script's included.
+ * @throws {Error} - With code LLM_BUDGET_EXCEEDED, or when the model has no price to enforce the cap with
+ */
+async function checkDailyBudget() {
+  const budgetUsd = getDailyBudgetUsd();
+  
+  if (budgetUsd === null) {
+    return;
+  }
+  
+  const { model } = getRecommendationProvider();
+  
+  if (estimateCost(model, {}) === null) {
+    throw new Error(`No price for ${model} in data/llm-pricing.json, so LLM_DAILY_BUDGET_USD can't be enforced`);
+  }
+  
+  const { data } = await getLLMUsage({ since: new Date(Date.now() - DAILY_BUDGET_WINDOW_MS).toISOString() });
+  const spentUsd = data.reduce((total, record) => total + (Number(record.cost_usd) || 0), 0);
+  
+  if (spentUsd >= budgetUsd) {
+    throw budgetExceededError(spentUsd, budgetUsd);
+  }
+}
+
+/**
+ * Generate artist recommendations with the configured LLM provider
+ * Every call's token usage and estimated cost is recorded (see lib/llm/usage),
+ * and no call is made once LLM_DAILY_BUDGET_USD is spent.
+ * @param {string} artistName - The name of the artist
+ * @param {string} artistId - Spotify ID of the artist (for tracking in logs)
+ * @param {boolean} useWebSearch - Whether to use web search capability (default: true)
+ * @param {Object} options
+ * @param {string} options.source - Caller recorded with the usage: app (default) or debug
+ * @param {Object} options.research - Research window, source types and domains (see lib/llm/research; defaults apply when missing)
+ * @returns {Promise<Object>} - { recommendations, rejected, repaired, research, usage }
+ * @throws {Error} - With code LLM_BUDGET_EXCEEDED once the daily budget is spent
+ */
+export async function generateArtistRecommendations(artistName, artistId = null, useWebSearch = true, { source = 'app', research = null } = {}) {
+  await checkDailyBudget();
+  
+  try {
+    const result = await getRecommendationProvider().generateRecommendations({ artistName, artistId, useWebSearch, research });
+    await saveUsage({ artistName, artistId, usage: result.usage, source, success: true });
+    return result;
+  } catch (error) {
+    logger.error('LLM provider error:', error);
+    await saveUsage({ artistName, artistId, usage: error.usage, source, success: false });
+    throw error;
+  }
+}
+
+/**
+ * Get artist recommendations from the configured LLM provider
+ * Same as generateArtistRecommendations, without the rejection report
+ * @returns {Promise<Array>} - Array of artist recommendations
+ */
+export async function getArtistRecommendations(artistName, artistId = null, useWebSearch = true) {
+  const { recommendations } = await generateArtistRecommendations(artistName, artistId, useWebSearch);
+  return recommendations;
+}
@@ -0,0 +1,85 @@
+import { findRecommendations } from './supabase';
+import { slugify } from './utils';
+import { legacySlug } from './slugs';
+import { isSourceUnverified } from './source-verifier';
+import { isQuoteUnverified } from './quote-verifier';
+
+/**
+ * Build a reverse index from recommended entity to the artists recommending it
+ * @param {Array} recommendations - Recommendations with a recommended_by reference
+ * @returns {Map} - slug -> { slug, name, types, entries }
+ */
+export function buildReverseIndex(recommendations) {
+  const index = new Map();
+  
+  recommendations.forEach(rec => {
+    if (!rec.name) return;
+    
+    const slug = rec.slug || slugify(rec.name);
+    
+    if (!index.has(slug)) {
+      index.set(slug, { slug, name: rec.name, types: [], entries: [] });
+    }
+    
+    const item = index.get(slug);
+    const type = (rec.type || '').toLowerCase();
+    const recommender = rec.recommended_by;
+    
+    if (type && !item.types.includes(type)) {
+      item.types.push(type);
+    }
+    
+    item.entries.push({
+      artistName: recommender?.artist_name,
+      artistSlug: recommender?.artist_name ? recommender.slug || slugify(recommender.artist_name) : null,
+      type,
+      quote: rec.quote || rec.reason || null,
+      source: rec.source || null,
+      domain: rec.domain || null,
+      sourceUrl: isSourceUnverified(rec) ? null : rec.sourceUrl || null,
+      sourceUnverified: isSourceUnverified(rec),
+      quoteUnverified: isQuoteUnverified(rec),
+      year: rec.year || null,
+      month: rec.month || null
+    });
+  });
+  
+  return index;
+}
+
+/**
+ * Find every cached artist who recommended a given artist, album or song
+ * The returned slug is the canonical one; it differs from the requested slug
+ * when an old-style URL was used, so callers can redirect.
+ * @param {string} slug - Slug of the recommended entity
+ * @param {Object} options
+ * @param {string} options.type - Restrict to artist, album or song
+ * @returns {Promise<Object|null>} - { slug, name, types, entries } or null
+ */
+export async function getRecommendersOf(slug, { type } = {}) {
+  const { data, error } = await findRecommendations({ slug, type });
+  
+  if (error) {
+    throw error;
+  }
+  
+  if (data.length > 0) {
+    return buildReverseIndex(data).get(slug) || null;
+  }
+  
+  // Fall back to scanning for names whose slug predates canonical slugs
+  const { data: all, error: scanError } = await findRecommendations(type ? { type } : {});
+  
+  if (scanError) {
+    throw scanError;
+  }
+  
+  const index = buildReverseIndex(all);
+  
+  if (index.has(slug)) {
+    return index.get(slug);
+  }
+  
+  const legacyMatch = all.find(rec => rec.name && legacySlug(rec.name) === slug);
+  return legacyMatch ? index.get(legacyMatch.slug || slugify(legacyMatch.name)) : null;
+}
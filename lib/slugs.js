@@ -0,0 +1,144 @@
+/**
+ * Canonical slugs for cached artists and recommended entities
+ * Shared by the app, the storage backends and the cache script (CommonJS).
+ *
+ * Slugs are generated once and stored, so URLs never have to be turned back
+ * into names. Anything that used to resolve (the old slugify output) is kept
+ * as an alias and redirected to the canonical slug.
+ */
+
+// Letters that Unicode decomposition doesn't reduce to ASCII
+const TRANSLITERATIONS = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ø': 'o',
+  'đ': 'd',
+  'ð': 'd',
+  'ł': 'l',
+  'þ': 'th',
+  'ı': 'i'
+};
+
+// Readable words for names made only of symbols ("!!!", "+/-")
+const SYMBOL_WORDS = {
+  '!': 'exclamation',
+  '?': 'question',
+  '#': 'hash',
+  '*': 'star',
+  '$': 'dollar',
+  '@': 'at',
+  '%': 'percent',
+  '+': 'plus',
+  '-': 'minus',
+  '/': 'slash',
+  '=': 'equals',
+  '&': 'and'
+};
+
+/**
+ * Generate the canonical slug for a name
+ * Keeps non-Latin letters (so "坂本龍一" stays readable), folds accents
+ * ("Sigur Rós" -> "sigur-ros") and treats separators as word breaks
+ * ("AC/DC" -> "ac-dc", "Simon & Garfunkel" -> "simon-and-garfunkel").
+ * @param {string} name - Artist, album or song name
+ * @returns {string} - Canonical slug
+ */
+function canonicalSlug(name) {
+  const text = String(name || '').trim().toLowerCase();
+
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæœøđðłþı]/g, char => TRANSLITERATIONS[char])
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug) {
+    return slug;
+  }
+
+  // Nothing alphanumeric left: spell the symbols out
+  return [...text]
+    .filter(char => !/\s/.test(char))
+    .map(char => SYMBOL_WORDS[char] || `u${char.codePointAt(0).toString(16)}`)
+    .join('-');
+}
+
+/**
+ * The slug format used before canonical slugs were stored
+ * Only used to recognise and redirect old URLs.
+ * @param {string} name - Artist name
+ * @returns {string} - Legacy slug
+ */
+function legacySlug(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/--+/g, '-')
+    .trim();
+}
+
+/**
+ * Resolve slug collisions by appending -2, -3, ...
+ * @param {string} base - Desired slug
+ * @param {Function} isTaken - Returns true when a slug belongs to someone else
+ * @returns {Promise<string>} - First free slug
+ */
+async function uniqueSlug(base, isTaken) {
+  let candidate = base;
+  let suffix = 2;
+
+  while (await isTaken(candidate)) {
+    candidate = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return candidate;
+}
+
+/**
+ * Work out the slug fields for a cached artist record being saved
+ * An existing canonical slug is never changed; the legacy slug is kept as
+ * an alias when it differs and isn't claimed by another artist.
+ * @param {Object} record - Record being saved
+ * @param {Object} existing - Previously stored record, if any
+ * @param {Function} isTaken - Returns true when a slug belongs to another artist
+ * @returns {Promise<Object>} - { slug, slug_aliases }
+ */
+async function assignArtistSlugs(record, existing, isTaken) {
+  const slug = existing?.slug || record.slug || await uniqueSlug(canonicalSlug(record.artist_name), isTaken);
+  const aliases = new Set([...(existing?.slug_aliases || []), ...(record.slug_aliases || [])]);
+
+  const legacy = legacySlug(record.artist_name);
+  if (/[a-z0-9]/.test(legacy) && legacy !== slug && !(await isTaken(legacy))) {
+    aliases.add(legacy);
+  }
+
+  aliases.delete(slug);
+
+  return { slug, slug_aliases: [...aliases] };
+}
+
+/**
+ * Give every recommendation its canonical slug
+ * @param {Array} recommendations - Recommendations
+ * @returns {Array} - Recommendations with a slug field
+ */
+function withRecommendationSlugs(recommendations) {
+  return (recommendations || []).map(rec => ({
+    ...rec,
+    slug: rec.slug || canonicalSlug(rec.name)
+  }));
+}
+
+module.exports = {
+  canonicalSlug,
+  legacySlug,
+  uniqueSlug,
+  assignArtistSlugs,
+  withRecommendationSlugs
+};
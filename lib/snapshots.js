@@ -0,0 +1,98 @@
+/**
+ * Recommendation snapshots
+ * Every generation run is stored as an immutable snapshot so refreshes can be
+ * audited and compared. Shared by the app and the cache script (CommonJS).
+ */
+
+// Fields compared when the same recommendation appears in both snapshots
+const COMPARED_FIELDS = ['quote', 'originalQuote', 'quoteLanguage', 'year', 'month', 'source', 'domain', 'author', 'sourceUrl'];
+
+/**
+ * Build a snapshot record for one generation run
+ * @param {Object} options
+ * @param {string} options.artistName - Recommending artist
+ * @param {string} options.artistId - Spotify ID of the recommending artist
+ * @param {Array} options.recommendations - Generated recommendations
+ * @param {string} options.model - Model that produced them
+ * @param {string} options.promptVersion - Prompt version used
+ * @param {Array} options.rejected - Records the repair pass rejected, with reasons
+ * @param {Object} options.research - Research constraints of the run (see lib/llm/research)
+ * @returns {Object} - Snapshot ready for storage.addSnapshot()
+ */
+function buildSnapshot({ artistName, artistId, recommendations, rejected, model, promptVersion, research }) {
+  return {
+    artist_name: artistName,
+    artist_spotify_id: artistId,
+    recommendations: recommendations || [],
+    rejected: rejected || [],
+    model: model || null,
+    prompt_version: promptVersion || null,
+    research_options: research || null,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Identity of a recommendation across runs: its type plus a normalized name
+ * @param {Object} rec - Recommendation
+ * @returns {string} - Comparison key
+ */
+function recommendationKey(rec) {
+  const name = (rec.name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return `${(rec.type || '').toLowerCase()}:${name}`;
+}
+
+/**
+ * Compare two recommendation lists
+ * @param {Array} before - Older recommendations
+ * @param {Array} after - Newer recommendations
+ * @returns {Object} - { added, removed, changed, unchanged }
+ */
+function diffRecommendations(before = [], after = []) {
+  const beforeByKey = new Map(before.map(rec => [recommendationKey(rec), rec]));
+  const afterByKey = new Map(after.map(rec => [recommendationKey(rec), rec]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const unchanged = [];
+
+  afterByKey.forEach((rec, key) => {
+    const previous = beforeByKey.get(key);
+
+    if (!previous) {
+      added.push(rec);
+      return;
+    }
+
+    const fields = COMPARED_FIELDS.filter(field => (previous[field] || '') !== (rec[field] || ''));
+
+    if (fields.length > 0) {
+      changed.push({ name: rec.name, type: rec.type, fields, before: previous, after: rec });
+    } else {
+      unchanged.push(rec);
+    }
+  });
+
+  beforeByKey.forEach((rec, key) => {
+    if (!afterByKey.has(key)) {
+      removed.push(rec);
+    }
+  });
+
+  return { added, removed, changed, unchanged };
+}
+
+module.exports = {
+  COMPARED_FIELDS,
+  buildSnapshot,
+  recommendationKey,
+  diffRecommendations
+};
@@ -0,0 +1,209 @@
+/**
+ * Source URL verification
+ * The prompt asks the model for HTTPS sources on the allowed domains (see
+ * lib/llm/research) that answer with HTTP 200; this checks that at cache time
+ * instead of trusting it.
+ * Redirects are followed one hop at a time so the whole chain and the final
+ * URL are recorded. Shared by the app and the cache script (CommonJS); the
+ * fetcher is injectable so it can be pointed at a local HTTP stub.
+ */
+
+const { normalizeResearchOptions, domainProblem } = require('./llm/research');
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_REDIRECTS = 5;
+const USER_AGENT = 'recd-app source verifier';
+
+// Some servers refuse HEAD outright; those get a second try with GET
+const HEAD_UNSUPPORTED_STATUSES = [403, 405, 501];
+
+/**
+ * Whether verification is switched on (SOURCE_VERIFICATION=off skips it,
+ * e.g. for offline runs against the mock LLM provider)
+ * @returns {boolean}
+ */
+function isSourceVerificationEnabled() {
+  return (process.env.SOURCE_VERIFICATION || 'on').toLowerCase() !== 'off';
+}
+
+/**
+ * Whether a recommendation's source was checked and failed
+ * Records cached before verification existed count as neither.
+ * @param {Object} rec - Recommendation
+ * @returns {boolean}
+ */
+function isSourceUnverified(rec) {
+  return rec?.sourceVerification?.status === 'unverified';
+}
+
+// Drop the body of a response we only needed the status of
+function discardBody(response) {
+  const body = response.body;
+
+  if (body && typeof body.cancel === 'function') {
+    body.cancel().catch(() => {});
+  } else if (body && typeof body.destroy === 'function') {
+    body.destroy();
+  }
+}
+
+/**
+ * Create a verifier
+ * @param {Object} options
+ * @param {Function} options.fetcher - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @param {number} options.maxRedirects - Redirect hops followed before giving up
+ * @param {Object} options.logger - Anything with warn()
+ * @returns {Object} - { verifyUrl, verifyRecommendations }
+ */
+function createSourceVerifier({
+  fetcher = fetch,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  logger = console
+} = {}) {
+  if (typeof fetcher !== 'function') {
+    throw new Error('Source verification needs a fetch implementation');
+  }
+
+  // Why a URL can't be used as a source, or null when it can
+  function urlProblem(url, research) {
+    if (url.protocol !== 'https:') {
+      return `${url.protocol.replace(':', '')} is not HTTPS`;
+    }
+
+    return domainProblem(url.hostname, research);
+  }
+
+  async function request(url, method) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetcher(url, {
+        method,
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: { 'User-Agent': USER_AGENT }
+      });
+      discardBody(response);
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check one source URL
+   * @param {string} sourceUrl - URL to check
+   * @param {Object} research - Research options whose domain lists apply to every hop (defaults apply when missing)
+   * @returns {Promise<Object>} - { status: 'verified'|'unverified', reason, httpStatus, finalUrl, redirects: [{ url, status }], checkedAt }
+   */
+  async function verifyUrl(sourceUrl, research = null) {
+    const domains = normalizeResearchOptions(research);
+    const redirects = [];
+    const result = (status, reason, httpStatus = null, finalUrl = null) => ({
+      status,
+      reason,
+      httpStatus,
+      finalUrl,
+      redirects,
+      checkedAt: new Date().toISOString()
+    });
+
+    let url;
+
+    try {
+      url = new URL(sourceUrl);
+    } catch (error) {
+      return result('unverified', 'not a valid URL');
+    }
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      const problem = urlProblem(url, domains);
+
+      if (problem) {
+        return result('unverified', hop === 0 ? problem : `redirected to ${url.href}: ${problem}`, null, url.href);
+      }
+
+      let response;
+
+      try {
+        response = await request(url.href, 'HEAD');
+
+        if (HEAD_UNSUPPORTED_STATUSES.includes(response.status)) {
+          response = await request(url.href, 'GET');
+        }
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message;
+        return result('unverified', reason, null, url.href);
+      }
+
+      const location = response.headers.get('location');
+
+      if (response.status >= 300 && response.status < 400 && location) {
+        redirects.push({ url: url.href, status: response.status });
+
+        try {
+          url = new URL(location, url);
+        } catch (error) {
+          return result('unverified', `redirected to a malformed URL: ${location}`, response.status, url.href);
+        }
+
+        continue;
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        return result('unverified', `HTTP ${response.status}`, response.status, url.href);
+      }
+
+      // A dead article bounced to the site's front page is a soft 404
+      if (redirects.length > 0 && url.pathname === '/' && new URL(sourceUrl).pathname !== '/') {
+        return result('unverified', 'redirected to the site root', response.status, url.href);
+      }
+
+      return result('verified', null, response.status, url.href);
+    }
+
+    return result('unverified', `more than ${maxRedirects} redirects`, null, url.href);
+  }
+
+  /**
+   * Verify the sources of a list of recommendations
+   * Each one with a sourceUrl gets a sourceVerification result; the same URL
+   * is only checked once.
+   * @param {Array} recommendations - Recommendations to check
+   * @param {Object} research - Research options the recommendations were generated under
+   * @returns {Promise<Array>} - Copies with sourceVerification attached
+   */
+  async function verifyRecommendations(recommendations = [], research = null) {
+    const checks = new Map();
+
+    const verified = await Promise.all(recommendations.map(async rec => {
+      if (!rec.sourceUrl) {
+        return rec;
+      }
+
+      if (!checks.has(rec.sourceUrl)) {
+        checks.set(rec.sourceUrl, verifyUrl(rec.sourceUrl, research));
+      }
+
+      return { ...rec, sourceVerification: await checks.get(rec.sourceUrl) };
+    }));
+
+    verified.filter(isSourceUnverified).forEach(rec => {
+      logger.warn(`Unverified source for ${rec.name}: ${rec.sourceUrl} (${rec.sourceVerification.reason})`);
+    });
+
+    return verified;
+  }
+
+  return { verifyUrl, verifyRecommendations };
+}
+
+module.exports = {
+  USER_AGENT,
+  isSourceVerificationEnabled,
+  isSourceUnverified,
+  createSourceVerifier
+};
@@ -0,0 +1,265 @@
+/**
+ * Server-side Spotify Web API client (client credentials flow)
+ * The access token is cached until shortly before it expires, concurrent
+ * callers share a single token request, and a token Spotify rejects is
+ * replaced once. Artist lookups go through the multi-ID endpoint
+ * (/v1/artists?ids=): getArtists takes a list, and getArtist calls made
+ * within a few milliseconds of each other are sent as one request. Requests
+ * go through lib/http, so they retry and share a circuit breaker. Shared by
+ * the app and the scripts (CommonJS).
+ */
+
+const { createHttpClient } = require('./http');
+
+const API_URL = 'https://api.spotify.com/v1';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Most IDs /v1/artists accepts per request
+const MAX_IDS_PER_REQUEST = 50;
+
+// Tokens are replaced this long before Spotify says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// How long getArtist waits for more IDs to send in the same request
+const DEFAULT_BATCH_WINDOW_MS = 10;
+
+// A malformed ID fails a whole multi-ID request, so those never join a batch
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+/**
+ * The artist fields we cache and return: ID, name and largest image
+ * @param {Object} artist - Spotify artist object
+ * @returns {Object} - { id, name, image }
+ */
+function toArtistDetails(artist) {
+  return {
+    id: artist.id,
+    name: artist.name,
+    image: artist.images?.length > 0 ? artist.images[0].url : null
+  };
+}
+
+function invalidIdError(ids) {
+  const error = new Error(`Error fetching artist: invalid Spotify ID ${ids.join(', ')}`);
+  error.code = 'INVALID_SPOTIFY_ID';
+  return error;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Create a Spotify client
+ * @param {Object} options
+ * @param {string} options.clientId - Spotify client ID (defaults to SPOTIFY_CLIENT_ID)
+ * @param {string} options.clientSecret - Spotify client secret (defaults to SPOTIFY_CLIENT_SECRET)
+ * @param {Function} options.fetcher - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.batchWindowMs - How long getArtist collects IDs before sending them
+ * @param {Function} options.now - Clock (ms), for token expiry
+ * @param {Object} options.logger - Logger
+ * @returns {Object} - { getAccessToken, request, searchArtists, getArtists, getArtist, fetch }
+ */
+function createSpotifyClient({
+  clientId = process.env.SPOTIFY_CLIENT_ID,
+  clientSecret = process.env.SPOTIFY_CLIENT_SECRET,
+  fetcher = fetch,
+  batchWindowMs = DEFAULT_BATCH_WINDOW_MS,
+  now = Date.now,
+  logger = console
+} = {}) {
+  const http = createHttpClient({ name: 'Spotify', fetcher, logger });
+
+  let token = null;
+  let tokenRequest = null;
+
+  async function requestToken() {
+    if (!clientId || !clientSecret) {
+      throw new Error('Missing Spotify credentials');
+    }
+
+    const params = new URLSearchParams();
+    params.append('grant_type', 'client_credentials');
+
+    const response = await http.fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      },
+      body: params
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Failed to get Spotify access token: ${data.error}`);
+    }
+
+    token = {
+      value: data.access_token,
+      expiresAt: now() + data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS
+    };
+
+    return token.value;
+  }
+
+  /**
+   * A valid access token, requested only when the cached one is missing or about to expire
+   * @returns {Promise<string>}
+   */
+  function getAccessToken() {
+    if (token && now() < token.expiresAt) {
+      return Promise.resolve(token.value);
+    }
+
+    if (!tokenRequest) {
+      tokenRequest = requestToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+
+    return tokenRequest;
+  }
+
+  /**
+   * GET a Web API path with a bearer token; a rejected token is replaced and the call made again once
+   * @param {string} path - Path under /v1, with its query string
+   * @returns {Promise<Response>} - The response, whatever its status
+   */
+  async function request(path) {
+    for (let attempt = 0; ; attempt++) {
+      const accessToken = await getAccessToken();
+      const response = await http.fetch(`${API_URL}${path}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      if (response.status !== 401 || attempt > 0) {
+        return response;
+      }
+
+      if (token?.value === accessToken) {
+        token = null;
+      }
+    }
+  }
+
+  async function requestJson(path, errorPrefix) {
+    const response = await request(path);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`${errorPrefix}: ${data.error?.message || 'Unknown error'}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Search for artists by name
+   * @param {string} query - Search text
+   * @param {number} limit - Most results to return
+   * @returns {Promise<Array>} - { id, name, image, uri } per artist, best match first
+   */
+  async function searchArtists(query, limit = 5) {
+    const data = await requestJson(
+      `/search?q=${encodeURIComponent(query)}&type=artist&limit=${limit}`,
+      'Spotify search error'
+    );
+
+    return data.artists.items.map(artist => ({ ...toArtistDetails(artist), uri: artist.uri }));
+  }
+
+  /**
+   * Look up artists by ID, up to 50 per request
+   * @param {Array<string>} ids - Spotify artist IDs
+   * @returns {Promise<Map>} - ID -> { id, name, image }; IDs Spotify doesn't know are left out
+   * @throws {Error} - With code INVALID_SPOTIFY_ID for a malformed ID
+   */
+  async function getArtists(ids) {
+    const unique = [...new Set(ids)];
+    const invalid = unique.filter(id => !SPOTIFY_ID_PATTERN.test(id));
+
+    if (invalid.length > 0) {
+      throw invalidIdError(invalid);
+    }
+
+    const pages = await Promise.all(chunk(unique, MAX_IDS_PER_REQUEST).map(batch => (
+      requestJson(`/artists?ids=${batch.join(',')}`, 'Error fetching artist')
+    )));
+
+    // Unknown IDs come back as null
+    return new Map(pages
+      .flatMap(page => page.artists)
+      .filter(Boolean)
+      .map(artist => [artist.id, toArtistDetails(artist)]));
+  }
+
+  // getArtist calls waiting for the next batch: ID -> [{ resolve, reject }]
+  let pending = new Map();
+  let flushTimer = null;
+
+  async function flush() {
+    const batch = pending;
+    pending = new Map();
+    flushTimer = null;
+
+    try {
+      const artists = await getArtists([...batch.keys()]);
+
+      batch.forEach((waiting, id) => {
+        const artist = artists.get(id);
+        waiting.forEach(({ resolve, reject }) => (
+          artist ? resolve(artist) : reject(new Error(`Error fetching artist: no artist with ID ${id}`))
+        ));
+      });
+    } catch (error) {
+      batch.forEach(waiting => waiting.forEach(({ reject }) => reject(error)));
+    }
+  }
+
+  /**
+   * Look up one artist by ID, batched with other lookups made around the same time
+   * @param {string} id - Spotify artist ID
+   * @returns {Promise<Object>} - { id, name, image }
+   */
+  function getArtist(id) {
+    if (!SPOTIFY_ID_PATTERN.test(id)) {
+      return Promise.reject(invalidIdError([id]));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!pending.has(id)) {
+        pending.set(id, []);
+      }
+      pending.get(id).push({ resolve, reject });
+
+      if (pending.size >= MAX_IDS_PER_REQUEST) {
+        clearTimeout(flushTimer);
+        flush();
+      } else if (!flushTimer) {
+        flushTimer = setTimeout(flush, batchWindowMs);
+      }
+    });
+  }
+
+  return {
+    getAccessToken,
+    request,
+    searchArtists,
+    getArtists,
+    getArtist,
+    // For helpers that make their own Spotify requests (e.g. lib/spotify-resolver)
+    fetch: http.fetch
+  };
+}
+
+module.exports = {
+  MAX_IDS_PER_REQUEST,
+  toArtistDetails,
+  createSpotifyClient
+};
@@ -0,0 +1,362 @@
+/**
+ * Resolve recommendations to Spotify entities
+ * Runs once at cache time so cards render from stored data instead of each
+ * visitor's browser searching Spotify per card. It doubles as the
+ * hallucination filter: an entity that can't be found in the catalog under a
+ * close enough name is dropped, and one the model filed under the wrong type
+ * (a song called an artist) is corrected when the catalog is unambiguous.
+ * Candidates are picked by name rather than taking the first search hit, and
+ * for albums and songs the artist credit is checked against the
+ * recommendation's quote. Shared by the app and the cache script (CommonJS).
+ */
+
+const { canonicalSlug } = require('./slugs');
+
+const SEARCH_LIMIT = 10;
+
+const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+// A match under another type must be this close before the type is corrected
+const TYPE_CORRECTION_THRESHOLD = 0.95;
+
+// Recommendation type -> Spotify search type
+const SEARCH_TYPES = {
+  artist: 'artist',
+  album: 'album',
+  song: 'track'
+};
+
+// Edition suffixes Spotify adds to release names: "Lateralus (Remastered)"
+const EDITION_SUFFIX = /\s*[-([]\s*[^-([]*\b(remaster(ed)?|deluxe|edition|version|anniversary|expanded|mono|stereo|bonus)\b.*$/i;
+
+/**
+ * Rejection for a recommendation the catalog doesn't have
+ * @param {Object} rec - Recommendation
+ * @param {number} index - Its position in the list checked
+ * @returns {Object} - { index, name, stage, reasons }
+ */
+function catalogRejection(rec, index) {
+  return {
+    index,
+    name: rec.name || null,
+    stage: 'catalog',
+    reasons: [`not found on Spotify as ${rec.type ? `${rec.type} or ` : ''}any other type`]
+  };
+}
+
+/**
+ * Error for a catalog check that couldn't be made
+ * @param {Object} rec - Recommendation being looked up
+ * @param {Error} cause - What the lookup threw
+ * @returns {Error} - With code CATALOG_UNAVAILABLE
+ */
+function catalogUnavailable(rec, cause) {
+  const error = new Error(`Couldn't check ${rec.name} against the Spotify catalog: ${cause.message}`);
+  error.code = 'CATALOG_UNAVAILABLE';
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Minimum name similarity (0-1) for a catalog entry to count as a match
+ * @returns {number} - SPOTIFY_MATCH_THRESHOLD, or 0.85
+ */
+function getMatchThreshold() {
+  const threshold = parseFloat(process.env.SPOTIFY_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+}
+
+/**
+ * Name reduced for comparison: no case, accents, punctuation, leading "The"
+ * or edition suffix
+ * @param {string} name - Artist, album or song name
+ * @returns {string}
+ */
+function nameKey(name) {
+  return canonicalSlug(String(name || '').replace(EDITION_SUFFIX, '')).replace(/^the-/, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How alike two names are, ignoring case, accents, punctuation, a leading
+ * "The" and edition suffixes
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - 0-1, 1 for the same name
+ */
+function nameSimilarity(a, b) {
+  const keyA = nameKey(a);
+  const keyB = nameKey(b);
+
+  if (!keyA || !keyB) {
+    return 0;
+  }
+
+  return 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length);
+}
+
+// Only the fields the app uses, from an artist, album or track object
+function toEntity(item, type) {
+  const images = type === 'track' ? item.album?.images : item.images;
+
+  return {
+    id: item.id,
+    type,
+    name: item.name,
+    artists: (item.artists || []).map(artist => ({ id: artist.id, name: artist.name })),
+    images: (images || []).map(({ url, width, height }) => ({ url, width, height })),
+    url: item.external_urls?.spotify || null,
+    uri: item.uri || null
+  };
+}
+
+/**
+ * Image closest to a display size, from a stored image set
+ * @param {Object} entity - Stored Spotify entity
+ * @param {number} size - Wanted width in pixels
+ * @returns {string|null} - Image URL
+ */
+function spotifyImageUrl(entity, size = 300) {
+  const images = entity?.images || [];
+
+  if (images.length === 0) {
+    return null;
+  }
+
+  const fits = images.filter(image => !image.width || image.width >= size);
+  const pick = fits.length > 0
+    ? fits.reduce((best, image) => ((image.width || Infinity) < (best.width || Infinity) ? image : best))
+    : images[0];
+
+  return pick.url;
+}
+
+/**
+ * Pick the search result a recommendation means
+ * @param {Object} rec - Recommendation (name, quote)
+ * @param {Array} items - Spotify search results of one type, in Spotify's order
+ * @param {number} threshold - Minimum name similarity
+ * @returns {Object|null} - { item, similarity }, or null when no name is close enough
+ */
+function pickCandidate(rec, items, threshold = getMatchThreshold()) {
+  const context = canonicalSlug(`${rec.quote || ''} ${rec.reason || ''}`);
+
+  const best = (items || [])
+    .map((item, index) => ({
+      item,
+      index,
+      similarity: nameSimilarity(rec.name, item.name),
+      // "Tool's Lateralus": an album or song credited to an artist the quote names
+      credited: !!item.artists?.some(artist => context.includes(canonicalSlug(artist.name))),
+      popularity: item.popularity || 0
+    }))
+    .filter(candidate => candidate.similarity >= threshold)
+    .sort((a, b) => b.credited - a.credited ||
+      b.similarity - a.similarity ||
+      b.popularity - a.popularity ||
+      a.index - b.index)[0];
+
+  return best ? { item: best.item, similarity: Math.round(best.similarity * 100) / 100 } : null;
+}
+
+/**
+ * Create a resolver
+ * @param {Object} options
+ * @param {Function} options.getToken - Returns a Spotify access token (client credentials)
+ * @param {Function} options.fetcher - fetch-compatible function (defaults to the global fetch)
+ * @param {number} options.threshold - Minimum name similarity (defaults to SPOTIFY_MATCH_THRESHOLD)
+ * @param {Object} options.logger - Anything with warn()
+ * @returns {Object} - { resolveRecommendation, resolveRecommendations, backfillRecommendations }
+ */
+function createSpotifyResolver({ getToken, fetcher = fetch, threshold = getMatchThreshold(), logger = console } = {}) {
+  if (typeof getToken !== 'function') {
+    throw new Error('Resolving recommendations needs a Spotify token source');
+  }
+
+  // One search covers every type, so a mislabelled entity is found too
+  async function search(name, token) {
+    const types = Object.values(SEARCH_TYPES).join(',');
+    const response = await fetcher(
+      `https://api.spotify.com/v1/search?q=${encodeURIComponent(name)}&type=${types}&limit=${SEARCH_LIMIT}`,
+      {
+        headers: { 'Authorization': `Bearer ${token}` }
+      }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Spotify search error: ${data.error?.message || 'Unknown error'}`);
+    }
+
+    return Object.fromEntries(Object.entries(SEARCH_TYPES).map(([type, searchType]) => [type, data[`${searchType}s`]?.items || []]));
+  }
+
+  /**
+   * Find the Spotify entity for one recommendation
+   * @param {Object} rec - Recommendation
+   * @param {string} token - Spotify access token
+   * @returns {Promise<Object|null>} - { type, entity } (type differs from rec.type when corrected), or null when nothing matches
+   */
+  async function resolveRecommendation(rec, token) {
+    const declared = String(rec.type || '').toLowerCase();
+
+    if (!rec.name) {
+      return null;
+    }
+
+    const results = await search(rec.name, token);
+    const match = SEARCH_TYPES[declared] && pickCandidate(rec, results[declared], threshold);
+
+    if (match) {
+      return { type: declared, entity: { ...toEntity(match.item, SEARCH_TYPES[declared]), matchScore: match.similarity } };
+    }
+
+    // Nothing under the declared type: the model may have mislabelled it
+    const corrected = Object.keys(SEARCH_TYPES)
+      .filter(type => type !== declared)
+      .map(type => ({ type, match: pickCandidate(rec, results[type], Math.max(threshold, TYPE_CORRECTION_THRESHOLD)) }))
+      .filter(candidate => candidate.match)
+      .sort((a, b) => b.match.similarity - a.match.similarity)[0];
+
+    if (corrected) {
+      return {
+        type: corrected.type,
+        entity: { ...toEntity(corrected.match.item, SEARCH_TYPES[corrected.type]), matchScore: corrected.match.similarity }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Attach a Spotify entity to every recommendation, dropping the ones the
+   * catalog doesn't have
+   * The check fails closed: if any lookup fails the whole call does, rather
+   * than letting an unchecked recommendation through to the cache.
+   * @param {Array} recommendations - Recommendations to resolve
+   * @returns {Promise<Object>} - { recommendations, rejected: [{ index, name, stage, reasons }], corrected: [{ index, name, from, to }] }
+   * @throws {Error} - With code CATALOG_UNAVAILABLE (and the lookup error as its cause) when a lookup fails
+   */
+  async function resolveRecommendations(recommendations = []) {
+    const rejected = [];
+    const corrected = [];
+
+    if (recommendations.length === 0) {
+      return { recommendations, rejected, corrected };
+    }
+
+    const token = await getToken();
+
+    const resolved = await Promise.all(recommendations.map(async (rec, index) => {
+      try {
+        const match = await resolveRecommendation(rec, token);
+
+        if (!match) {
+          rejected.push(catalogRejection(rec, index));
+          return null;
+        }
+
+        if (match.type !== String(rec.type).toLowerCase()) {
+          corrected.push({ index, name: rec.name, from: rec.type, to: match.type });
+          return { ...rec, type: match.type, spotify: match.entity };
+        }
+
+        return { ...rec, spotify: match.entity };
+      } catch (error) {
+        throw catalogUnavailable(rec, error);
+      }
+    }));
+
+    rejected.sort((a, b) => a.index - b.index);
+    corrected.sort((a, b) => a.index - b.index);
+
+    rejected.forEach(({ name, reasons }) => logger.warn(`Dropped ${name}: ${reasons.join('; ')}`));
+    corrected.forEach(({ name, from, to }) => logger.warn(`Corrected type of ${name} from ${from} to ${to}`));
+
+    return { recommendations: resolved.filter(Boolean), rejected, corrected };
+  }
+
+  /**
+   * Attach a Spotify entity to cached recommendations that have none yet
+   * (cached before resolution existed)
+   * Like resolveRecommendations, a recommendation the catalog doesn't have is
+   * dropped and a failed lookup fails the whole call.
+   * @param {Array} recommendations - Cached recommendations
+   * @returns {Promise<Object>} - { recommendations, backfilled, rejected } (backfilled counts the entities attached; rejected as in resolveRecommendations)
+   * @throws {Error} - With code CATALOG_UNAVAILABLE when a lookup fails
+   */
+  async function backfillRecommendations(recommendations = []) {
+    const rejected = [];
+    // spotify: null marked records earlier versions couldn't match
+    const missing = recommendations.filter(rec => !rec.spotify);
+
+    if (missing.length === 0) {
+      return { recommendations, backfilled: 0, rejected };
+    }
+
+    const token = await getToken();
+    let backfilled = 0;
+
+    const filled = await Promise.all(recommendations.map(async (rec, index) => {
+      if (rec.spotify) {
+        return rec;
+      }
+
+      try {
+        const match = await resolveRecommendation(rec, token);
+
+        if (!match) {
+          rejected.push(catalogRejection(rec, index));
+          return null;
+        }
+
+        backfilled += 1;
+
+        if (match.type !== String(rec.type).toLowerCase()) {
+          logger.warn(`Corrected type of ${rec.name} from ${rec.type} to ${match.type}`);
+          return { ...rec, type: match.type, spotify: match.entity };
+        }
+
+        return { ...rec, spotify: match.entity };
+      } catch (error) {
+        throw catalogUnavailable(rec, error);
+      }
+    }));
+
+    rejected.sort((a, b) => a.index - b.index);
+    rejected.forEach(({ name, reasons }) => logger.warn(`Dropped cached ${name}: ${reasons.join('; ')}`));
+
+    return { recommendations: filled.filter(Boolean), backfilled, rejected };
+  }
+
+  return { resolveRecommendation, resolveRecommendations, backfillRecommendations };
+}
+
+module.exports = {
+  getMatchThreshold,
+  nameKey,
+  nameSimilarity,
+  pickCandidate,
+  spotifyImageUrl,
+  createSpotifyResolver
+};
@@ -0,0 +1,47 @@
+/**
+ * Record keys shared by the file and memory backends
+ * Artists are keyed by Spotify artist ID so two artists sharing a name get
+ * separate entries; records without an ID fall back to their lowercased name.
+ */
+
+function artistKey(record) {
+  return record.artist_spotify_id || record.artist_name.toLowerCase();
+}
+
+/**
+ * Find the stored entry for a record: by Spotify ID when it has one,
+ * otherwise the oldest artist with exactly that name (case-insensitive)
+ * @param {Object} artists - Stored artists by key
+ * @param {Object} record - { artist_spotify_id, artist_name }
+ * @returns {Object|null} - Stored artist
+ */
+function findStoredArtist(artists, { artist_spotify_id: artistSpotifyId, artist_name: artistName }) {
+  const records = Object.values(artists);
+
+  if (artistSpotifyId) {
+    return artists[artistSpotifyId] || records.find(artist => artist.artist_spotify_id === artistSpotifyId) || null;
+  }
+
+  const name = artistName.toLowerCase();
+
+  return records
+    .filter(artist => artist.artist_name.toLowerCase() === name)
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))[0] || null;
+}
+
+// Upsert alias rows keyed by (artist_spotify_id, alias_key)
+function mergeAliasRows(aliases, rows) {
+  rows.forEach(row => {
+    const index = aliases.findIndex(alias => (
+      alias.artist_spotify_id === row.artist_spotify_id && alias.alias_key === row.alias_key
+    ));
+
+    if (index === -1) {
+      aliases.push(row);
+    } else {
+      aliases[index] = { ...aliases[index], ...row };
+    }
+  });
+}
+
+module.exports = { artistKey, findStoredArtist, mergeAliasRows };
@@ -0,0 +1,198 @@
+/**
+ * File-backed storage backend
+ * Keeps every cached artist in a single JSON file so the app and the cache
+ * script can share data across restarts without a Supabase project
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { findInRecords } = require('./recommendation-filters');
+const { filterUsage } = require('./usage-filters');
+const { assignArtistSlugs, withRecommendationSlugs } = require('../slugs');
+const { aliasKey, artistAliasRows } = require('../artist-aliases');
+const { artistKey, findStoredArtist, mergeAliasRows } = require('./artist-keys');
+
+const DEFAULT_FILE_PATH = path.join(process.cwd(), 'data', 'cache', 'recommendations.json');
+
+function createFileStorage({ filePath = DEFAULT_FILE_PATH } = {}) {
+  // Serialize writes so concurrent puts can't clobber each other
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    try {
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      return { artists: {}, aliases: [], snapshots: [], usage: [], ...JSON.parse(contents) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { artists: {}, aliases: [], snapshots: [], usage: [] };
+      }
+      throw error;
+    }
+  }
+
+  async function save(db) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves half a JSON document
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(db, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  function update(mutate) {
+    const result = writeQueue.then(async () => {
+      const db = await load();
+      const value = await mutate(db);
+      await save(db);
+      return value;
+    });
+
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    name: 'file',
+    filePath,
+
+    async get(artistName) {
+      const db = await load();
+      return findStoredArtist(db.artists, { artist_name: artistName });
+    },
+
+    async getBySpotifyId(artistSpotifyId) {
+      const db = await load();
+      return findStoredArtist(db.artists, { artist_spotify_id: artistSpotifyId });
+    },
+
+    async getBySlug(slug) {
+      const db = await load();
+
+      return Object.values(db.artists).find(artist => (
+        artist.slug === slug || (artist.slug_aliases || []).includes(slug)
+      )) || null;
+    },
+
+    put(record) {
+      return update(async db => {
+        const key = artistKey(record);
+        const existing = findStoredArtist(db.artists, record);
+        const now = new Date().toISOString();
+
+        // Slug owned (canonically or as an alias) by another artist
+        const isSlugTaken = async slug => Object.values(db.artists).some(artist => (
+          artist !== existing && (artist.slug === slug || (artist.slug_aliases || []).includes(slug))
+        ));
+        const slugs = await assignArtistSlugs(record, existing, isSlugTaken);
+
+        const saved = {
+          ...existing,
+          ...record,
+          ...slugs,
+          ...(record.recommendations && { recommendations: withRecommendationSlugs(record.recommendations) }),
+          id: existing?.id || record.id || randomUUID(),
+          created_at: existing?.created_at || now,
+          updated_at: now
+        };
+
+        // Entries stored under their name before Spotify IDs were the key
+        Object.keys(db.artists).forEach(otherKey => {
+          if (db.artists[otherKey] === existing) delete db.artists[otherKey];
+        });
+
+        db.artists[key] = saved;
+
+        if (record.artist_spotify_id) {
+          mergeAliasRows(db.aliases, artistAliasRows(record, existing));
+        }
+
+        return saved;
+      });
+    },
+
+    async findAliases(name) {
+      const db = await load();
+      const key = aliasKey(name);
+      return db.aliases.filter(row => row.alias_key === key);
+    },
+
+    async searchAliases(query, { limit = 10 } = {}) {
+      const db = await load();
+      const key = aliasKey(query);
+      return db.aliases.filter(row => key && row.alias_key.includes(key)).slice(0, limit);
+    },
+
+    async list({ featured } = {}) {
+      const db = await load();
+
+      return Object.values(db.artists)
+        .filter(item => featured === undefined || item.is_featured === featured)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    markFeatured(id, featured = true) {
+      return update(db => {
+        const item = Object.values(db.artists).find(artist => artist.id === id);
+
+        if (!item) {
+          return null;
+        }
+
+        item.is_featured = featured;
+        return item;
+      });
+    },
+
+    async findRecommendations(filters = {}) {
+      const db = await load();
+      return findInRecords(Object.values(db.artists), filters);
+    },
+
+    addSnapshot(snapshot) {
+      return update(db => {
+        const saved = {
+          ...snapshot,
+          id: randomUUID(),
+          created_at: snapshot.created_at || new Date().toISOString()
+        };
+
+        db.snapshots.push(saved);
+        return saved;
+      });
+    },
+
+    async listSnapshots(artistName) {
+      const db = await load();
+
+      return db.snapshots
+        .filter(item => item.artist_name.toLowerCase() === artistName.toLowerCase())
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async getSnapshot(id) {
+      const db = await load();
+      return db.snapshots.find(item => item.id === id) || null;
+    },
+
+    addUsage(record) {
+      return update(db => {
+        const saved = {
+          ...record,
+          id: randomUUID(),
+          created_at: record.created_at || new Date().toISOString()
+        };
+
+        db.usage.push(saved);
+        return saved;
+      });
+    },
+
+    async listUsage(filters = {}) {
+      const db = await load();
+      return filterUsage(db.usage, filters);
+    }
+  };
+}
+
+module.exports = { createFileStorage, DEFAULT_FILE_PATH };
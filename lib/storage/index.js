@@ -0,0 +1,74 @@
+/**
+ * Storage adapter for cached artist recommendations
+ *
+ * Every backend exposes the same async interface:
+ *   get(artistName)           -> oldest record with exactly that name (case-insensitive), or null
+ *   getBySpotifyId(id)        -> record or null
+ *   getBySlug(slug)           -> record whose canonical slug or slug alias matches, or null
+ *   put(record)               -> saved record (upsert keyed by Spotify artist ID); assigns
+ *                                the canonical slug on first save (see lib/slugs) and
+ *                                registers the artist's aliases (see lib/artist-aliases)
+ *   findAliases(name)         -> alias rows whose normalized key equals the name's
+ *   searchAliases(q, { limit }) -> alias rows whose normalized key contains the query's
+ *   list({ featured })        -> records, newest first
+ *   markFeatured(id, flag)    -> updated record or null
+ *   findRecommendations(f)    -> recommendations across all artists matching
+ *                                { name, slug, type, source, year, month, domain, minConfidence, limit },
+ *                                most confident first, each with a recommended_by artist reference
+ *   addSnapshot(snapshot)     -> saved immutable snapshot of one generation run
+ *   listSnapshots(artistName) -> snapshots for an artist, newest first
+ *   getSnapshot(id)           -> snapshot or null
+ *   addUsage(record)          -> saved token/cost record of one LLM call (see lib/llm/usage)
+ *   listUsage(f)              -> usage records matching { runId, source, since, limit }, newest first
+ *
+ * Pick a backend with STORAGE_BACKEND=supabase|file|memory. Without it, the
+ * Supabase backend is used when NEXT_PUBLIC_SUPABASE_URL is set and the file
+ * backend otherwise, so the app and cache script run offline out of the box.
+ * The file backend writes to STORAGE_FILE_PATH (default: data/cache/recommendations.json).
+ *
+ * Written as CommonJS so scripts/cache-featured-artists.js can share it.
+ */
+
+const { createSupabaseStorage } = require('./supabase-storage');
+const { createFileStorage } = require('./file-storage');
+const { createMemoryStorage } = require('./memory-storage');
+
+const BACKENDS = ['supabase', 'file', 'memory'];
+
+function resolveBackend() {
+  if (process.env.STORAGE_BACKEND) {
+    return process.env.STORAGE_BACKEND.toLowerCase();
+  }
+
+  return process.env.NEXT_PUBLIC_SUPABASE_URL ? 'supabase' : 'file';
+}
+
+/**
+ * Create a storage backend
+ * @param {Object} options
+ * @param {string} options.backend - Backend name (defaults to resolveBackend())
+ * @param {Object} options.supabase - Supabase client, required for the supabase backend
+ * @param {string} options.filePath - JSON file path for the file backend
+ * @returns {Object} - Storage implementation
+ */
+function createStorage({ backend = resolveBackend(), supabase, filePath } = {}) {
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage(supabase);
+    case 'file':
+      return createFileStorage({ filePath: filePath || process.env.STORAGE_FILE_PATH || undefined });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  resolveBackend,
+  createStorage,
+  createSupabaseStorage,
+  createFileStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,158 @@
+/**
+ * Process-local storage backend
+ * Nothing survives a restart - use it for tests or as a last-resort fallback
+ */
+
+const { randomUUID } = require('crypto');
+const { findInRecords } = require('./recommendation-filters');
+const { filterUsage } = require('./usage-filters');
+const { assignArtistSlugs, withRecommendationSlugs } = require('../slugs');
+const { aliasKey, artistAliasRows } = require('../artist-aliases');
+const { artistKey, findStoredArtist, mergeAliasRows } = require('./artist-keys');
+
+function createMemoryStorage() {
+  const artists = {};
+  const aliases = [];
+  const snapshots = [];
+  const usage = [];
+
+  // Slug owned (canonically or as an alias) by an artist other than self
+  const isSlugTaken = self => async slug => Object.values(artists).some(artist => (
+    artist !== self && (artist.slug === slug || (artist.slug_aliases || []).includes(slug))
+  ));
+
+  return {
+    name: 'memory',
+
+    async get(artistName) {
+      return findStoredArtist(artists, { artist_name: artistName });
+    },
+
+    async getBySpotifyId(artistSpotifyId) {
+      return findStoredArtist(artists, { artist_spotify_id: artistSpotifyId });
+    },
+
+    async getBySlug(slug) {
+      return Object.values(artists).find(artist => (
+        artist.slug === slug || (artist.slug_aliases || []).includes(slug)
+      )) || null;
+    },
+
+    async put(record) {
+      const key = artistKey(record);
+      const existing = findStoredArtist(artists, record);
+      const now = new Date().toISOString();
+      const slugs = await assignArtistSlugs(record, existing, isSlugTaken(existing));
+
+      const saved = {
+        ...existing,
+        ...record,
+        ...slugs,
+        ...(record.recommendations && { recommendations: withRecommendationSlugs(record.recommendations) }),
+        id: existing?.id || record.id || randomUUID(),
+        created_at: existing?.created_at || now,
+        updated_at: now
+      };
+
+      // Drop the previous entry if it was stored under another key
+      Object.keys(artists).forEach(otherKey => {
+        if (artists[otherKey] === existing) delete artists[otherKey];
+      });
+
+      artists[key] = saved;
+
+      if (record.artist_spotify_id) {
+        mergeAliasRows(aliases, artistAliasRows(record, existing));
+      }
+
+      return saved;
+    },
+
+    // Keep a copy of a record read from another backend exactly as it is:
+    // unlike put, its slugs and timestamps are not reassigned
+    async set(record) {
+      const existing = findStoredArtist(artists, record);
+
+      Object.keys(artists).forEach(otherKey => {
+        if (artists[otherKey] === existing) delete artists[otherKey];
+      });
+
+      artists[artistKey(record)] = record;
+
+      if (record.artist_spotify_id) {
+        mergeAliasRows(aliases, artistAliasRows(record, existing));
+      }
+
+      return record;
+    },
+
+    async findAliases(name) {
+      const key = aliasKey(name);
+      return aliases.filter(row => row.alias_key === key);
+    },
+
+    async searchAliases(query, { limit = 10 } = {}) {
+      const key = aliasKey(query);
+      return aliases.filter(row => key && row.alias_key.includes(key)).slice(0, limit);
+    },
+
+    async list({ featured } = {}) {
+      return Object.values(artists)
+        .filter(item => featured === undefined || item.is_featured === featured)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async markFeatured(id, featured = true) {
+      const item = Object.values(artists).find(artist => artist.id === id);
+
+      if (!item) {
+        return null;
+      }
+
+      item.is_featured = featured;
+      return item;
+    },
+
+    async findRecommendations(filters = {}) {
+      return findInRecords(Object.values(artists), filters);
+    },
+
+    async addSnapshot(snapshot) {
+      const saved = {
+        ...snapshot,
+        id: randomUUID(),
+        created_at: snapshot.created_at || new Date().toISOString()
+      };
+
+      snapshots.push(saved);
+      return saved;
+    },
+
+    async listSnapshots(artistName) {
+      return snapshots
+        .filter(item => item.artist_name.toLowerCase() === artistName.toLowerCase())
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    async getSnapshot(id) {
+      return snapshots.find(item => item.id === id) || null;
+    },
+
+    async addUsage(record) {
+      const saved = {
+        ...record,
+        id: randomUUID(),
+        created_at: record.created_at || new Date().toISOString()
+      };
+
+      usage.push(saved);
+      return saved;
+    },
+
+    async listUsage(filters = {}) {
+      return filterUsage(usage, filters);
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
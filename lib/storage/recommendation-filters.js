@@ -0,0 +1,53 @@
+/**
+ * Cross-artist recommendation queries for backends that keep recommendations
+ * embedded in each cached artist record (file and memory)
+ */
+
+const { rankRecommendations } = require('../confidence');
+
+// Filters supported by findRecommendations({ ... })
+const FILTER_FIELDS = ['name', 'slug', 'type', 'source', 'year', 'month', 'domain'];
+
+function matchesFilters(rec, filters) {
+  return FILTER_FIELDS.every(field => {
+    if (filters[field] === undefined || filters[field] === null || filters[field] === '') {
+      return true;
+    }
+
+    return String(rec[field] || '').toLowerCase() === String(filters[field]).toLowerCase();
+  });
+}
+
+/**
+ * Flatten cached artist records into matching recommendations
+ * @param {Array} records - Cached artist records
+ * @param {Object} filters - Field filters plus an optional minConfidence and limit
+ * @returns {Array} - Recommendations with a recommended_by reference, most confident first
+ */
+function findInRecords(records, { limit, minConfidence = null, ...filters } = {}) {
+  const results = [];
+
+  records.forEach(record => {
+    (record.recommendations || []).forEach((rec, position) => {
+      if (matchesFilters(rec, filters)) {
+        results.push({
+          ...rec,
+          position,
+          recommended_by: {
+            id: record.id,
+            artist_name: record.artist_name,
+            slug: record.slug,
+            artist_spotify_id: record.artist_spotify_id
+          }
+        });
+      }
+    });
+  });
+
+  // Recommendations cached before scoring are scored here (see lib/confidence)
+  const ranked = rankRecommendations(results, { minConfidence });
+
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+module.exports = { FILTER_FIELDS, matchesFilters, findInRecords };
@@ -0,0 +1,394 @@
+/**
+ * Supabase storage backend
+ * Artists live in artist_recommendations_cache; their recommendations are
+ * normalized into the recommendations table, one row per recommendation
+ */
+
+const { assignArtistSlugs, withRecommendationSlugs } = require('../slugs');
+const { aliasKey, artistAliasRows } = require('../artist-aliases');
+
+const TABLE = 'artist_recommendations_cache';
+const RECOMMENDATIONS_TABLE = 'recommendations';
+const SNAPSHOTS_TABLE = 'recommendation_snapshots';
+const ALIASES_TABLE = 'artist_aliases';
+const USAGE_TABLE = 'llm_usage';
+
+// Cached artist with its recommendation rows embedded (aliased so the rows
+// don't clash with the legacy recommendations JSONB column)
+const ARTIST_SELECT = `*, recommendation_rows:${RECOMMENDATIONS_TABLE}(*)`;
+
+// PostgREST error code for ".single()" matching zero rows
+const NOT_FOUND_CODE = 'PGRST116';
+
+// Recommendation fields with a dedicated column; anything else goes in "extra"
+const COLUMN_FIELDS = {
+  name: 'name',
+  slug: 'slug',
+  type: 'type',
+  quote: 'quote',
+  year: 'year',
+  month: 'month',
+  source: 'source',
+  domain: 'domain',
+  author: 'author',
+  sourceUrl: 'source_url',
+  firstSeenAt: 'first_seen_at',
+  lastSeenAt: 'last_seen_at',
+  confidence: 'confidence'
+};
+
+function toRow(rec, artistCacheId, position) {
+  const row = { artist_cache_id: artistCacheId, position, extra: {} };
+
+  Object.entries(rec).forEach(([field, value]) => {
+    if (COLUMN_FIELDS[field]) {
+      row[COLUMN_FIELDS[field]] = field === 'type' ? String(value).toLowerCase() : value;
+    } else {
+      row.extra[field] = value;
+    }
+  });
+
+  return row;
+}
+
+function fromRow(row) {
+  const rec = { ...row.extra };
+
+  Object.entries(COLUMN_FIELDS).forEach(([field, column]) => {
+    if (row[column] !== null && row[column] !== undefined) {
+      rec[field] = row[column];
+    }
+  });
+
+  return rec;
+}
+
+// Rebuild the record shape the rest of the app expects
+function toRecord(data) {
+  if (!data) {
+    return null;
+  }
+
+  const { recommendation_rows: rows, ...record } = data;
+
+  // Artists not written since migration 0004 only have the legacy JSONB
+  // column; writing rows clears it (0013), so an empty list stays empty
+  if (rows && rows.length > 0) {
+    record.recommendations = [...rows]
+      .sort((a, b) => a.position - b.position)
+      .map(fromRow);
+  } else {
+    record.recommendations = record.recommendations || [];
+  }
+
+  return record;
+}
+
+// Escape LIKE wildcards so ilike() is a plain case-insensitive comparison
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function createSupabaseStorage(supabase) {
+  if (!supabase) {
+    throw new Error('A Supabase client is required for the supabase storage backend');
+  }
+
+  async function get(artistName) {
+    // Several artists may share a name; the oldest one wins
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(ARTIST_SELECT)
+      .ilike('artist_name', escapeLike(artistName))
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return toRecord(data?.[0]);
+  }
+
+  async function getBySpotifyId(artistSpotifyId) {
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(ARTIST_SELECT)
+      .eq('artist_spotify_id', artistSpotifyId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return toRecord(data);
+  }
+
+  async function getBySlug(slug) {
+    // Canonical slug first, then any alias (legacy or alternate) pointing at the artist
+    const { data, error } = await supabase
+      .from(TABLE)
+      .select(ARTIST_SELECT)
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (data) {
+      return toRecord(data);
+    }
+
+    const { data: aliased, error: aliasError } = await supabase
+      .from(TABLE)
+      .select(ARTIST_SELECT)
+      .contains('slug_aliases', [slug])
+      .limit(1);
+
+    if (aliasError) {
+      throw aliasError;
+    }
+
+    return toRecord(aliased?.[0]);
+  }
+
+  return {
+    name: 'supabase',
+
+    get,
+
+    getBySpotifyId,
+
+    getBySlug,
+
+    async put(record) {
+      const existing = record.artist_spotify_id
+        ? await getBySpotifyId(record.artist_spotify_id)
+        : await get(record.artist_name);
+
+      const isSlugTaken = async slug => {
+        const owner = await getBySlug(slug);
+        return !!owner && owner.id !== existing?.id;
+      };
+      const slugs = await assignArtistSlugs(record, existing, isSlugTaken);
+
+      const row = {
+        artist_name: record.artist_name,
+        slug: slugs.slug,
+        slug_aliases: slugs.slug_aliases,
+        artist_spotify_id: record.artist_spotify_id,
+        artist_data: record.artist_data,
+        is_featured: record.is_featured ?? existing?.is_featured ?? false,
+        research_options: record.research_options ?? existing?.research_options ?? null
+      };
+
+      // One transaction (migration 0015): the artist row, its recommendation
+      // rows and its aliases are all written, updated_at included, or none are
+      const { data, error } = await supabase.rpc('save_artist_recommendations', {
+        p_artist_cache_id: existing?.id || null,
+        p_artist: row,
+        p_rows: withRecommendationSlugs(record.recommendations).map((rec, position) => toRow(rec, null, position)),
+        p_aliases: record.artist_spotify_id ? artistAliasRows(record, existing) : []
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return { ...data, recommendations: withRecommendationSlugs(record.recommendations) };
+    },
+
+    async findAliases(name) {
+      const { data, error } = await supabase
+        .from(ALIASES_TABLE)
+        .select('*')
+        .eq('alias_key', aliasKey(name));
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    },
+
+    async searchAliases(query, { limit = 10 } = {}) {
+      const key = aliasKey(query);
+
+      if (!key) {
+        return [];
+      }
+
+      const { data, error } = await supabase
+        .from(ALIASES_TABLE)
+        .select('*')
+        .ilike('alias_key', `%${escapeLike(key)}%`)
+        .limit(limit);
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    },
+
+    async list({ featured } = {}) {
+      let query = supabase.from(TABLE).select(ARTIST_SELECT);
+
+      if (featured !== undefined) {
+        query = query.eq('is_featured', featured);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).map(toRecord);
+    },
+
+    async markFeatured(id, featured = true) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .update({ is_featured: featured })
+        .eq('id', id)
+        .select(ARTIST_SELECT);
+
+      if (error) {
+        throw error;
+      }
+
+      return toRecord(data?.[0]);
+    },
+
+    async findRecommendations({ limit, minConfidence = null, ...filters } = {}) {
+      let query = supabase
+        .from(RECOMMENDATIONS_TABLE)
+        .select(`*, recommended_by:${TABLE}(id, artist_name, slug, artist_spotify_id)`);
+
+      Object.entries(filters).forEach(([field, value]) => {
+        if (COLUMN_FIELDS[field] && value !== undefined && value !== null && value !== '') {
+          query = query.ilike(COLUMN_FIELDS[field], escapeLike(value));
+        }
+      });
+
+      // Rows cached before scoring have no stored score, so they're kept for
+      // the caller to score (see lib/confidence) and sorted last
+      if (minConfidence !== null) {
+        query = query.or(`confidence.gte.${Number(minConfidence)},confidence.is.null`);
+      }
+
+      if (limit) {
+        query = query.limit(limit);
+      }
+
+      const { data, error } = await query
+        .order('confidence', { ascending: false, nullsFirst: false })
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).map(row => ({
+        ...fromRow(row),
+        position: row.position,
+        recommended_by: row.recommended_by
+      }));
+    },
+
+    async addSnapshot(snapshot) {
+      const { data, error } = await supabase
+        .from(SNAPSHOTS_TABLE)
+        .insert([{
+          artist_name: snapshot.artist_name,
+          artist_spotify_id: snapshot.artist_spotify_id,
+          recommendations: snapshot.recommendations,
+          rejected: snapshot.rejected || [],
+          model: snapshot.model,
+          prompt_version: snapshot.prompt_version,
+          research_options: snapshot.research_options || null
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      return data;
+    },
+
+    async listSnapshots(artistName) {
+      const { data, error } = await supabase
+        .from(SNAPSHOTS_TABLE)
+        .select('*')
+        .ilike('artist_name', escapeLike(artistName))
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    },
+
+    async getSnapshot(id) {
+      const { data, error } = await supabase
+        .from(SNAPSHOTS_TABLE)
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== NOT_FOUND_CODE) {
+        throw error;
+      }
+
+      return data || null;
+    },
+
+    async addUsage(record) {
+      // Insert only: usage rows aren't readable without the service role key
+      const { error } = await supabase
+        .from(USAGE_TABLE)
+        .insert([record]);
+
+      if (error) {
+        throw error;
+      }
+
+      return record;
+    },
+
+    async listUsage({ runId, source, since, limit } = {}) {
+      let query = supabase.from(USAGE_TABLE).select('*');
+
+      if (runId) {
+        query = query.eq('run_id', runId);
+      }
+
+      if (source) {
+        query = query.eq('source', source);
+      }
+
+      if (since) {
+        query = query.gte('created_at', since);
+      }
+
+      if (limit) {
+        query = query.limit(limit);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      return data || [];
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,26 @@
+/**
+ * LLM usage queries for backends that keep usage records in a plain array
+ * (file and memory)
+ */
+
+/**
+ * Usage records matching { runId, source, since, limit }, newest first
+ * @param {Array} records - Stored usage records
+ * @param {Object} filters
+ * @param {string} filters.runId - Only this cache run
+ * @param {string} filters.source - Only this caller (app, debug, cache-script)
+ * @param {string} filters.since - ISO date; only records created at or after it
+ * @param {number} filters.limit - Most records returned
+ * @returns {Array}
+ */
+function filterUsage(records, { runId, source, since, limit } = {}) {
+  const results = records
+    .filter(record => !runId || record.run_id === runId)
+    .filter(record => !source || record.source === source)
+    .filter(record => !since || record.created_at >= since)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return limit ? results.slice(0, limit) : results;
+}
+
+module.exports = { filterUsage };
@@ -1,115 +1,206 @@
 import { createClient } from '@supabase/supabase-js';
+import { createStorage, createMemoryStorage, resolveBackend } from './storage';
+import { canonicalSlug } from './slugs';
+import { resolveAliasRows } from './artist-aliases';
+import { deslugify } from './utils';
 import logger from './logger';
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+// Never sent to the browser: only NEXT_PUBLIC_ variables are
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
+const storageBackend = resolveBackend();
+
+if (storageBackend === 'supabase' && (!supabaseUrl || !supabaseAnonKey)) {
   logger.error('Missing Supabase environment variables');
 }
 
-// Create a Supabase client with anonymous key
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Create a Supabase client with anonymous key (only when configured, so the
+// file and memory backends work without a Supabase project)
+export const supabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey)
+  : null;
 
-// In-memory cache for simplicity
-const inMemoryCache = {};
+// Server-side client with the service role key. Row level security only lets
+// the anon key read, so the cache (artists, recommendation rows, aliases,
+// snapshots and LLM usage) is written with this one.
+const supabaseServer = supabaseUrl && supabaseServiceRoleKey
+  ? createClient(supabaseUrl, supabaseServiceRoleKey, { auth: { persistSession: false } })
+  : null;
 
-// Artist recommendations helpers - with file-based fallback
-export async function getCachedArtistRecommendations(artistName) {
-  if (!artistName) {
+if (storageBackend === 'supabase' && supabaseAnonKey && !supabaseServiceRoleKey && typeof window === 'undefined') {
+  logger.error('SUPABASE_SERVICE_ROLE_KEY is not set: cache writes will be refused by row level security');
+}
+
+// Primary storage selected by STORAGE_BACKEND (see lib/storage)
+const storage = createStorage({ backend: storageBackend, supabase: supabaseServer || supabase });
+
+// In-memory fallback for when the primary storage is unreachable
+const memoryStorage = createMemoryStorage();
+
+/**
+ * Find a cached artist in one store
+ * By Spotify ID when known, otherwise through the alias table (exact,
+ * normalized match). Artists cached before aliases existed are found by name.
+ * @param {Object} store - Storage backend
+ * @param {string} artistName - Artist name or alias
+ * @param {string} artistId - Spotify artist ID, if known
+ * @returns {Promise<Object>} - { record, candidates } (candidates set when the name is ambiguous)
+ */
+async function lookupArtist(store, artistName, artistId) {
+  if (artistId) {
+    return { record: await store.getBySpotifyId(artistId), candidates: [] };
+  }
+  
+  const { artistSpotifyId, candidates } = resolveAliasRows(await store.findAliases(artistName));
+  
+  if (artistSpotifyId) {
+    return { record: await store.getBySpotifyId(artistSpotifyId), candidates };
+  }
+  
+  if (candidates.length > 1) {
+    return { record: null, candidates };
+  }
+  
+  return { record: await store.get(artistName), candidates };
+}
+
+// Error for names shared by several cached artists; lists who they could be
+async function ambiguousArtistError(store, artistName, candidateIds) {
+  const records = await Promise.all(candidateIds.map(id => store.getBySpotifyId(id)));
+  const error = new Error(`"${artistName}" matches more than one artist`);
+  
+  error.code = 'AMBIGUOUS_ARTIST';
+  error.candidates = records.filter(Boolean).map(record => ({
+    artist_name: record.artist_name,
+    artist_spotify_id: record.artist_spotify_id,
+    slug: record.slug,
+    // Same name, so genres are what tells them apart
+    genres: record.artist_data?.genres?.slice(0, 3) || []
+  }));
+  
+  return error;
+}
+
+// Artist recommendations helpers - with in-memory fallback
+// Pass artistId (Spotify ID) to disambiguate artists that share a name
+export async function getCachedArtistRecommendations(artistName, { artistId } = {}) {
+  if (!artistName && !artistId) {
     return { data: null, error: new Error('Artist name is required') };
   }
   
   try {
-    // First try using Supabase
-    const { data, error } = await supabase
-      .from('artist_recommendations_cache')
-      .select('*')
-      .ilike('artist_name', artistName)
-      .single();
-    
-    // If successful, return the data
-    if (!error && data) {
-      // Update in-memory cache
-      inMemoryCache[artistName.toLowerCase()] = data;
+    const { record: data, candidates } = await lookupArtist(storage, artistName, artistId);
+    
+    if (data) {
+      // Keep the fallback warm in case storage goes away later, as read:
+      // put would restamp updated_at and make a stale record look fresh
+      await memoryStorage.set(data);
       return { data, error: null };
     }
     
-    // If Supabase fails but we have in-memory cache, use that
-    if (inMemoryCache[artistName.toLowerCase()]) {
-      logger.log(`Using in-memory cache for ${artistName}`);
-      return { 
-        data: inMemoryCache[artistName.toLowerCase()], 
-        error: null 
-      };
+    if (candidates.length > 1) {
+      return { data: null, error: await ambiguousArtistError(storage, artistName, candidates) };
     }
+  } catch (err) {
+    logger.error(`Error getting cached recommendations for ${artistName || artistId}:`, err);
+  }
+  
+  // If storage fails or misses but we have in-memory cache, use that
+  const { record: fromMemory } = await lookupArtist(memoryStorage, artistName, artistId);
+  
+  if (fromMemory) {
+    logger.log(`Using in-memory cache for ${artistName || artistId}`);
+    return { data: fromMemory, error: null };
+  }
+  
+  // No data found
+  return { data: null, error: new Error('Artist not found in cache') };
+}
+
+/**
+ * Search cached artists by name or alias (substring of the normalized alias)
+ * Matches resolve to artists through their Spotify ID, so each artist
+ * appears once whichever of its aliases matched.
+ * @param {string} query - Partial name
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of artists
+ * @returns {Promise<Object>} - { data: cached artist records, error }
+ */
+export async function searchCachedArtists(query, { limit = 5 } = {}) {
+  try {
+    const rows = await storage.searchAliases(query, { limit: limit * 4 });
+    const artistIds = [...new Set(rows.map(row => row.artist_spotify_id))].slice(0, limit);
+    const records = await Promise.all(artistIds.map(id => storage.getBySpotifyId(id)));
     
-    // No data found
-    return { data: null, error: new Error('Artist not found in cache') };
+    return { data: records.filter(Boolean), error: null };
   } catch (err) {
-    logger.error(`Error getting cached recommendations for ${artistName}:`, err);
-    
-    // Fallback to in-memory cache
-    if (inMemoryCache[artistName.toLowerCase()]) {
-      return { 
-        data: inMemoryCache[artistName.toLowerCase()], 
-        error: null 
-      };
-    }
+    logger.error(`Error searching cached artists for ${query}:`, err);
+    return { data: [], error: err };
+  }
+}
+
+/**
+ * Resolve an artist URL slug to a cached artist
+ * isCanonical is false when the slug is a legacy or alternate alias, so
+ * callers can redirect to the canonical slug.
+ * @param {string} slug - Slug from the URL
+ * @returns {Promise<Object>} - { data: { record, slug, isCanonical }, error }
+ */
+export async function resolveArtistSlug(slug) {
+  if (!slug) {
+    return { data: null, error: new Error('Slug is required') };
+  }
+  
+  try {
+    const record = await storage.getBySlug(slug) || await memoryStorage.getBySlug(slug);
     
-    return { data: null, error: err };
+    if (record) {
+      return { data: { record, slug: record.slug, isCanonical: record.slug === slug }, error: null };
+    }
+  } catch (err) {
+    logger.error(`Error resolving slug ${slug}:`, err);
   }
+  
+  // Rows cached before slugs were stored can only be found by name
+  const { data: record } = await getCachedArtistRecommendations(deslugify(slug));
+  
+  if (record) {
+    const resolvedSlug = record.slug || canonicalSlug(record.artist_name);
+    return { data: { record, slug: resolvedSlug, isCanonical: resolvedSlug === slug }, error: null };
+  }
+  
+  return { data: null, error: new Error('Artist not found in cache') };
 }
 
-export async function cacheArtistRecommendations(artistName, artistSpotifyId, artistData, recommendations, isFeatured = false) {
+export async function cacheArtistRecommendations(artistName, artistSpotifyId, artistData, recommendations, isFeatured = false, researchOptions = null) {
   if (!artistName || !artistSpotifyId) {
     return { data: null, error: new Error('Artist name and ID are required') };
   }
   
-  const newCacheItem = {
-    id: Date.now().toString(), // Generate a unique ID
+  const record = {
     artist_name: artistName,
     artist_spotify_id: artistSpotifyId,
     artist_data: artistData,
     recommendations: recommendations,
     is_featured: isFeatured,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+    // Constraints the recommendations were generated under (see lib/llm/research)
+    research_options: researchOptions
   };
   
   try {
-    // Try to insert via Supabase first
-    const { data, error } = await supabase
-      .from('artist_recommendations_cache')
-      .insert([{
-        artist_name: artistName,
-        artist_spotify_id: artistSpotifyId,
-        artist_data: artistData,
-        recommendations: recommendations,
-        is_featured: isFeatured
-      }]);
-    
-    if (!error) {
-      logger.log(`Successfully cached ${artistName} in Supabase`);
-      return { data, error: null };
-    }
-    
-    // If Supabase fails, use in-memory cache as fallback
-    logger.warn(`Supabase caching failed for ${artistName}, using memory cache:`, error);
-    inMemoryCache[artistName.toLowerCase()] = newCacheItem;
-    
-    return { 
-      data: newCacheItem, 
-      error: null 
-    };
+    const data = await storage.put(record);
+    logger.log(`Successfully cached ${artistName} in ${storage.name} storage`);
+    return { data, error: null };
   } catch (err) {
-    logger.error(`Error caching recommendations for ${artistName}:`, err);
+    // If storage fails, use in-memory cache as fallback
+    logger.warn(`${storage.name} caching failed for ${artistName}, using memory cache:`, err);
     
-    // Still save to in-memory cache
-    inMemoryCache[artistName.toLowerCase()] = newCacheItem;
+    const data = await memoryStorage.put(record);
     
     return { 
-      data: newCacheItem, 
+      data, 
       error: null // Return null error since we still cached in memory
     };
   }
@@ -117,58 +208,47 @@ export async function cacheArtistRecommendations(artistName, artistSpotifyId, ar
 
 export async function getFeaturedArtists() {
   try {
-    // Try to get from Supabase first
-    const { data, error } = await supabase
-      .from('artist_recommendations_cache')
-      .select('*')
-      .eq('is_featured', true)
-      .order('created_at', { ascending: false });
-    
-    if (!error && data) {
-      return { data, error: null };
-    }
+    const data = await storage.list({ featured: true });
+    return { data, error: null };
+  } catch (err) {
+    logger.error('Error getting featured artists:', err);
     
     // Fallback to in-memory
-    const featuredFromMemory = Object.values(inMemoryCache).filter(item => item.is_featured);
+    const featuredFromMemory = await memoryStorage.list({ featured: true });
     return { data: featuredFromMemory, error: null };
+  }
+}
+
+export async function getAllCachedArtists() {
+  try {
+    const data = await storage.list();
+    
+    // Include anything only the in-memory fallback knows about
+    const known = new Set(data.map(item => item.artist_spotify_id || item.artist_name.toLowerCase()));
+    const fromMemory = (await memoryStorage.list()).filter(item => !known.has(item.artist_spotify_id || item.artist_name.toLowerCase()));
+    
+    return { data: [...data, ...fromMemory], error: null };
   } catch (err) {
-    logger.error('Error getting featured artists:', err);
+    logger.error('Error getting cached artists:', err);
     
     // Fallback to in-memory
-    const featuredFromMemory = Object.values(inMemoryCache).filter(item => item.is_featured);
-    return { data: featuredFromMemory, error: null };
+    const data = await memoryStorage.list();
+    return { data, error: null };
   }
 }
 
 export async function markArtistAsFeatured(artistId, featured = true) {
   try {
-    // Try Supabase first
-    const { data, error } = await supabase
-      .from('artist_recommendations_cache')
-      .update({ is_featured: featured })
-      .eq('id', artistId)
-      .select();
-    
-    if (!error && data) {
-      // Update in memory cache too
-      Object.values(inMemoryCache).forEach(item => {
-        if (item.id === artistId) {
-          item.is_featured = featured;
-        }
-      });
-      return { data, error: null };
-    }
+    // Update in memory cache too
+    const fromMemory = await memoryStorage.markFeatured(artistId, featured);
+    const data = await storage.markFeatured(artistId, featured);
     
-    // If Supabase fails but we find the item in memory cache
-    let foundInMemory = false;
-    Object.values(inMemoryCache).forEach(item => {
-      if (item.id === artistId) {
-        item.is_featured = featured;
-        foundInMemory = true;
-      }
-    });
+    if (data) {
+      return { data: [data], error: null };
+    }
     
-    if (foundInMemory) {
+    // If storage misses but we find the item in memory cache
+    if (fromMemory) {
       return { data: [{ id: artistId, is_featured: featured }], error: null };
     }
     
@@ -177,4 +257,91 @@ export async function markArtistAsFeatured(artistId, featured = true) {
     logger.error(`Error marking artist ${artistId} as featured:`, err);
     return { data: null, error: err };
   }
-}
\ No newline at end of file
+}
+
+// Query recommendations across all cached artists, most confident first
+// filters: { name, type, source, year, month, domain, minConfidence, limit }
+export async function findRecommendations(filters = {}) {
+  try {
+    const data = await storage.findRecommendations(filters);
+    return { data, error: null };
+  } catch (err) {
+    logger.error('Error querying recommendations:', err);
+    
+    // Fallback to in-memory
+    const data = await memoryStorage.findRecommendations(filters);
+    return { data, error: null };
+  }
+}
+
+// Recommendation snapshot helpers - one immutable snapshot per generation run
+export async function recordRecommendationSnapshot(snapshot) {
+  try {
+    const data = await storage.addSnapshot(snapshot);
+    return { data, error: null };
+  } catch (err) {
+    logger.warn(`Snapshot storage failed for ${snapshot.artist_name}, using memory cache:`, err);
+    
+    const data = await memoryStorage.addSnapshot(snapshot);
+    return { data, error: null };
+  }
+}
+
+// LLM usage helpers - tokens, latency and estimated cost of each generation call
+// A record storage refused is kept in memory, so this process's spending
+// still counts against the budget, but the error is returned: spending that
+// isn't stored is spending nobody else sees
+export async function recordLLMUsage(record) {
+  try {
+    const data = await storage.addUsage(record);
+    return { data, error: null };
+  } catch (err) {
+    const data = await memoryStorage.addUsage(record);
+    return { data, error: err };
+  }
+}
+
+export async function getLLMUsage(filters = {}) {
+  try {
+    // Only records storage refused are in memory, so nothing is counted twice
+    const data = [...await storage.listUsage(filters), ...await memoryStorage.listUsage(filters)]
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    return { data, error: null };
+  } catch (err) {
+    logger.error('Error getting LLM usage:', err);
+    
+    const data = await memoryStorage.listUsage(filters);
+    return { data, error: null };
+  }
+}
+
+export async function getRecommendationSnapshots(artistName) {
+  if (!artistName) {
+    return { data: null, error: new Error('Artist name is required') };
+  }
+  
+  try {
+    const data = await storage.listSnapshots(artistName);
+    return { data, error: null };
+  } catch (err) {
+    logger.error(`Error getting snapshots for ${artistName}:`, err);
+    
+    const data = await memoryStorage.listSnapshots(artistName);
+    return { data, error: null };
+  }
+}
+
+export async function getRecommendationSnapshot(snapshotId) {
+  try {
+    const data = await storage.getSnapshot(snapshotId) || await memoryStorage.getSnapshot(snapshotId);
+    
+    if (!data) {
+      return { data: null, error: new Error('Snapshot not found') };
+    }
+    
+    return { data, error: null };
+  } catch (err) {
+    logger.error(`Error getting snapshot ${snapshotId}:`, err);
+    return { data: null, error: err };
+  }
+}
@@ -1,15 +1,14 @@
+import { canonicalSlug } from './slugs';
+
 /**
  * Converts artist name to a URL-friendly slug
+ * Prefer the slug stored with a cached artist or recommendation; this is the
+ * same canonical algorithm, for names that don't have one stored yet.
  * @param {string} name - Artist name
  * @returns {string} - URL-friendly slug
  */
 export function slugify(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/--+/g, '-') // Replace multiple hyphens with single hyphen
-    .trim();
+  return canonicalSlug(name);
 }
 
 /**
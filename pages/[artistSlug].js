@@ -1,12 +1,50 @@
 import { useState, useEffect } from 'react';
-import { useRouter } from 'next/router';
+import Router, { useRouter } from 'next/router';
 import Head from 'next/head';
+import Link from 'next/link';
 import Layout from '../components/Layout';
 import RecommendationGrid from '../components/RecommendationGrid';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { deslugify } from '../lib/utils';
+import { resolveArtistSlug } from '../lib/supabase';
 import logger from '../lib/logger';
 
+// How often a generation job's progress is checked
+const GENERATION_POLL_MS = 3000;
+
+// Search text for an uncached artist, from its URL ("sigur-ros" -> "sigur ros")
+function nameFromSlug(slug) {
+  return slug.replace(/-+/g, ' ').trim();
+}
+
+// Waiting message for a generation job
+function generationMessage(job) {
+  if (job.status === 'queued') {
+    return `Waiting to generate recommendations for ${job.artistName}` +
+      (job.position ? ` (${job.position} in line)...` : '...');
+  }
+  
+  if (job.progress) {
+    return `${job.progress.label} for ${job.artistName} (step ${job.progress.step} of ${job.progress.steps})...`;
+  }
+  
+  return `Generating recommendations for ${job.artistName}...`;
+}
+
+/**
+ * Redirect legacy or alternate slugs to the artist's canonical slug (301)
+ */
+export async function getServerSideProps({ params }) {
+  const { data } = await resolveArtistSlug(params.artistSlug);
+  
+  if (data && !data.isCanonical) {
+    return {
+      redirect: { destination: `/${encodeURIComponent(data.slug)}`, statusCode: 301 }
+    };
+  }
+  
+  return { props: {} };
+}
+
 export default function ArtistPage() {
   const router = useRouter();
   const { artistSlug } = router.query;
@@ -16,22 +54,64 @@ export default function ArtistPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [notFound, setNotFound] = useState(false);
+  // Cached artists sharing this name, when the slug doesn't say which
+  const [candidates, setCandidates] = useState(null);
+  // Generation job for an artist that isn't cached yet
+  const [generation, setGeneration] = useState(null);
+  // Bumped to load the artist again once their recommendations are generated
+  const [reloadCount, setReloadCount] = useState(0);
   
   // Fetch artist data and recommendations
   useEffect(() => {
     if (!artistSlug) return;
     
+    // Not cached yet: ask for the artist by name, which queues a generation job
+    const requestGeneration = async () => {
+      const response = await fetch(`/api/recommendations/${encodeURIComponent(nameFromSlug(artistSlug))}`);
+      
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      
+      const data = await response.json();
+      
+      if (response.status === 202) {
+        setGeneration(data);
+        return;
+      }
+      
+      if (response.status === 300) {
+        setCandidates(data.candidates || []);
+        return;
+      }
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to generate recommendations');
+      }
+      
+      // Already cached under another name or slug
+      if (data.slug && data.slug !== artistSlug) {
+        Router.replace(`/${encodeURIComponent(data.slug)}`);
+        return;
+      }
+      
+      setArtistData(data.artist_data || null);
+      setRecommendations(data.recommendations || []);
+    };
+    
     const fetchArtistData = async () => {
       try {
         setIsLoading(true);
         setError(null);
         setNotFound(false);
+        setCandidates(null);
+        setGeneration(null);
         
-        const artistName = deslugify(artistSlug);
-        const response = await fetch(`/api/recommendations/${encodeURIComponent(artistName)}`);
+        const response = await fetch(`/api/artists/${encodeURIComponent(artistSlug)}`);
         
         if (response.status === 404) {
-          setNotFound(true);
+          await requestGeneration();
           return;
         }
         
@@ -53,7 +133,62 @@ export default function ArtistPage() {
     };
     
     fetchArtistData();
-  }, [artistSlug]);
+  }, [artistSlug, reloadCount]);
+  
+  // Follow a generation job until it finishes, then load the new record
+  useEffect(() => {
+    if (!generation || (generation.status !== 'queued' && generation.status !== 'running')) return;
+    
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(generation.statusUrl);
+        const job = await response.json();
+        
+        if (!response.ok) {
+          throw new Error(job.error || 'Lost track of the generation job');
+        }
+        
+        if (job.status === 'succeeded') {
+          const { slug } = job.result;
+          
+          if (slug && slug !== artistSlug) {
+            Router.replace(`/${encodeURIComponent(slug)}`);
+          } else {
+            setReloadCount(count => count + 1);
+          }
+          return;
+        }
+        
+        if (job.status === 'failed') {
+          setGeneration(null);
+          setError(`Couldn't generate recommendations: ${job.error}`);
+          return;
+        }
+        
+        setGeneration(job);
+      } catch (err) {
+        logger.error('Error checking generation job:', err);
+        setGeneration(null);
+        setError(err.message);
+      }
+    }, GENERATION_POLL_MS);
+    
+    return () => clearTimeout(timer);
+  }, [generation, artistSlug]);
+
+  // Show generation progress
+  if (generation) {
+    return (
+      <Layout>
+        <div className="artist-page-loading">
+          <LoadingSpinner size="large" message={generationMessage(generation)} />
+          <p className="generation-note">
+            This artist hasn&apos;t been searched before. Finding recommendations they&apos;ve made takes a minute or two.
+          </p>
+        </div>
+      </Layout>
+    );
+  }
 
   // Show loading state
   if (isLoading) {
@@ -73,9 +208,13 @@ export default function ArtistPage() {
         <div className="artist-not-found">
           <h1>Artist Not Found</h1>
           <p>
-            This artist hasn't been searched before or isn't in our featured list.
+            We couldn&apos;t find this artist on Spotify.
           </p>
           
+          <Link href={`/recommended/${artistSlug}`} className="artist-history-link">
+            See which artists recommend them
+          </Link>
+          
           <button 
             onClick={() => router.push('/')} 
             className="go-home-button"
@@ -87,6 +226,35 @@ export default function ArtistPage() {
     );
   }
 
+  // Show the artists sharing this name
+  if (candidates) {
+    return (
+      <Layout>
+        <div className="artist-candidates">
+          <h1>Which Artist Did You Mean?</h1>
+          <p>More than one artist goes by this name.</p>
+          
+          <ul className="artist-candidate-list">
+            {candidates.map(candidate => (
+              <li key={candidate.artist_spotify_id}>
+                <Link href={`/${encodeURIComponent(candidate.slug)}`} className="artist-candidate-link">
+                  {candidate.artist_name}
+                </Link>
+                {candidate.genres?.length > 0 && (
+                  <span className="artist-candidate-genres">{candidate.genres.join(', ')}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+          
+          <button onClick={() => router.push('/')} className="go-home-button">
+            Return to Home
+          </button>
+        </div>
+      </Layout>
+    );
+  }
+
   // Show error state
   if (error || !artistData) {
     return (
@@ -115,6 +283,9 @@ export default function ArtistPage() {
         <div className="artist-header-simple">
           <h1 className="artist-name">{name}</h1>
           <h2 className="recommendations-subtitle">Recommendations</h2>
+          <Link href={`/${artistSlug}/history`} className="artist-history-link">
+            View history
+          </Link>
         </div>
         
         {recommendations && recommendations.length > 0 ? (
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import Layout from '../../components/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { resolveArtistSlug } from '../../lib/supabase';
+import { deslugify } from '../../lib/utils';
+import logger from '../../lib/logger';
+
+function formatDate(isoString) {
+  return new Date(isoString).toLocaleString();
+}
+
+function DiffList({ title, items, className }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+  
+  return (
+    <div className={`history-diff-group ${className}`}>
+      <h3>{title} ({items.length})</h3>
+      <ul>
+        {items.map((rec, index) => (
+          <li key={index}>
+            <strong>{rec.name}</strong> <span className="history-diff-type">{rec.type}</span>
+            {rec.quote && <p className="history-diff-quote">"{rec.quote}"</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Resolve the slug to the cached artist's name, redirecting alternate slugs
+ */
+export async function getServerSideProps({ params }) {
+  const { data } = await resolveArtistSlug(params.artistSlug);
+  
+  if (data && !data.isCanonical) {
+    return {
+      redirect: { destination: `/${encodeURIComponent(data.slug)}/history`, statusCode: 301 }
+    };
+  }
+  
+  return {
+    props: { artistName: data?.record.artist_name || deslugify(params.artistSlug) }
+  };
+}
+
+export default function ArtistHistoryPage({ artistName }) {
+  const router = useRouter();
+  const { artistSlug } = router.query;
+  
+  const [snapshots, setSnapshots] = useState([]);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // Load the snapshot list and preselect the two most recent runs
+  useEffect(() => {
+    if (!artistName) return;
+    
+    const fetchSnapshots = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        
+        const response = await fetch(`/api/recommendations/${encodeURIComponent(artistName)}/snapshots`);
+        
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Failed to fetch snapshots');
+        }
+        
+        const data = await response.json();
+        
+        setSnapshots(data.snapshots);
+        setToId(data.snapshots[0]?.id || '');
+        setFromId(data.snapshots[1]?.id || '');
+      } catch (err) {
+        logger.error('Error fetching snapshots:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    
+    fetchSnapshots();
+  }, [artistName]);
+  
+  // Fetch the diff whenever the selected pair changes
+  useEffect(() => {
+    if (!artistName || !fromId || !toId) {
+      setDiff(null);
+      return;
+    }
+    
+    const params = new URLSearchParams({ from: fromId, to: toId });
+    
+    fetch(`/api/recommendations/${encodeURIComponent(artistName)}/snapshots/diff?${params}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('Failed to compare snapshots');
+        }
+        return response.json();
+      })
+      .then(setDiff)
+      .catch(err => {
+        logger.error('Error fetching snapshot diff:', err);
+        setError(err.message);
+      });
+  }, [artistName, fromId, toId]);
+  
+  if (isLoading) {
+    return (
+      <Layout>
+        <div className="artist-page-loading">
+          <LoadingSpinner size="large" message="Loading history..." />
+        </div>
+      </Layout>
+    );
+  }
+  
+  const renderSnapshotSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {snapshots.map(snapshot => (
+        <option key={snapshot.id} value={snapshot.id}>
+          {formatDate(snapshot.createdAt)} · {snapshot.model || 'unknown model'} · prompt v{snapshot.promptVersion || '?'} · {snapshot.recommendationCount} recs
+        </option>
+      ))}
+    </select>
+  );
+  
+  return (
+    <Layout title={`${artistName} - Recommendation History | Rec'd`}>
+      <Head>
+        <meta name="robots" content="noindex, nofollow" />
+      </Head>
+      
+      <div className="artist-page">
+        <div className="artist-header-simple">
+          <h1 className="artist-name">{artistName}</h1>
+          <h2 className="recommendations-subtitle">Recommendation History</h2>
+          <Link href={`/${artistSlug}`}>Back to recommendations</Link>
+        </div>
+        
+        {error && <p className="history-error">{error}</p>}
+        
+        {snapshots.length < 2 ? (
+          <div className="no-recommendations">
+            <p>
+              {snapshots.length === 0 
+                ? 'No snapshots recorded for this artist yet.' 
+                : 'Only one snapshot recorded so far - there is nothing to compare yet.'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="history-selectors">
+              <label>
+                From
+                {renderSnapshotSelect(fromId, setFromId)}
+              </label>
+              <label>
+                To
+                {renderSnapshotSelect(toId, setToId)}
+              </label>
+            </div>
+            
+            {diff && (
+              <div className="history-diff">
+                <p className="history-diff-summary">
+                  {diff.added.length} added · {diff.removed.length} dropped · {diff.changed.length} changed · {diff.unchangedCount} unchanged
+                </p>
+                
+                <DiffList title="Added" items={diff.added} className="added" />
+                <DiffList title="Dropped" items={diff.removed} className="removed" />
+                
+                {diff.changed.length > 0 && (
+                  <div className="history-diff-group changed">
+                    <h3>Changed ({diff.changed.length})</h3>
+                    <ul>
+                      {diff.changed.map((change, index) => (
+                        <li key={index}>
+                          <strong>{change.name}</strong> <span className="history-diff-type">{change.type}</span>
+                          <dl>
+                            {change.fields.map(field => (
+                              <div key={field} className="history-diff-field">
+                                <dt>{field}</dt>
+                                <dd>
+                                  <del>{change.before[field] || '—'}</del>
+                                  <ins>{change.after[field] || '—'}</ins>
+                                </dd>
+                              </div>
+                            ))}
+                          </dl>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
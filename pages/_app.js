@@ -3,6 +3,7 @@ import '../styles/artist-page.css';
 import '../styles/recommendations.css';
 import '../styles/error-fallbacks.css';
 import '../styles/debug.css';
+import '../styles/graph.css';
 import { AuthProvider } from '../hooks/useAuth';
 import Head from 'next/head';
 import ErrorBoundary from '../components/ErrorBoundary';
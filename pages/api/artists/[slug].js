@@ -0,0 +1,57 @@
+import { resolveArtistSlug } from '../../../lib/supabase';
+import { revalidateIfStale } from '../../../lib/cache-manager';
+import { parseMinConfidence, rankRecommendations } from '../../../lib/confidence';
+import logger from '../../../lib/logger';
+
+/**
+ * API endpoint to get cached recommendations by canonical artist slug
+ * Legacy and alternate slugs are redirected (301) to the canonical slug
+ * Query: minConfidence - optional 0-1 cut-off (see lib/confidence)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug } = req.query;
+  
+  if (!slug) {
+    return res.status(400).json({ error: 'Slug is required' });
+  }
+  
+  let minConfidence;
+  
+  try {
+    minConfidence = parseMinConfidence(req.query.minConfidence);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const { data, error } = await resolveArtistSlug(slug);
+    
+    if (error || !data) {
+      return res.status(404).json({ error: 'Artist recommendations not available' });
+    }
+    
+    if (!data.isCanonical) {
+      const query = minConfidence !== null ? `?minConfidence=${minConfidence}` : '';
+      return res.redirect(301, `/api/artists/${encodeURIComponent(data.slug)}${query}`);
+    }
+    
+    // Stale entries are regenerated in the background
+    revalidateIfStale(data.record);
+    
+    // Most confident first; records cached before scoring are scored here
+    return res.status(200).json({
+      ...data.record,
+      recommendations: rankRecommendations(data.record.recommendations, {
+        research: data.record.research_options,
+        minConfidence
+      })
+    });
+  } catch (error) {
+    logger.error('Error in artists API:', error);
+    return res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+}
@@ -0,0 +1,50 @@
+import { buildRecommendationGraph, getNeighborhood, MAX_GRAPH_HOPS } from '../../../../lib/recommendation-graph';
+import { getAllCachedArtists } from '../../../../lib/supabase';
+import logger from '../../../../lib/logger';
+
+/**
+ * API endpoint returning the recommendation graph around an artist
+ * Query: hops - how many recommendation hops to follow (1-3, default 1);
+ * artistId - Spotify ID, for names shared by several artists
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { artistName, artistId, hops = '1' } = req.query;
+  
+  if (!artistName) {
+    return res.status(400).json({ error: 'Artist name is required' });
+  }
+  
+  const hopCount = parseInt(hops, 10);
+  
+  if (!Number.isInteger(hopCount) || hopCount < 1 || hopCount > MAX_GRAPH_HOPS) {
+    return res.status(400).json({ error: `Hops must be between 1 and ${MAX_GRAPH_HOPS}` });
+  }
+  
+  try {
+    const { data: records, error: loadError } = await getAllCachedArtists();
+    
+    if (loadError) {
+      throw loadError;
+    }
+    
+    const graph = buildRecommendationGraph(records);
+    const neighborhood = getNeighborhood(graph, artistName, hopCount, { artistId });
+    
+    if (!neighborhood) {
+      return res.status(404).json({ error: 'Artist not found in recommendation graph' });
+    }
+    
+    return res.status(200).json({ hops: hopCount, ...neighborhood });
+  } catch (error) {
+    if (error.code === 'AMBIGUOUS_ARTIST') {
+      return res.status(300).json({ error: error.message, candidates: error.candidates });
+    }
+    
+    logger.error('Error in recommendation graph API:', error);
+    return res.status(500).json({ error: 'Failed to build recommendation graph' });
+  }
+}
@@ -0,0 +1,51 @@
+import { buildRecommendationGraph, findConnection } from '../../../lib/recommendation-graph';
+import { getAllCachedArtists } from '../../../lib/supabase';
+import logger from '../../../lib/logger';
+
+/**
+ * API endpoint finding the shortest recommendation chain between two artists
+ * Query: from, to - artist names; fromId, toId - Spotify IDs, for names shared
+ * by several artists; directed - "false" to also walk edges backwards
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to, fromId, toId, directed = 'true' } = req.query;
+  
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Missing required parameters: from, to' });
+  }
+  
+  try {
+    const { data: records, error: loadError } = await getAllCachedArtists();
+    
+    if (loadError) {
+      throw loadError;
+    }
+    
+    const graph = buildRecommendationGraph(records);
+    const path = findConnection(graph, from, to, { directed: directed !== 'false', fromId, toId });
+    
+    if (!path) {
+      return res.status(404).json({ 
+        connected: false, 
+        error: 'No recommendation chain found between these artists' 
+      });
+    }
+    
+    return res.status(200).json({
+      connected: true,
+      length: path.edges.length,
+      ...path
+    });
+  } catch (error) {
+    if (error.code === 'AMBIGUOUS_ARTIST') {
+      return res.status(300).json({ error: error.message, candidates: error.candidates });
+    }
+    
+    logger.error('Error in recommendation connection API:', error);
+    return res.status(500).json({ error: 'Failed to find recommendation connection' });
+  }
+}
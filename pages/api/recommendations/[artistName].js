@@ -1,50 +1,150 @@
 import logger from '../../../lib/logger';
 import { getCachedArtistRecommendations } from '../../../lib/supabase';
+import { revalidateIfStale, enqueueGeneration, describeGenerationJob } from '../../../lib/cache-manager';
+import { searchArtist, getArtistsDetails } from '../../../lib/spotify';
+import { toFeaturedArtist } from '../../../lib/featured-artists';
+import { aliasKey } from '../../../lib/artist-aliases';
+import { parseMinConfidence, rankRecommendations } from '../../../lib/confidence';
+import { upstreamFailure } from '../../../lib/http';
 import path from 'path';
 import fs from 'fs';
 
 // Load featured artists
 const featuredArtistsPath = path.join(process.cwd(), 'data', 'featured-artists.json');
 const featuredArtists = JSON.parse(fs.readFileSync(featuredArtistsPath, 'utf8'));
-const featuredArtistsLower = featuredArtists.map(name => name.toLowerCase());
+const featuredByKey = new Map(featuredArtists.map(toFeaturedArtist).map(artist => [aliasKey(artist.name), artist]));
 
+// Seconds a client is asked to wait when the generation queue is full
+const QUEUE_FULL_RETRY_AFTER_S = 60;
+
+// Who is asking, for the generation rate limit: the client named by a proxy's
+// x-forwarded-for, or the connection's address
+function clientAddress(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(',')[0].trim();
+  return first || req.socket?.remoteAddress || 'unknown';
+}
+
+// Cached record with its recommendations ranked, most confident first
+// (records cached before scoring are scored here)
+function rankedRecord(record, minConfidence) {
+  return {
+    ...record,
+    recommendations: rankRecommendations(record.recommendations, {
+      research: record.research_options,
+      minConfidence
+    })
+  };
+}
+
+/**
+ * Cached recommendations for an artist
+ * An artist that isn't cached yet gets a generation job instead: the response
+ * is a 202 with the job, whose progress the status route reports (see
+ * enqueueGeneration in lib/cache-manager). Everyone asking while it runs gets
+ * the same job; new jobs are rate limited (429).
+ */
 export default async function handler(req, res) {
-  const { artistName } = req.query;
-  // Refresh is now completely disabled regardless of the parameter
+  // artistId (Spotify ID) picks one artist when several share a name
+  const { artistName, artistId } = req.query;
   
   if (!artistName) {
     return res.status(400).json({ error: 'Artist name is required' });
   }
   
+  // Optional 0-1 cut-off (see lib/confidence)
+  let minConfidence;
+  
+  try {
+    minConfidence = parseMinConfidence(req.query.minConfidence);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
     // Check if we have cached data
-    const { data: cachedData, error: cacheError } = await getCachedArtistRecommendations(artistName);
+    const { data: cachedData, error: cacheError } = await getCachedArtistRecommendations(artistName, { artistId });
     
     // If we have cached data, return it immediately
+    // (stale entries are regenerated in the background)
     if (!cacheError && cachedData) {
-      return res.status(200).json(cachedData);
-    }
-    
-    // Check if artist is in our featured list (case insensitive)
-    const isArtistFeatured = featuredArtistsLower.includes(artistName.toLowerCase()) ||
-      // Also check if any featured artist starts with the query
-      featuredArtistsLower.some(name => 
-        name.startsWith(artistName.toLowerCase()) || 
-        artistName.toLowerCase().startsWith(name)
-      );
-      
-    // Only return 404 if no cached data and not a featured artist
-    if (!isArtistFeatured) {
-      return res.status(404).json({ 
-        error: 'Artist recommendations not available' 
+      revalidateIfStale(cachedData);
+      return res.status(200).json(rankedRecord(cachedData, minConfidence));
+    }
+    
+    // Several cached artists answer to this name - let the client choose
+    if (cacheError?.code === 'AMBIGUOUS_ARTIST') {
+      return res.status(300).json({
+        error: cacheError.message,
+        candidates: cacheError.candidates
+      });
+    }
+    
+    // Not cached: find the artist on Spotify, so jobs are keyed by Spotify ID
+    const [artist] = artistId
+      ? [(await getArtistsDetails([artistId])).get(artistId)]
+      : await searchArtist(artistName, 1);
+    
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    
+    // The name searched for may differ from the one the artist is cached under
+    const { data: cachedById } = await getCachedArtistRecommendations(artist.name, { artistId: artist.id });
+    
+    if (cachedById) {
+      revalidateIfStale(cachedById);
+      return res.status(200).json(rankedRecord(cachedById, minConfidence));
+    }
+    
+    // Featured artists keep their own research options
+    const featured = featuredByKey.get(aliasKey(artist.name)) || featuredByKey.get(aliasKey(artistName));
+    const { job, created } = enqueueGeneration({
+      artistName: artist.name,
+      artistId: artist.id,
+      isFeatured: !!featured,
+      research: featured?.research || null
+    }, { requester: clientAddress(req) });
+    const status = describeGenerationJob(job);
+    
+    // A recent failure is reported until its cooldown ends, rather than retried
+    if (job.status === 'failed') {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((Date.parse(job.retryAt) - Date.now()) / 1000)));
+      return res.status(503).json({
+        error: `Couldn't generate recommendations for ${artist.name}, try again later`,
+        generation: status
       });
     }
     
-    // If it's a featured artist but no cache exists yet, indicate this
-    return res.status(404).json({ 
-      error: 'Recommendations not yet generated for this featured artist' 
-    });
+    logger.log(`${created ? 'Queued' : 'Joined'} generation job ${job.id} for ${artist.name}`);
+    
+    res.setHeader('Location', status.statusUrl);
+    return res.status(202).json(status);
   } catch (error) {
+    if (error.code === 'INVALID_SPOTIFY_ID') {
+      return res.status(400).json({ error: 'artistId is not a valid Spotify ID' });
+    }
+    
+    if (error.code === 'QUEUE_FULL') {
+      res.setHeader('Retry-After', QUEUE_FULL_RETRY_AFTER_S);
+      return res.status(503).json({ error: error.message });
+    }
+    
+    if (error.code === 'RATE_LIMITED') {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil(error.retryAfterMs / 1000)));
+      return res.status(429).json({ error: error.message });
+    }
+    
+    const upstream = upstreamFailure(error);
+    
+    if (upstream) {
+      logger.warn(`recommendations API: ${upstream.message}`);
+      if (upstream.retryAfterMs) {
+        res.setHeader('Retry-After', Math.ceil(upstream.retryAfterMs / 1000));
+      }
+      return res.status(503).json({ error: `${upstream.upstream} is unavailable, try again shortly` });
+    }
+    
     logger.error('Error in recommendations API:', error);
     return res.status(500).json({ error: 'Failed to fetch recommendations' });
   }
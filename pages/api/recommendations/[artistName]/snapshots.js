@@ -0,0 +1,40 @@
+import { getRecommendationSnapshots } from '../../../../lib/supabase';
+import logger from '../../../../lib/logger';
+
+/**
+ * API endpoint to list recommendation snapshots for an artist
+ * Each snapshot is one immutable generation run, newest first
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { artistName } = req.query;
+  
+  if (!artistName) {
+    return res.status(400).json({ error: 'Artist name is required' });
+  }
+  
+  try {
+    const { data, error } = await getRecommendationSnapshots(artistName);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return res.status(200).json({
+      artistName,
+      snapshots: data.map(snapshot => ({
+        id: snapshot.id,
+        createdAt: snapshot.created_at,
+        model: snapshot.model,
+        promptVersion: snapshot.prompt_version,
+        recommendationCount: snapshot.recommendations?.length || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing recommendation snapshots:', error);
+    return res.status(500).json({ error: 'Failed to list recommendation snapshots' });
+  }
+}
@@ -0,0 +1,62 @@
+import { getRecommendationSnapshots } from '../../../../../lib/supabase';
+import { diffRecommendations } from '../../../../../lib/snapshots';
+import logger from '../../../../../lib/logger';
+
+/**
+ * API endpoint to diff two recommendation snapshots for an artist
+ * Query: from, to - snapshot IDs (default: the two most recent snapshots)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { artistName, from, to } = req.query;
+  
+  if (!artistName) {
+    return res.status(400).json({ error: 'Artist name is required' });
+  }
+  
+  try {
+    const { data: snapshots, error } = await getRecommendationSnapshots(artistName);
+    
+    if (error) {
+      throw error;
+    }
+    
+    // Snapshots are newest first, so default to comparing the previous run with the latest
+    const toSnapshot = to ? snapshots.find(s => s.id === to) : snapshots[0];
+    const fromSnapshot = from ? snapshots.find(s => s.id === from) : snapshots[1];
+    
+    if (!toSnapshot || !fromSnapshot) {
+      return res.status(404).json({ 
+        error: from || to 
+          ? 'Snapshot not found for this artist' 
+          : 'At least two snapshots are needed to compare' 
+      });
+    }
+    
+    const diff = diffRecommendations(fromSnapshot.recommendations, toSnapshot.recommendations);
+    
+    const summarize = snapshot => ({
+      id: snapshot.id,
+      createdAt: snapshot.created_at,
+      model: snapshot.model,
+      promptVersion: snapshot.prompt_version,
+      recommendationCount: snapshot.recommendations?.length || 0
+    });
+    
+    return res.status(200).json({
+      artistName,
+      from: summarize(fromSnapshot),
+      to: summarize(toSnapshot),
+      added: diff.added,
+      removed: diff.removed,
+      changed: diff.changed,
+      unchangedCount: diff.unchanged.length
+    });
+  } catch (error) {
+    logger.error('Error diffing recommendation snapshots:', error);
+    return res.status(500).json({ error: 'Failed to compare recommendation snapshots' });
+  }
+}
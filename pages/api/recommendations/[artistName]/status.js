@@ -1,9 +1,13 @@
 import { getCachedArtistRecommendations } from '../../../../lib/supabase';
+import { getCacheFreshness } from '../../../../lib/cache-freshness';
+import { isRefreshInFlight, getGenerationJob, findGenerationJob, describeGenerationJob } from '../../../../lib/cache-manager';
 import logger from '../../../../lib/logger';
 
 /**
  * API endpoint to check if recommendations exist for an artist
  * This endpoint is used to check cache status without fetching full data
+ * Query: jobId - report a generation job's progress instead (the job in the
+ * 202 from /api/recommendations/[artistName])
  */
 export default async function handler(req, res) {
   // Only allow HEAD and GET requests
@@ -11,21 +15,40 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { artistName } = req.query;
+  const { artistName, artistId, jobId } = req.query;
   
   if (!artistName) {
     return res.status(400).json({ error: 'Artist name is required' });
   }
   
   try {
+    // Progress of a generation job: queued (with its place in line), running
+    // (with its current step), succeeded (with the new record's slug) or failed
+    if (jobId) {
+      const job = getGenerationJob(jobId);
+      
+      if (!job) {
+        return res.status(404).json({ error: 'Generation job not found or expired' });
+      }
+      
+      if (req.method === 'HEAD') {
+        return res.status(200).end();
+      }
+      
+      return res.status(200).json(describeGenerationJob(job));
+    }
+    
     // Check if we have cached recommendations for this artist
-    const { data, error } = await getCachedArtistRecommendations(artistName);
+    const { data, error } = await getCachedArtistRecommendations(artistName, { artistId });
     
     if (error || !data) {
-      // No cached data found
+      // No cached data found; say so with any generation job for the artist
+      const job = findGenerationJob(artistName, artistId);
+      
       return res.status(404).json({ 
         cached: false, 
-        message: 'No cached recommendations found for this artist' 
+        message: 'No cached recommendations found for this artist',
+        generation: job ? describeGenerationJob(job) : null
       });
     }
     
@@ -35,11 +58,16 @@ export default async function handler(req, res) {
     }
     
     // For GET requests, return cache information
+    const { lastUpdated, stale, nextRefreshAt } = getCacheFreshness(data);
+    
     return res.status(200).json({ 
       cached: true,
       artistId: data.artist_spotify_id,
       recommendationCount: data.recommendations?.length || 0,
-      lastUpdated: data.updated_at || data.created_at
+      lastUpdated,
+      stale,
+      nextRefreshAt,
+      refreshing: isRefreshInFlight(data.artist_spotify_id)
     });
   } catch (error) {
     logger.error('Error checking recommendation cache status:', error);
@@ -0,0 +1,48 @@
+import { getRecommendersOf } from '../../../lib/reverse-index';
+import { getCachedArtistRecommendations } from '../../../lib/supabase';
+import logger from '../../../lib/logger';
+
+/**
+ * API endpoint for the reverse index: who recommended this artist, album or song?
+ * Query: type - optional artist|album|song filter
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { slug, type } = req.query;
+  
+  if (!slug) {
+    return res.status(400).json({ error: 'Slug is required' });
+  }
+  
+  if (type && !['artist', 'album', 'song'].includes(type.toLowerCase())) {
+    return res.status(400).json({ error: 'Type must be artist, album, or song' });
+  }
+  
+  try {
+    const result = await getRecommendersOf(slug, { type: type?.toLowerCase() });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Nobody has recommended this yet' });
+    }
+    
+    // Legacy or alternate slug: send clients to the canonical one
+    if (result.slug !== slug) {
+      const query = type ? `?type=${encodeURIComponent(type)}` : '';
+      return res.redirect(301, `/api/recommended-by/${encodeURIComponent(result.slug)}${query}`);
+    }
+    
+    // Let the page link straight to the entity's own recommendations when it is a cached artist
+    const { data: cachedArtist } = await getCachedArtistRecommendations(result.name);
+    
+    return res.status(200).json({
+      ...result,
+      hasArtistPage: !!cachedArtist
+    });
+  } catch (error) {
+    logger.error('Error in recommended-by API:', error);
+    return res.status(500).json({ error: 'Failed to fetch recommenders' });
+  }
+}
@@ -0,0 +1,59 @@
+import { findRecommendations } from '../../lib/supabase';
+import { parseMinConfidence, rankRecommendations } from '../../lib/confidence';
+import logger from '../../lib/logger';
+
+const MAX_LIMIT = 200;
+
+/**
+ * API endpoint to query recommendations across all cached artists
+ * e.g. /api/search-recommendations?source=Podcast&year=2024
+ * Query: name, type, source, year, month, domain, minConfidence, limit
+ * Results come most confident first (see lib/confidence)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { name, type, source, year, month, domain, limit = 50 } = req.query;
+  
+  if (type && !['artist', 'album', 'song'].includes(type.toLowerCase())) {
+    return res.status(400).json({ error: 'Type must be artist, album, or song' });
+  }
+  
+  let minConfidence;
+  
+  try {
+    minConfidence = parseMinConfidence(req.query.minConfidence);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const maxResults = Math.min(parseInt(limit, 10) || 50, MAX_LIMIT);
+  
+  try {
+    // Filtered and sorted by confidence in storage, so the page is the most confident matches
+    const { data, error } = await findRecommendations({
+      name,
+      type,
+      source,
+      year,
+      month,
+      domain,
+      minConfidence,
+      limit: maxResults
+    });
+    
+    if (error) {
+      throw error;
+    }
+    
+    // Rows cached before scoring are scored with the default research options
+    const recommendations = rankRecommendations(data, { minConfidence });
+    
+    return res.status(200).json({ count: recommendations.length, recommendations });
+  } catch (error) {
+    logger.error('Error in search-recommendations API:', error);
+    return res.status(500).json({ error: 'Failed to query recommendations' });
+  }
+}
@@ -1,57 +1,69 @@
 import { searchArtist } from '../../lib/spotify';
+import { searchCachedArtists, getFeaturedArtists } from '../../lib/supabase';
+import { featuredArtistName } from '../../lib/featured-artists';
+import { aliasKey } from '../../lib/artist-aliases';
 import logger from '../../lib/logger';
+import { upstreamFailure } from '../../lib/http';
 import path from 'path';
 import fs from 'fs';
 
 // Load featured artists
 const featuredArtistsPath = path.join(process.cwd(), 'data', 'featured-artists.json');
 const featuredArtists = JSON.parse(fs.readFileSync(featuredArtistsPath, 'utf8'));
+const featuredArtistKeys = new Set(featuredArtists.map(entry => aliasKey(featuredArtistName(entry))));
+
+// Suggestion shape from a cached artist record
+function toSuggestion(record) {
+  return {
+    id: record.artist_spotify_id,
+    name: record.artist_name,
+    slug: record.slug,
+    image: record.artist_data?.image || null
+  };
+}
 
 export default async function handler(req, res) {
   const { query } = req.query;
-  
+
   if (!query || typeof query !== 'string') {
     return res.status(400).json({ error: 'Query parameter is required' });
   }
-  
+
   try {
-    // First get all search results from Spotify
-    const allResults = await searchArtist(query);
-    
-    // Filter to only include featured artists (case insensitive)
-    const featuredArtistsLower = featuredArtists.map(name => name.toLowerCase());
-    const filteredResults = allResults.filter(artist => 
-      featuredArtistsLower.includes(artist.name.toLowerCase())
-    );
-    
-    // If no exact match but the query might be a partial match for a featured artist,
-    // let's try to get those featured artists directly
-    if (filteredResults.length === 0) {
-      const queryLower = query.toLowerCase();
-      const matchingFeatured = featuredArtists.filter(name => 
-        name.toLowerCase().includes(queryLower)
-      );
-      
-      if (matchingFeatured.length > 0) {
-        // Get Spotify data for these artists
-        const additionalResults = [];
-        for (const artistName of matchingFeatured) {
-          try {
-            const artistResults = await searchArtist(artistName);
-            if (artistResults.length > 0) {
-              additionalResults.push(artistResults[0]);
-            }
-          } catch (err) {
-            logger.error(`Error fetching data for featured artist ${artistName}:`, err);
-          }
-        }
-        return res.status(200).json(additionalResults);
-      }
+    // Cached featured artists matching by name or alias come first: they
+    // already carry their Spotify ID, and need no Spotify request
+    const { data: matches } = await searchCachedArtists(query);
+    const featuredMatches = matches.filter(record => record.is_featured);
+
+    if (featuredMatches.length > 0) {
+      return res.status(200).json(featuredMatches.map(toSuggestion));
     }
-    
+
+    // Featured artists are identified by Spotify ID once cached, by normalized name before that
+    const { data: featuredRecords } = await getFeaturedArtists();
+    const featuredById = new Map((featuredRecords || []).map(record => [record.artist_spotify_id, record]));
+
+    // Then Spotify, whose search also forgives typos and catches featured
+    // artists that aren't cached yet
+    const allResults = await searchArtist(query);
+
+    const filteredResults = allResults
+      .filter(artist => featuredById.has(artist.id) || featuredArtistKeys.has(aliasKey(artist.name)))
+      .map(artist => ({ ...artist, slug: featuredById.get(artist.id)?.slug }));
+
     return res.status(200).json(filteredResults);
   } catch (error) {
+    const upstream = upstreamFailure(error);
+
+    if (upstream) {
+      logger.warn(`search-suggestions API: ${upstream.message}`);
+      if (upstream.retryAfterMs) {
+        res.setHeader('Retry-After', Math.ceil(upstream.retryAfterMs / 1000));
+      }
+      return res.status(503).json({ error: `${upstream.upstream} is unavailable, try again shortly` });
+    }
+
     logger.error('Error in search-suggestions API:', error);
     return res.status(500).json({ error: 'Failed to fetch search results' });
   }
-}
\ No newline at end of file
+}
@@ -1,11 +1,13 @@
-import { getServerAccessToken } from '../../../lib/spotify';
+import { spotifyServer } from '../../../lib/spotify';
 import logger from '../../../lib/logger';
+import { upstreamFailure } from '../../../lib/http';
 
 /**
  * Spotify Search API Proxy
  * 
  * This route proxies requests to the Spotify Search API,
- * handling authentication and error handling.
+ * handling authentication and error handling. Spotify being down or
+ * rate limiting past our retries is answered with a 503.
  */
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -21,19 +23,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Get a valid Spotify API token
-    const token = await getServerAccessToken();
-
-    // Make the request to Spotify API
-    const response = await fetch(
-      `https://api.spotify.com/v1/search?q=${encodeURIComponent(q)}&type=${type}&limit=${limit}`,
-      {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      }
+    // Make the request to Spotify API (with the server's cached token)
+    const response = await spotifyServer.request(
+      `/search?q=${encodeURIComponent(q)}&type=${type}&limit=${limit}`
     );
 
     // Handle non-200 responses
@@ -49,6 +41,16 @@ export default async function handler(req, res) {
     const data = await response.json();
     return res.status(200).json(data);
   } catch (error) {
+    const upstream = upstreamFailure(error);
+
+    if (upstream) {
+      logger.warn(`Spotify API proxy: ${upstream.message}`);
+      if (upstream.retryAfterMs) {
+        res.setHeader('Retry-After', Math.ceil(upstream.retryAfterMs / 1000));
+      }
+      return res.status(503).json({ error: `${upstream.upstream} is unavailable, try again shortly` });
+    }
+
     logger.error('Error in Spotify API proxy:', error);
     return res.status(500).json({
       error: 'Failed to fetch data from Spotify'
@@ -1,9 +1,15 @@
 import { searchArtist } from '../../../lib/spotify';
-import { getArtistRecommendations } from '../../../lib/openai';
+import { generateArtistRecommendations, getRecommendationProvider } from '../../../lib/recommendation-provider';
+import { normalizeResearchOptions } from '../../../lib/llm';
 import logger from '../../../lib/logger';
+import { upstreamFailure } from '../../../lib/http';
+
+// Query parameters that set the research constraints (see lib/llm/research);
+// list parameters are comma-separated
+const RESEARCH_PARAMS = ['months', 'from', 'to', 'sourceTypes', 'allowedDomains', 'deniedDomains', 'languages'];
 
 /**
- * Debug API endpoint for testing OpenAI recommendations directly
+ * Debug API endpoint for testing LLM recommendations directly
  * This bypasses caching for testing purposes
  * IMPORTANT: This endpoint should never be exposed in production!
  */
@@ -17,6 +23,17 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'Artist name is required' });
   }
   
+  // Only the parameters given override the defaults
+  const research = Object.fromEntries(
+    RESEARCH_PARAMS.filter(param => req.query[param]).map(param => [param, req.query[param]])
+  );
+  
+  try {
+    normalizeResearchOptions(research);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   try {
     logger.log(`Debug API called for artist: ${artistName} with bypassCache=${bypassCache}`);
     
@@ -33,12 +50,13 @@ export default async function handler(req, res) {
     // Generate timestamp for debugging
     const timestamp = new Date().toISOString();
     
-    // Generate a new OpenAI recommendation
-    // Always use web search (true) and force a new call (bypassing any OpenAI caching)
-    const recommendations = await getArtistRecommendations(
+    // Generate new recommendations from the configured LLM provider
+    // Always use web search (true) and force a new call (bypassing any provider-side caching)
+    const { recommendations, rejected, repaired, research: constraints, usage } = await generateArtistRecommendations(
       artist.name, 
       artist.id,
-      true  // Always use web search
+      true,  // Always use web search
+      { source: 'debug', research }
     );
     
     // Return the full response with timestamp
@@ -50,14 +68,35 @@ export default async function handler(req, res) {
         image: artist.images?.[0]?.url || null
       },
       recommendations,
+      rejected,
+      repaired,
+      research: constraints,
+      usage,
       debug: {
         bypassCache: bypassCache === 'true',
+        provider: getRecommendationProvider().name,
+        model: getRecommendationProvider().model,
+        promptVersion: getRecommendationProvider().promptVersion,
         searchResultCount: searchResults.length,
         recommendationCount: recommendations.length
       }
     });
   } catch (error) {
-    logger.error('Error in OpenAI debug API:', error);
+    if (error.code === 'LLM_BUDGET_EXCEEDED') {
+      return res.status(503).json({ error: error.message });
+    }
+
+    const upstream = upstreamFailure(error);
+
+    if (upstream) {
+      logger.warn(`LLM debug API: ${upstream.message}`);
+      if (upstream.retryAfterMs) {
+        res.setHeader('Retry-After', Math.ceil(upstream.retryAfterMs / 1000));
+      }
+      return res.status(503).json({ error: `${upstream.upstream} is unavailable, try again shortly` });
+    }
+
+    logger.error('Error in LLM debug API:', error);
     return res.status(500).json({ 
       error: error.message || 'Failed to fetch recommendations',
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
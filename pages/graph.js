@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../components/Layout';
+import LoadingSpinner from '../components/LoadingSpinner';
+import RecommendationGraph from '../components/RecommendationGraph';
+import featuredArtists from '../data/featured-artists.json';
+import logger from '../lib/logger';
+import { featuredArtistName } from '../lib/featured-artists';
+
+const TYPES = ['artist', 'album', 'song'];
+
+const featuredArtistNames = featuredArtists.map(featuredArtistName);
+
+export default function GraphExplorerPage() {
+  const router = useRouter();
+  const startArtist = router.query.artist || featuredArtistNames[0];
+  
+  const [nodesById, setNodesById] = useState(new Map());
+  const [edges, setEdges] = useState([]);
+  const [expandedIds, setExpandedIds] = useState(new Set());
+  const [rootId, setRootId] = useState(null);
+  const [selectedNode, setSelectedNode] = useState(null);
+  const [visibleTypes, setVisibleTypes] = useState(new Set(TYPES));
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  
+  /**
+   * Fetch one hop of recommendations for an artist and merge it into the graph
+   */
+  const expandArtist = useCallback(async (artistName, { reset = false, artistId = null } = {}) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      
+      const query = artistId ? `hops=1&artistId=${encodeURIComponent(artistId)}` : 'hops=1';
+      const response = await fetch(`/api/graph/artists/${encodeURIComponent(artistName)}?${query}`);
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load recommendations');
+      }
+      
+      const data = await response.json();
+      
+      setNodesById(previous => {
+        const next = new Map(reset ? [] : previous);
+        data.nodes.forEach(node => next.set(node.id, { ...next.get(node.id), ...node }));
+        return next;
+      });
+      
+      setEdges(previous => {
+        const base = reset ? [] : previous;
+        const known = new Set(base.map(edge => `${edge.source}>${edge.target}`));
+        return [...base, ...data.edges.filter(edge => !known.has(`${edge.source}>${edge.target}`))];
+      });
+      
+      setExpandedIds(previous => new Set([...(reset ? [] : previous), data.root]));
+      
+      if (reset) {
+        setRootId(data.root);
+        setSelectedNode(null);
+      }
+    } catch (err) {
+      logger.error('Error expanding graph:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+  
+  // (Re)start the graph whenever the starting artist changes
+  useEffect(() => {
+    if (!router.isReady) return;
+    expandArtist(startArtist, { reset: true });
+  }, [router.isReady, startArtist, expandArtist]);
+  
+  const handleNodeClick = useCallback((node) => {
+    setSelectedNode(node);
+    
+    // Only cached artists have recommendations of their own to expand
+    if (node.cached && !expandedIds.has(node.id)) {
+      expandArtist(node.name, { artistId: node.spotifyId });
+    }
+  }, [expandedIds, expandArtist]);
+  
+  const toggleType = (type) => {
+    setVisibleTypes(previous => {
+      const next = new Set(previous);
+      if (next.has(type)) {
+        next.delete(type);
+      } else {
+        next.add(type);
+      }
+      return next;
+    });
+  };
+  
+  // Apply the type filter (the root artist always stays visible)
+  const visibleNodes = useMemo(() => (
+    [...nodesById.values()].filter(node => node.id === rootId || visibleTypes.has(node.type))
+  ), [nodesById, visibleTypes, rootId]);
+  
+  const visibleEdges = useMemo(() => {
+    const visibleIds = new Set(visibleNodes.map(node => node.id));
+    return edges.filter(edge => visibleIds.has(edge.source) && visibleIds.has(edge.target));
+  }, [edges, visibleNodes]);
+  
+  return (
+    <Layout title="Recommendation Graph | Rec'd" description="Explore how artists recommend each other">
+      <div className="graph-page">
+        <div className="artist-header-simple">
+          <h1 className="artist-name">Graph</h1>
+          <h2 className="recommendations-subtitle">Who recommends whom</h2>
+        </div>
+        
+        <div className="graph-controls">
+          <label>
+            Start from
+            <select
+              value={startArtist}
+              onChange={(e) => router.push({ pathname: '/graph', query: { artist: e.target.value } }, undefined, { shallow: true })}
+            >
+              {featuredArtistNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+          
+          <div className="graph-type-filters">
+            {TYPES.map(type => (
+              <label key={type}>
+                <input
+                  type="checkbox"
+                  checked={visibleTypes.has(type)}
+                  onChange={() => toggleType(type)}
+                />
+                {type}
+              </label>
+            ))}
+          </div>
+          
+          {isLoading && <LoadingSpinner size="small" message={null} />}
+        </div>
+        
+        {error && <p className="history-error">{error}</p>}
+        
+        <p className="graph-hint">
+          Click an artist to expand their recommendations. Hover a connection to read the quote.
+        </p>
+        
+        {rootId && (
+          <RecommendationGraph
+            nodes={visibleNodes}
+            edges={visibleEdges}
+            rootId={rootId}
+            expandedIds={expandedIds}
+            onNodeClick={handleNodeClick}
+          />
+        )}
+        
+        {selectedNode && (
+          <div className="graph-selection">
+            <strong>{selectedNode.name}</strong>
+            <span className="history-diff-type">{selectedNode.type}</span>
+            <div className="graph-selection-links">
+              {selectedNode.cached && (
+                <Link href={`/${selectedNode.slug}`}>What {selectedNode.name} recommends</Link>
+              )}
+              <Link href={`/recommended/${selectedNode.slug}?type=${selectedNode.type}`}>
+                Who recommends {selectedNode.name}
+              </Link>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
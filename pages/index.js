@@ -5,6 +5,9 @@ import SearchBar from '../components/SearchBar';
 import LoadingSpinner from '../components/LoadingSpinner';
 import featuredArtists from '../data/featured-artists.json';
 import { slugify } from '../lib/utils';
+import { featuredArtistName } from '../lib/featured-artists';
+
+const featuredArtistNames = featuredArtists.map(featuredArtistName);
 
 export default function Home() {
   const [isLoading] = useState(false);
@@ -30,7 +33,7 @@ export default function Home() {
         ) : (
           <div className="featured-grid">
             <div className="featured-column">
-              {featuredArtists.map((artistName, index) => (
+              {featuredArtistNames.map((artistName, index) => (
                 <Link 
                   href={`/${slugify(artistName)}`} 
                   key={index}
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import Layout from '../../components/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { getRecommendersOf } from '../../lib/reverse-index';
+import { deslugify } from '../../lib/utils';
+import logger from '../../lib/logger';
+
+/**
+ * Redirect legacy or alternate slugs to the entity's canonical slug (301)
+ */
+export async function getServerSideProps({ params, query }) {
+  try {
+    const result = await getRecommendersOf(params.slug, { type: query.type });
+    
+    if (result && result.slug !== params.slug) {
+      const typeQuery = query.type ? `?type=${encodeURIComponent(query.type)}` : '';
+      return {
+        redirect: { destination: `/recommended/${encodeURIComponent(result.slug)}${typeQuery}`, statusCode: 301 }
+      };
+    }
+  } catch (err) {
+    logger.error('Error resolving recommended slug:', err);
+  }
+  
+  return { props: {} };
+}
+
+export default function RecommendedByPage() {
+  const router = useRouter();
+  const { slug, type } = router.query;
+  
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  
+  // Fetch everyone who recommended this entity
+  useEffect(() => {
+    if (!slug) return;
+    
+    const fetchRecommenders = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setNotFound(false);
+        
+        const params = type ? `?type=${encodeURIComponent(type)}` : '';
+        const response = await fetch(`/api/recommended-by/${encodeURIComponent(slug)}${params}`);
+        
+        if (response.status === 404) {
+          setNotFound(true);
+          return;
+        }
+        
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Failed to fetch recommenders');
+        }
+        
+        setData(await response.json());
+      } catch (err) {
+        logger.error('Error fetching recommenders:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    
+    fetchRecommenders();
+  }, [slug, type]);
+  
+  if (isLoading) {
+    return (
+      <Layout>
+        <div className="artist-page-loading">
+          <LoadingSpinner size="large" message="Loading recommendations..." />
+        </div>
+      </Layout>
+    );
+  }
+  
+  if (notFound || error || !data) {
+    return (
+      <Layout>
+        <div className="artist-not-found">
+          <h1>{slug ? deslugify(slug) : 'Not Found'}</h1>
+          <p>{error || "None of our featured artists have recommended this yet."}</p>
+          <button onClick={() => router.push('/')} className="go-home-button">
+            Return to Home
+          </button>
+        </div>
+      </Layout>
+    );
+  }
+  
+  const { name, types, entries, hasArtistPage } = data;
+  
+  return (
+    <Layout title={`Who recommends ${name}? | Rec'd`}>
+      <Head>
+        <meta name="description" content={`Every quote from artists recommending ${name}.`} />
+      </Head>
+      
+      <div className="artist-page">
+        <div className="artist-header-simple">
+          <h1 className="artist-name">{name}</h1>
+          <h2 className="recommendations-subtitle">
+            Recommended by {entries.length} {entries.length === 1 ? 'artist' : 'artists'}
+          </h2>
+          {hasArtistPage && (
+            <Link href={`/${slug}`} className="artist-history-link">
+              See what {name} recommends
+            </Link>
+          )}
+        </div>
+        
+        {types.length > 1 && (
+          <div className="recommended-by-filters">
+            <Link href={`/recommended/${slug}`} className={!type ? 'active' : ''}>All</Link>
+            {types.map(entityType => (
+              <Link 
+                key={entityType} 
+                href={`/recommended/${slug}?type=${entityType}`}
+                className={type === entityType ? 'active' : ''}
+              >
+                {entityType}
+              </Link>
+            ))}
+          </div>
+        )}
+        
+        <ul className="recommended-by-list">
+          {entries.map((entry, index) => (
+            <li key={index} className="recommended-by-item">
+              <div className="recommended-by-header">
+                {entry.artistSlug ? (
+                  <Link href={`/${entry.artistSlug}`} className="recommended-by-artist">
+                    {entry.artistName}
+                  </Link>
+                ) : (
+                  <span className="recommended-by-artist">{entry.artistName}</span>
+                )}
+                <span className="recommendation-type-badge">{entry.type.toUpperCase()}</span>
+              </div>
+              
+              {entry.quote && <blockquote className="recommended-by-quote">"{entry.quote}"</blockquote>}
+              
+              <div className="recommendation-source">
+                {entry.sourceUrl ? (
+                  <a href={entry.sourceUrl} target="_blank" rel="noopener noreferrer" className="source-link">
+                    {entry.domain || entry.source || 'Source'}
+                  </a>
+                ) : (
+                  <span>{entry.source || 'Source unknown'}</span>
+                )}
+                {entry.sourceUnverified && <span className="source-unverified">Unverified source</span>}
+                {!entry.sourceUnverified && entry.quoteUnverified && <span className="source-unverified">Unverified quote</span>}
+                {entry.year && <span>&nbsp;· {entry.month ? `${entry.month}/` : ''}{entry.year}</span>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </Layout>
+  );
+}
@@ -4,6 +4,39 @@ import Layout from '../../components/Layout';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import RecommendationGrid from '../../components/RecommendationGrid';
 import logger from '../../lib/logger';
+import { DEFAULT_WINDOW_MONTHS, DEFAULT_SOURCE_TYPES, DEFAULT_ALLOWED_DOMAINS, DEFAULT_LANGUAGES } from '../../lib/llm/research';
+
+const fieldStyle = { padding: '8px', borderRadius: '5px', border: '1px solid #ccc' };
+
+// Research constraints sent with each request (see lib/llm/research)
+const DEFAULT_RESEARCH = {
+  months: String(DEFAULT_WINDOW_MONTHS),
+  from: '',
+  to: '',
+  sourceTypes: DEFAULT_SOURCE_TYPES,
+  allowedDomains: DEFAULT_ALLOWED_DOMAINS.join(', '),
+  deniedDomains: '',
+  languages: DEFAULT_LANGUAGES.join(', ')
+};
+
+// A fixed window (from) replaces the rolling one (months)
+function researchQuery(research) {
+  const params = new URLSearchParams();
+
+  if (research.from) {
+    params.set('from', research.from);
+    if (research.to) params.set('to', research.to);
+  } else if (research.months) {
+    params.set('months', research.months);
+  }
+
+  params.set('sourceTypes', research.sourceTypes.join(','));
+  params.set('allowedDomains', research.allowedDomains);
+  if (research.deniedDomains) params.set('deniedDomains', research.deniedDomains);
+  params.set('languages', research.languages);
+
+  return params.toString();
+}
 
 export default function OpenAIDebugPage() {
   const [artistName, setArtistName] = useState('');
@@ -13,6 +46,15 @@ export default function OpenAIDebugPage() {
   const [error, setError] = useState(null);
   const [bypassCache, setBypassCache] = useState(true);
   const [showRawJson, setShowRawJson] = useState(false);
+  const [research, setResearch] = useState(DEFAULT_RESEARCH);
+  
+  const updateResearch = (field, value) => setResearch(current => ({ ...current, [field]: value }));
+  
+  const toggleSourceType = (type) => {
+    updateResearch('sourceTypes', research.sourceTypes.includes(type)
+      ? research.sourceTypes.filter(existing => existing !== type)
+      : [...research.sourceTypes, type]);
+  };
   
   // Function to generate new recommendations
   const generateRecommendations = useCallback(async () => {
@@ -28,7 +70,7 @@ export default function OpenAIDebugPage() {
     
     try {
       // Direct server API call that bypasses the client-side cache
-      const response = await fetch(`/api/test/openai-debug?artistName=${encodeURIComponent(artistName)}&bypassCache=${bypassCache}`);
+      const response = await fetch(`/api/test/openai-debug?artistName=${encodeURIComponent(artistName)}&bypassCache=${bypassCache}&${researchQuery(research)}`);
       
       if (!response.ok) {
         const errorData = await response.json();
@@ -50,7 +92,7 @@ export default function OpenAIDebugPage() {
     } finally {
       setIsLoading(false);
     }
-  }, [artistName, bypassCache]);
+  }, [artistName, bypassCache, research]);
   
   // If the URL has a query parameter for artist, use it
   useEffect(() => {
@@ -108,6 +150,79 @@ export default function OpenAIDebugPage() {
             </button>
           </div>
           
+          <fieldset style={{ marginBottom: '10px', padding: '10px', borderRadius: '5px', border: '1px solid #ccc' }}>
+            <legend>Research options</legend>
+            
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '10px' }}>
+              <label>
+                Past months{' '}
+                <input
+                  type="number"
+                  min="1"
+                  value={research.months}
+                  disabled={!!research.from}
+                  onChange={(e) => updateResearch('months', e.target.value)}
+                  style={{ ...fieldStyle, width: '70px' }}
+                />
+              </label>
+              <label>
+                or from{' '}
+                <input type="date" value={research.from} onChange={(e) => updateResearch('from', e.target.value)} style={fieldStyle} />
+              </label>
+              <label>
+                to{' '}
+                <input type="date" value={research.to} disabled={!research.from} onChange={(e) => updateResearch('to', e.target.value)} style={fieldStyle} />
+              </label>
+            </div>
+            
+            <div style={{ marginBottom: '10px' }}>
+              Source types:{' '}
+              {DEFAULT_SOURCE_TYPES.map(type => (
+                <label key={type} style={{ marginRight: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={research.sourceTypes.includes(type)}
+                    onChange={() => toggleSourceType(type)}
+                  />
+                  {type}
+                </label>
+              ))}
+            </div>
+            
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+              <label style={{ flex: 1 }}>
+                Allowed domains{' '}
+                <input
+                  type="text"
+                  value={research.allowedDomains}
+                  onChange={(e) => updateResearch('allowedDomains', e.target.value)}
+                  placeholder="com, org, net"
+                  style={{ ...fieldStyle, width: '100%' }}
+                />
+              </label>
+              <label style={{ flex: 1 }}>
+                Denied domains{' '}
+                <input
+                  type="text"
+                  value={research.deniedDomains}
+                  onChange={(e) => updateResearch('deniedDomains', e.target.value)}
+                  placeholder="e.g. reddit.com, fandom.com"
+                  style={{ ...fieldStyle, width: '100%' }}
+                />
+              </label>
+              <label style={{ flex: 1 }}>
+                Languages{' '}
+                <input
+                  type="text"
+                  value={research.languages}
+                  onChange={(e) => updateResearch('languages', e.target.value)}
+                  placeholder="e.g. en, pt, ja, de"
+                  style={{ ...fieldStyle, width: '100%' }}
+                />
+              </label>
+            </div>
+          </fieldset>
+          
           <div style={{ display: 'flex', justifyContent: 'space-between' }}>
             <div>
               <label style={{ marginRight: '10px' }}>
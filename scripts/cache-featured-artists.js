@@ -3,15 +3,33 @@
  * Run with: npm run cache
  * 
  * Options:
- * --debug    Enable verbose logging
- * --force    Force refresh of all artists
+ * --debug         Enable verbose logging
+ * --force         Force refresh of all artists
+ * --budget=<usd>  Stop the run once LLM spending passes this (default: LLM_BUDGET_USD)
  */
 
 require('dotenv').config({ path: '.env.local' });
 const fs = require('fs');
 const path = require('path');
+const { randomUUID } = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
-const OpenAI = require('openai');
+const { createStorage, resolveBackend } = require('../lib/storage');
+const { toFeaturedArtist } = require('../lib/featured-artists');
+const { createGenerationPipeline } = require('../lib/generation-pipeline');
+const {
+  createLLMProvider,
+  estimateCost,
+  toUsageRecord,
+  getBudgetUsd,
+  budgetExceededError,
+  createUsageTracker
+} = require('../lib/llm');
+const { createSourceVerifier, isSourceVerificationEnabled, isSourceUnverified } = require('../lib/source-verifier');
+const { createQuoteVerifier, isQuoteUnverified } = require('../lib/quote-verifier');
+const { createSpotifyResolver } = require('../lib/spotify-resolver');
+const { createSpotifyClient } = require('../lib/spotify-client');
+const { isOfflineSpotify, createOfflineSpotifyClient, createOfflineResolver } = require('../lib/offline-spotify');
+const { upstreamFailure } = require('../lib/http');
 const fetch = require('node-fetch');
 
 // Simple logger with level control
@@ -42,322 +60,277 @@ const logger = {
 };
 
 // Initialize clients
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Storage backend comes from STORAGE_BACKEND (see lib/storage); the Supabase
+// client is only created when that backend is in use so the script runs offline
+const storageBackend = resolveBackend();
+const storage = createStorage({
+  backend: storageBackend,
+  supabase: storageBackend === 'supabase'
+    ? createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+    : null
 });
 
-// Spotify API helpers
-async function getSpotifyToken() {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-
-  if (!clientId || !clientSecret) {
-    throw new Error('Missing Spotify credentials');
-  }
+// LLM provider from LLM_PROVIDER / LLM_MODEL (see lib/llm), shared with the app
+const llm = createLLMProvider({ logger });
 
-  const params = new URLSearchParams();
-  params.append('grant_type', 'client_credentials');
+// Source URL and quote checks (SOURCE_VERIFICATION=off skips them)
+const sourceVerifier = isSourceVerificationEnabled() ? createSourceVerifier({ fetcher: fetch, logger }) : null;
+const quoteVerifier = isSourceVerificationEnabled() ? createQuoteVerifier({ fetcher: fetch, logger }) : null;
 
-  const response = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
-    },
-    body: params
-  });
+// The mock provider without Spotify credentials runs offline (see lib/offline-spotify)
+const offlineSpotify = isOfflineSpotify();
 
-  const data = await response.json();
-  
-  if (!response.ok) {
-    throw new Error(`Failed to get Spotify access token: ${data.error}`);
-  }
+// Spotify client with a cached token, batched artist lookups and retries (see lib/spotify-client)
+const spotify = offlineSpotify ? createOfflineSpotifyClient() : createSpotifyClient({ fetcher: fetch, logger });
 
-  return data.access_token;
-}
+// Matches each recommendation to its Spotify artist, album or track
+const spotifyResolver = offlineSpotify
+  ? createOfflineResolver()
+  : createSpotifyResolver({ getToken: spotify.getAccessToken, fetcher: spotify.fetch, logger });
 
-async function searchArtist(name, token) {
-  const response = await fetch(
-    `https://api.spotify.com/v1/search?q=${encodeURIComponent(name)}&type=artist&limit=1`,
-    {
-      headers: { 'Authorization': `Bearer ${token}` }
-    }
-  );
+async function searchArtist(name) {
+  const [artist] = await spotify.searchArtists(name, 1);
   
-  const data = await response.json();
-  
-  if (!response.ok) {
-    throw new Error(`Spotify search error: ${data.error?.message || 'Unknown error'}`);
-  }
-  
-  if (!data.artists.items.length) {
+  if (!artist) {
     throw new Error(`No artist found for "${name}"`);
   }
   
-  // Return the full artist object
-  return data.artists.items[0];
+  return artist;
 }
 
-async function getArtistDetails(artistId, token) {
-  // Get only basic artist details
-  const artistResponse = await fetch(
-    `https://api.spotify.com/v1/artists/${artistId}`,
-    {
-      headers: { 'Authorization': `Bearer ${token}` }
-    }
-  );
+// Find every artist up front so their details come from one batched request.
+// Returns name -> { id, details }; artists that fail here are retried in the main loop
+async function lookUpArtists(names) {
+  const found = new Map();
   
-  const artistData = await artistResponse.json();
+  for (const name of names) {
+    try {
+      found.set(name, { id: (await searchArtist(name)).id });
+    } catch (error) {
+      logger.warn(`Couldn't look up ${name} on Spotify yet:`, error.message);
+    }
+  }
   
-  if (!artistResponse.ok) {
-    throw new Error(`Error fetching artist: ${artistData.error?.message || 'Unknown error'}`);
+  try {
+    const details = await spotify.getArtists([...found.values()].map(({ id }) => id));
+    found.forEach(entry => {
+      entry.details = details.get(entry.id) || null;
+    });
+  } catch (error) {
+    logger.warn('Batched artist lookup failed, looking artists up one by one:', error.message);
   }
   
-  // Return only the minimal required data
-  return {
-    id: artistData.id,
-    name: artistData.name,
-    image: artistData.images.length > 0 ? artistData.images[0].url : null
-  };
+  return found;
 }
 
-// OpenAI helper - Uses the same format as the main app for consistency
-async function getArtistRecommendations(artistName, artistId) {
-  // System prompt for web search
-  const systemPrompt = `You are a music-industry research specialist with full websearch access. ` +
-    `Find the MOST RECENT (past 12 months) instances where ${artistName} has ` +
-    `EXPLICITLY recommended another artist, album, or song—only in interviews, podcasts, ` +
-    `YouTube videos, or social-media posts (no hearsay). ` +
-    `For each entry you must:` +
-    `\n  • Verify that the sourceUrl responds over HTTPS with HTTP 200.` +
-    `\n  • Only use domains ending in .com, .org, or .net.` +
-    `\n  • Extract: name, type (artist|album|song), exact quote, year, month, source type, domain, author (if known).` +
-    `\nCRITICAL:` +
-    `\n 1) Output only valid JSON: an array starting with "[" and ending with "]".` +
-    `\n 2) Do NOT wrap in code fences or add any text before/after.` +
-    `\n 3) If nothing is found, return \`[]\` exactly.`;
-
-  // User prompt for web search
-  const userPrompt = `Search for instances in the last 12 months where ${artistName}${artistId ? ` (id: ${artistId})` : ''} ` +
-    `has explicitly recommended music to others (artist, album, or song) in interviews, ` +
-    `podcasts, YouTube videos, or social-media posts.  
-
-     For each recommendation, verify that the URL:  
-     • Uses HTTPS  
-     • Returns HTTP status 200  
-     • Is on a .com, .org, or .net domain  
-
-     Output **only** a JSON array of objects with exactly these fields:
-     [
-       {
-         "name":        "Artist/Album/Song Name",
-         "type":        "artist|album|song",
-         "quote":       "Exact excerpt of recommendation",
-         "year":        "YYYY",
-         "month":       "MM",
-         "source":      "Interview|Podcast|YouTube|Social media",
-         "domain":      "example.com", 
-         "author":      "Interviewer or poster name (if known)",
-         "sourceUrl":   "https://…"
-       },
-       …
-     ]
-
-     **IMPORTANT:**
-     - Do not include any text before or after the JSON.
-     - If any record fails URL or domain validation, omit it.
-     - If you find no valid recommendations, return \`[]\`.`;
-
-  console.log(`Making OpenAI request for artist ${artistName}${artistId ? ` (${artistId})` : ''}`);
-  
-  // Create the OpenAI chat completion with web search
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-search-preview",  // Use gpt-4o-search-preview for all requests
-    messages: [
-      { 
-        role: "system", 
-        content: systemPrompt
-      },
-      { 
-        role: "user", 
-        content: userPrompt
-      }
-    ],
-    max_tokens: 4000,
-    web_search_options: {
-      search_context_size: "medium"  // Balanced context, cost, and latency
-    }
-  });
-
-  // Extract response content
-  const responseText = response.choices[0].message.content;
-  
-  // Handle any text before or after the JSON array
-  let jsonString = responseText.trim();
-  
-  // If response has backticks or other formatting, extract just the JSON part
-  if (jsonString.includes('```')) {
-    jsonString = jsonString.split('```')[1].replace('json', '').trim();
+// Record what one LLM call used, for this run's totals and in storage
+async function saveUsage(run, artistName, artistId, usage, success) {
+  if (!usage) {
+    return;
   }
-  
+
+  run.usage.add(artistName, usage);
+
   try {
-    // Parse and validate the JSON
-    const recommendations = JSON.parse(jsonString);
-    
-    // Validate the response structure
-    if (!Array.isArray(recommendations)) {
-      throw new Error('Invalid response format - not an array');
-    }
-    
-    // If no recommendations found, return empty array
-    if (recommendations.length === 0) {
-      console.log(`No recommendations found for ${artistName}`);
-      return [];
-    }
-    
-    // Validate the recommendations have the required fields
-    const validatedRecommendations = recommendations.filter(rec => {
-      const hasRequiredFields = rec.name && rec.type && (rec.quote || rec.reason);
-      const validType = ['artist', 'album', 'song'].includes(rec.type.toLowerCase());
-      return hasRequiredFields && validType;
-    });
-    
-    // Return up to 10 recommendations
-    return validatedRecommendations.slice(0, 10);
-  } catch (parseError) {
-    console.error('Error parsing OpenAI response:', parseError);
-    console.error('Raw response:', responseText);
-    throw new Error('Failed to parse recommendation data');
+    await storage.addUsage(toUsageRecord({ artistName, artistId, usage, source: 'cache-script', runId: run.id, success }));
+  } catch (error) {
+    run.unsavedUsage.push(artistName);
+    logger.error(`LLM usage for ${artistName} was not stored:`, error.message);
   }
 }
 
-// Supabase caching helpers
-async function getCachedArtist(artistName) {
-  const { data, error } = await supabase
-    .from('artist_recommendations_cache')
-    .select('*')
-    .ilike('artist_name', artistName)
-    .single();
+// One LLM call, with what it used recorded under the run either way; none
+// is made once the run's budget is spent
+async function generate(run, { artistName, artistId, ...options }) {
+  if (run.usage.isOverBudget()) {
+    const { costUsd, budgetUsd } = run.usage.totals();
+    throw budgetExceededError(costUsd, budgetUsd);
+  }
 
-  if (error && error.code !== 'PGRST116') { // Not "not found" error
+  try {
+    const generated = await llm.generateRecommendations({ artistName, artistId, ...options });
+    await saveUsage(run, artistName, artistId, generated.usage, true);
+    return generated;
+  } catch (error) {
+    await saveUsage(run, artistName, artistId, error.usage, false);
     throw error;
   }
-
-  return data;
 }
 
-async function cacheArtistRecommendations(artistName, artistId, artistData, recommendations) {
-  const { data, error } = await supabase
-    .from('artist_recommendations_cache')
-    .insert([{
-      artist_name: artistName,
-      artist_spotify_id: artistId,
-      artist_data: artistData,
-      recommendations: recommendations,
-      is_featured: true
-    }])
-    .select();
-
-  if (error) {
-    throw error;
+// Source URL and quote checks of a run's recommendations, when enabled
+async function verify(recommendations, research) {
+  if (!sourceVerifier) {
+    return recommendations;
   }
 
-  return data;
+  return quoteVerifier.verifyRecommendations(await sourceVerifier.verifyRecommendations(recommendations, research));
 }
 
-async function updateArtistCache(id, artistData, recommendations) {
-  const { data, error } = await supabase
-    .from('artist_recommendations_cache')
-    .update({
-      artist_data: artistData,
-      recommendations: recommendations,
-      is_featured: true
-    })
-    .eq('id', id)
-    .select();
-
-  if (error) {
-    throw error;
+// Storage caching helpers
+async function getCachedArtist(artistId) {
+  return storage.getBySpotifyId(artistId);
+}
+
+// The generation pipeline (see lib/generation-pipeline) over this run's
+// storage and Spotify clients: generate, resolve, verify, snapshot, merge
+// with what earlier runs found (a forced refresh too), backfill, rank, save
+function createPipeline(run) {
+  return createGenerationPipeline({
+    llm,
+    generate: options => generate(run, options),
+    spotify,
+    resolver: spotifyResolver,
+    verify,
+    // By ID, so namesakes never collide
+    loadCached: (artistName, artistId) => getCachedArtist(artistId),
+    saveSnapshot: snapshot => storage.addSnapshot(snapshot),
+    // Insert or update a featured artist; a cached record keeps its name and ID
+    saveArtist: (record, cachedArtist) => storage.put({
+      artist_name: record.artist_name,
+      artist_spotify_id: record.artist_spotify_id,
+      ...cachedArtist,
+      artist_data: record.artist_data,
+      recommendations: record.recommendations,
+      is_featured: record.is_featured,
+      research_options: record.research_options
+    }),
+    logger
+  });
+}
+
+function formatCost(costUsd) {
+  return `$${costUsd.toFixed(4)}`;
+}
+
+// Tokens, searches, latency and cost of the run, per artist and in total
+function printUsageSummary(run) {
+  const totals = run.usage.totals();
+
+  console.log('\nLLM Usage:');
+  console.log('==========');
+
+  run.usage.entries.forEach(({ artistName, usage }) => {
+    const cost = usage.costUsd === null ? 'cost unknown' : formatCost(usage.costUsd);
+    console.log(`- ${artistName}: ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens, ` +
+      `${usage.webSearchCalls} web search(es), ${usage.latencyMs}ms, ${cost}`);
+  });
+
+  console.log(`Calls: ${totals.calls}`);
+  console.log(`Tokens: ${totals.totalTokens} (${totals.promptTokens} prompt, ${totals.completionTokens} completion)`);
+  console.log(`Web searches: ${totals.webSearchCalls}`);
+  console.log(`Average latency: ${totals.averageLatencyMs}ms`);
+  console.log(`Estimated cost: ${formatCost(totals.costUsd)}${totals.budgetUsd !== null ? ` of ${formatCost(totals.budgetUsd)} budget` : ''}`);
+
+  if (totals.unpricedCalls > 0) {
+    console.log(`(${totals.unpricedCalls} call(s) not priced: add ${llm.model} to data/llm-pricing.json)`);
   }
 
-  return data;
+  if (run.unsavedUsage.length > 0) {
+    console.log(`Not stored in ${storage.name} storage: ${run.unsavedUsage.length} call(s), for ${run.unsavedUsage.join(', ')}`);
+  }
 }
 
 // Main function
 async function cacheFeaturedArtists(options = {}) {
-  const { debug = false, force = false } = options;
+  const { debug = false, force = false, budgetUsd = null } = options;
+  
+  // Every LLM call of this run is recorded under one run ID
+  const run = { id: randomUUID(), usage: createUsageTracker({ budgetUsd }), unsavedUsage: [] };
+  const pipeline = createPipeline(run);
+  let budgetExceeded = false;
   
   try {
-    // Load featured artists list
+    // Load featured artists list; bad research options stop the run before it starts
     const featuredArtistsPath = path.join(__dirname, '..', 'data', 'featured-artists.json');
-    const featuredArtists = JSON.parse(fs.readFileSync(featuredArtistsPath, 'utf8'));
+    const featuredArtists = JSON.parse(fs.readFileSync(featuredArtistsPath, 'utf8')).map(toFeaturedArtist);
 
     console.log(`Found ${featuredArtists.length} featured artists to cache`);
+    console.log(`Using ${storage.name} storage`);
+    console.log(`Using ${llm.name} LLM provider (${llm.model})`);
+    
+    if (offlineSpotify) {
+      console.log('No Spotify credentials: using made-up artist IDs and skipping Spotify matching');
+    }
+    console.log(`Run ID: ${run.id}`);
+    
+    if (budgetUsd !== null) {
+      // A cap can't be enforced on calls whose cost is unknown
+      if (estimateCost(llm.model, {}) === null) {
+        throw new Error(`No price for ${llm.model} in data/llm-pricing.json, so a budget can't be enforced`);
+      }
+      console.log(`LLM budget: $${budgetUsd.toFixed(2)}`);
+    }
     
     if (force) {
       console.log('Force refresh enabled - will update all artists regardless of cache status');
     }
 
-    // Get Spotify token
-    const token = await getSpotifyToken();
+    // Spotify IDs and details for every artist
+    const lookups = await lookUpArtists(featuredArtists.map(({ name }) => name));
     
     // Process each artist
     const results = [];
 
-    for (const artistName of featuredArtists) {
+    for (const { name: artistName, research } of featuredArtists) {
+      // Upstream failure (Spotify or OpenAI down) behind this artist's error, if any
+      let outage = null;
+
+      if (run.usage.isOverBudget()) {
+        budgetExceeded = true;
+        results.push({
+          name: artistName,
+          status: 'skipped',
+          success: false,
+          error: 'LLM budget exceeded'
+        });
+        continue;
+      }
+      
       try {
         console.log(`Processing ${artistName}...`);
         
-        // Check if already cached
-        const cachedArtist = await getCachedArtist(artistName);
+        if (research) {
+          console.log(`Using ${artistName}'s own research options: ${JSON.stringify(research)}`);
+        }
         
-        // First, search for the artist to get their Spotify ID
-        const artistInfo = await searchArtist(artistName, token);
-        const artistId = artistInfo.id;
+        // Spotify ID from the lookup pass, or searched again if that failed
+        const lookup = lookups.get(artistName) || {};
+        const artistId = lookup.id || (await searchArtist(artistName)).id;
         
-        // If artist is cached and we're not forcing a refresh
-        if (cachedArtist && !force) {
-          console.log(`${artistName} already cached, updating...`);
-          
-          // Get fresh data
-          const artistDetails = await getArtistDetails(artistId, token);
-          const recommendations = await getArtistRecommendations(artistName, artistId);
-          
-          // Update cache
-          await updateArtistCache(cachedArtist.id, artistDetails, recommendations);
-          
-          results.push({
-            name: artistName,
-            status: 'updated',
-            success: true
-          });
-          
-          console.log(`Updated ${artistName} successfully`);
-        } else {
-          console.log(`${artistName} not cached, creating new entry...`);
-          
-          // Get fresh data
-          const artistDetails = await getArtistDetails(artistId, token);
-          const recommendations = await getArtistRecommendations(artistName, artistId);
-          
-          // Cache
-          await cacheArtistRecommendations(artistName, artistId, artistDetails, recommendations);
-          
+        const { wasCached, verified, rejected, corrected, merged } = await pipeline.run({
+          artistName,
+          artistId,
+          research,
+          isFeatured: true,
+          artistData: lookup.details || null
+        });
+        
+        results.push({
+          name: artistName,
+          status: wasCached ? 'updated' : 'created',
+          success: true,
+          merged,
+          rejected,
+          corrected,
+          unverified: verified.filter(isSourceUnverified),
+          unverifiedQuotes: verified.filter(rec => !isSourceUnverified(rec) && isQuoteUnverified(rec))
+        });
+        
+        console.log(`${wasCached ? 'Updated' : 'Cached'} ${artistName} successfully`);
+      } catch (error) {
+        if (error.code === 'LLM_BUDGET_EXCEEDED') {
+          budgetExceeded = true;
           results.push({
             name: artistName,
-            status: 'created',
-            success: true
+            status: 'skipped',
+            success: false,
+            error: 'LLM budget exceeded'
           });
-          
-          console.log(`Cached ${artistName} successfully`);
+          continue;
         }
-      } catch (error) {
+        
         console.error(`Error processing ${artistName}:`, error);
+        outage = upstreamFailure(error);
         
         results.push({
           name: artistName,
@@ -367,8 +340,17 @@ async function cacheFeaturedArtists(options = {}) {
         });
       }
       
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (run.usage.isOverBudget()) {
+        console.warn(`[WARNING] LLM budget of $${budgetUsd.toFixed(2)} exceeded after ${artistName}, stopping the run`);
+        continue;
+      }
+      
+      // Rate limits are retried with backoff per request; an upstream that is
+      // down gets time to recover before the next artist
+      if (outage?.retryAfterMs) {
+        console.log(`Waiting ${Math.ceil(outage.retryAfterMs / 1000)}s for ${outage.upstream} to recover...`);
+        await new Promise(resolve => setTimeout(resolve, outage.retryAfterMs));
+      }
     }
 
     // Print summary
@@ -383,6 +365,80 @@ async function cacheFeaturedArtists(options = {}) {
       results.filter(r => !r.success).forEach(r => {
         console.log(`- ${r.name}: ${r.error}`);
       });
+      
+      // The run carries on past failed artists, but still fails as a whole
+      process.exitCode = 1;
+    }
+    
+    // How each run was folded into the cached list
+    const withMerges = results.filter(r => r.merged);
+    
+    if (withMerges.length > 0) {
+      console.log('\nMerged with earlier runs:');
+      withMerges.forEach(({ name, merged }) => {
+        console.log(`- ${name}: ${merged.added} new, ${merged.seenAgain} seen again, ` +
+          `${merged.retained} kept from earlier runs, ${merged.duplicates} duplicate(s) folded` +
+          `${merged.backfilled > 0 ? `, ${merged.backfilled} backfilled from Spotify` : ''}` +
+          `${merged.dropped > 0 ? `, ${merged.dropped} dropped as not on Spotify` : ''}`);
+      });
+    }
+    
+    // Records dropped by schema validation or the catalog check, per artist
+    const withRejections = results.filter(r => r.rejected && r.rejected.length > 0);
+    
+    if (withRejections.length > 0) {
+      console.log('\nRejected recommendations:');
+      withRejections.forEach(r => {
+        console.log(`- ${r.name}:`);
+        r.rejected.forEach(({ index, name, stage, reasons }) => {
+          console.log(`    [${stage}] #${index}${name ? ` ${name}` : ''}: ${reasons.join('; ')}`);
+        });
+      });
+    }
+    
+    // Types the catalog check corrected, per artist
+    const withCorrections = results.filter(r => r.corrected && r.corrected.length > 0);
+    
+    if (withCorrections.length > 0) {
+      console.log('\nCorrected types:');
+      withCorrections.forEach(r => {
+        console.log(`- ${r.name}:`);
+        r.corrected.forEach(({ name, from, to }) => {
+          console.log(`    ${name}: ${from} -> ${to}`);
+        });
+      });
+    }
+    
+    // Recommendations whose source URL failed verification, per artist
+    const withUnverified = results.filter(r => r.unverified && r.unverified.length > 0);
+    
+    if (withUnverified.length > 0) {
+      console.log('\nUnverified sources:');
+      withUnverified.forEach(r => {
+        console.log(`- ${r.name}:`);
+        r.unverified.forEach(rec => {
+          console.log(`    ${rec.name}: ${rec.sourceUrl} (${rec.sourceVerification.reason})`);
+        });
+      });
+    }
+    
+    // Quotes that couldn't be found on an otherwise working source page
+    const withUnverifiedQuotes = results.filter(r => r.unverifiedQuotes && r.unverifiedQuotes.length > 0);
+    
+    if (withUnverifiedQuotes.length > 0) {
+      console.log('\nUnverified quotes:');
+      withUnverifiedQuotes.forEach(r => {
+        console.log(`- ${r.name}:`);
+        r.unverifiedQuotes.forEach(rec => {
+          console.log(`    ${rec.name}: ${rec.quoteVerification.reason}`);
+        });
+      });
+    }
+    
+    printUsageSummary(run);
+    
+    if (budgetExceeded) {
+      throw new Error(`LLM budget of $${budgetUsd.toFixed(2)} exceeded; ${results.filter(r => r.status === 'skipped').length} artist(s) skipped`);
     }
 
   } catch (error) {
@@ -391,13 +447,28 @@ async function cacheFeaturedArtists(options = {}) {
   }
 }
 
+// A --budget=<usd> value, or null when it isn't a positive number
+function parseBudget(value) {
+  const budget = Number(value);
+  return value !== '' && Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
 // Parse command line arguments
 const args = process.argv.slice(2);
+const budgetArg = args.find(arg => arg.startsWith('--budget='));
 const options = {
   debug: args.includes('--debug'),
-  force: args.includes('--force')
+  force: args.includes('--force'),
+  budgetUsd: budgetArg ? parseBudget(budgetArg.slice('--budget='.length)) : getBudgetUsd()
 };
 
+// A mistyped budget would otherwise run without a cap
+if (budgetArg && options.budgetUsd === null) {
+  console.error(`Invalid ${budgetArg}: the budget must be a positive number of USD, e.g. --budget=2`);
+  console.error('Usage: npm run cache -- [--debug] [--force] [--budget=<usd>]');
+  process.exit(1);
+}
+
 // Configure logger based on debug flag
 if (options.debug) {
   logger.setLevel('debug');
@@ -407,8 +478,8 @@ if (options.debug) {
 // Run the script with options
 cacheFeaturedArtists(options)
   .then(() => {
-    console.log('Cache script completed successfully');
-    process.exit(0);
+    console.log(process.exitCode ? 'Cache script completed with failed artists' : 'Cache script completed successfully');
+    process.exit();
   })
   .catch(error => {
     console.error('Cache script failed:', error);
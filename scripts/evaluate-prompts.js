@@ -0,0 +1,276 @@
+/**
+ * This script evaluates recommendation prompt versions offline
+ * Run with: npm run eval
+ *
+ * Model responses for a fixed set of artists (data/eval/artists.json) are
+ * recorded once per prompt version, then scored as often as needed without
+ * calling the model again (see lib/llm/evaluation.js). Source URLs are
+ * checked live (SOURCE_VERIFICATION=off skips them) and Spotify resolution
+ * needs Spotify credentials; both are reported as n/a when skipped.
+ *
+ * Options:
+ * --record             Call the LLM provider and save fresh recordings for --prompt
+ * --prompt=<version>   Prompt version to record or score (default: LLM_PROMPT_VERSION, then the latest)
+ * --compare=<version>  Also score this version and print both side by side
+ * --artists=<path>     Artist set to use (default: data/eval/artists.json)
+ * --debug              Print per-artist scores and verification warnings
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { createStorage, resolveBackend } = require('../lib/storage');
+const { canonicalSlug } = require('../lib/slugs');
+const {
+  createLLMProvider,
+  resolvePromptVersion,
+  normalizeResearchOptions,
+  getPrompt,
+  toUsageRecord,
+  createUsageTracker
+} = require('../lib/llm');
+const { scoreRecording, summarizeScores } = require('../lib/llm/evaluation');
+const { createSourceVerifier, isSourceVerificationEnabled } = require('../lib/source-verifier');
+const { createSpotifyResolver } = require('../lib/spotify-resolver');
+const { createSpotifyClient } = require('../lib/spotify-client');
+const fetch = require('node-fetch');
+
+const EVAL_DIR = path.join(__dirname, '..', 'data', 'eval');
+const RECORDINGS_DIR = path.join(EVAL_DIR, 'recordings');
+
+// Simple logger with level control; verification warnings only show with --debug
+const logger = {
+  level: 'info',
+
+  setLevel(level) {
+    this.level = level;
+  },
+
+  debug(...args) {
+    if (this.level === 'debug') {
+      console.log('[DEBUG]', ...args);
+    }
+  },
+
+  log(...args) {
+    console.log(...args);
+  },
+
+  warn(...args) {
+    if (this.level === 'debug') {
+      console.warn('[WARNING]', ...args);
+    }
+  },
+
+  error(...args) {
+    console.error('[ERROR]', ...args);
+  }
+};
+
+// Spotify client with a cached token and retries (see lib/spotify-client)
+const spotify = createSpotifyClient({ fetcher: fetch, logger });
+
+function recordingPath(version, artistName) {
+  return path.join(RECORDINGS_DIR, `v${version}`, `${canonicalSlug(artistName)}.json`);
+}
+
+function loadRecording(version, artistName) {
+  const file = recordingPath(version, artistName);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Call the model once per artist and keep its raw answer, errors included
+async function recordResponses(version, artists) {
+  const llm = createLLMProvider({ promptVersion: version, logger });
+  const usage = createUsageTracker();
+  const runId = randomUUID();
+  // Default constraints, kept with every recording so scoring applies the same ones
+  const research = normalizeResearchOptions();
+
+  // Recording calls are billed like any other, so their usage is stored too
+  const storageBackend = resolveBackend();
+  const storage = createStorage({
+    backend: storageBackend,
+    supabase: storageBackend === 'supabase'
+      ? createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null
+  });
+
+  console.log(`Recording prompt v${version} with ${llm.name} (${llm.model}) for ${artists.length} artists`);
+  fs.mkdirSync(path.dirname(recordingPath(version, artists[0])), { recursive: true });
+
+  for (const artistName of artists) {
+    const recording = {
+      artistName,
+      promptVersion: version,
+      provider: llm.name,
+      model: llm.model,
+      useWebSearch: true,
+      research,
+      recordedAt: new Date().toISOString()
+    };
+    let callUsage = null;
+
+    try {
+      const { text, annotations, usage: spent } = await llm.complete({ artistName, useWebSearch: true, research });
+      Object.assign(recording, { response: text, annotations, error: null });
+      callUsage = spent;
+    } catch (error) {
+      console.error(`Error recording ${artistName}:`, error.message);
+      Object.assign(recording, { response: null, annotations: [], error: error.message });
+      callUsage = error.usage || null;
+    }
+
+    if (callUsage) {
+      usage.add(artistName, callUsage);
+
+      try {
+        await storage.addUsage(toUsageRecord({ artistName, usage: callUsage, source: 'eval', runId, success: !recording.error }));
+      } catch (error) {
+        logger.warn(`Couldn't save LLM usage for ${artistName}:`, error.message);
+      }
+    }
+
+    fs.writeFileSync(recordingPath(version, artistName), `${JSON.stringify(recording, null, 2)}\n`);
+    console.log(`Recorded ${artistName}`);
+  }
+
+  const totals = usage.totals();
+  console.log(`\n${totals.calls} call(s), ${totals.totalTokens} tokens, ` +
+    `${totals.unpricedCalls > 0 ? 'cost unknown' : `~$${totals.costUsd.toFixed(4)}`}`);
+}
+
+// Score every recording of one version; artists without one count as missing
+async function scoreVersion(version, artists, checks) {
+  const scores = [];
+
+  for (const artistName of artists) {
+    const recording = loadRecording(version, artistName);
+
+    if (!recording) {
+      scores.push({ artistName, missing: true });
+      continue;
+    }
+
+    const score = await scoreRecording(recording, checks);
+    logger.debug(`v${version} ${artistName}: ${JSON.stringify(score)}`);
+    scores.push(score);
+  }
+
+  if (scores.every(score => score.missing)) {
+    throw new Error(`No recordings for prompt v${version}; make them with: npm run eval -- --record --prompt=${version}`);
+  }
+
+  return { version, scores, summary: summarizeScores(scores) };
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+// One row per metric, one column per prompt version
+function printComparison(results) {
+  const rows = [
+    ['Recorded', ({ recorded, artists }) => `${recorded}/${artists}`],
+    ['Responses parsed', ({ parsed, recorded }) => `${parsed}/${recorded}`],
+    ['Records returned', ({ records }) => String(records)],
+    ['Schema-valid', ({ schemaValidRate }) => percent(schemaValidRate)],
+    ['Valid without repair', ({ repairFreeRate }) => percent(repairFreeRate)],
+    ['Outside constraints', ({ outsideConstraints, outsideConstraintsRate }) => `${outsideConstraints} (${percent(outsideConstraintsRate)})`],
+    ['Duplicates', ({ duplicates, duplicateRate }) => `${duplicates} (${percent(duplicateRate)})`],
+    ['Verified source URLs', ({ verifiedUrlRate }) => percent(verifiedUrlRate)],
+    ['Resolved on Spotify', ({ resolutionRate }) => percent(resolutionRate)]
+  ];
+  const labelWidth = Math.max(...rows.map(([label]) => label.length)) + 2;
+  const columnWidth = 14;
+
+  console.log('\nPrompt Evaluation:');
+  console.log('==================');
+  console.log((''.padEnd(labelWidth) + results.map(({ version }) => `v${version}`.padEnd(columnWidth)).join('')).trimEnd());
+
+  rows.forEach(([label, format]) => {
+    console.log((label.padEnd(labelWidth) + results.map(({ summary }) => format(summary).padEnd(columnWidth)).join('')).trimEnd());
+  });
+
+  results.forEach(({ version, scores }) => {
+    scores.filter(score => score.missing || score.error).forEach(score => {
+      console.log(`- v${version} ${score.artistName}: ${score.missing ? 'no recording' : score.error}`);
+    });
+  });
+}
+
+// Main function
+async function evaluatePrompts(options = {}) {
+  const { record = false, prompt, compare = null, artistsPath } = options;
+
+  try {
+    const artists = JSON.parse(fs.readFileSync(artistsPath, 'utf8'));
+    const versions = [prompt, compare].filter(Boolean);
+
+    // Unknown versions fail before anything is recorded or scored
+    versions.forEach(version => getPrompt(version));
+
+    if (record) {
+      await recordResponses(prompt, artists);
+      return;
+    }
+
+    console.log(`Scoring prompt ${versions.map(version => `v${version}`).join(' against ')} on ${artists.length} artists`);
+
+    const checks = {
+      sourceVerifier: isSourceVerificationEnabled() ? createSourceVerifier({ fetcher: fetch, logger }) : null,
+      spotifyResolver: process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET
+        ? createSpotifyResolver({ getToken: spotify.getAccessToken, fetcher: spotify.fetch, logger })
+        : null
+    };
+
+    if (!checks.sourceVerifier) {
+      console.log('Source verification is off; URLs will not be scored');
+    }
+
+    if (!checks.spotifyResolver) {
+      console.log('No Spotify credentials; entity resolution will not be scored');
+    }
+
+    const results = [];
+
+    for (const version of versions) {
+      results.push(await scoreVersion(version, artists, checks));
+    }
+
+    printComparison(results);
+  } catch (error) {
+    console.error('Error in evaluation script:', error);
+    process.exit(1);
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const valueOf = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+const options = {
+  record: args.includes('--record'),
+  prompt: valueOf('prompt') || resolvePromptVersion(),
+  compare: valueOf('compare') || null,
+  artistsPath: valueOf('artists') || path.join(EVAL_DIR, 'artists.json'),
+  debug: args.includes('--debug')
+};
+
+// Configure logger based on debug flag
+if (options.debug) {
+  logger.setLevel('debug');
+  console.log('Debug mode enabled');
+}
+
+// Run the script with options
+evaluatePrompts(options)
+  .then(() => {
+    console.log('Evaluation script completed successfully');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Evaluation script failed:', error);
+    process.exit(1);
+  });
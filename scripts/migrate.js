@@ -0,0 +1,228 @@
+/**
+ * This script applies the numbered SQL migrations in scripts/migrations
+ * Run with: npm run migrate
+ *
+ * Connects to DATABASE_URL: the Supabase project's Postgres connection string,
+ * or a local Postgres for development and tests (the auth schema Supabase
+ * provides is stubbed by 0001_local_auth_shim.sql when it is missing).
+ *
+ * Options:
+ * --status   List applied and pending migrations without changing anything
+ *
+ * Applied versions are recorded in the schema_migrations table. Each migration
+ * runs in its own transaction and is written to be safe to rerun, so databases
+ * created by hand before this runner existed can be brought up to date too.
+ * Can also be required (runMigrations, getMigrationStatus) to migrate a
+ * throwaway database from a test setup.
+ */
+
+require('dotenv').config({ path: '.env.local' });
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Arbitrary key for pg_advisory_lock so two runners never migrate at once
+const MIGRATION_LOCK_ID = 72381904;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Read migration files in version order
+ * @param {string} dir - Directory holding NNNN_name.sql files
+ * @returns {Array<Object>} - { version, name, file, sql, checksum }
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const seen = new Set();
+  migrations.forEach(migration => {
+    if (seen.has(Number(migration.version))) {
+      throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+    }
+    seen.add(Number(migration.version));
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      "version" TEXT PRIMARY KEY,
+      "name" TEXT NOT NULL,
+      "checksum" TEXT NOT NULL,
+      "applied_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE}`);
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// pg client for a connection string; swapped for a fake in the runner's tests
+function createPgClient(connectionString) {
+  return new Client({ connectionString });
+}
+
+async function withClient(connectionString, createClient, fn) {
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is required (Postgres connection string)');
+  }
+
+  const client = createClient(connectionString);
+  await client.connect();
+
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Compare migration files with what the database has applied
+ * @param {Object} options
+ * @param {string} options.connectionString - Postgres connection string
+ * @param {string} options.dir - Migrations directory
+ * @param {Function} options.createClient - (connectionString) => pg client
+ * @returns {Promise<Array>} - Migrations with applied, appliedAt and modified flags
+ */
+async function getMigrationStatus({
+  connectionString = process.env.DATABASE_URL,
+  dir = MIGRATIONS_DIR,
+  createClient = createPgClient
+} = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withClient(connectionString, createClient, async client => {
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedMigrations(client);
+
+    return migrations.map(migration => {
+      const record = applied.get(migration.version);
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!record,
+        appliedAt: record?.applied_at || null,
+        // An applied file that was edited afterwards won't be rerun
+        modified: !!record && record.checksum !== migration.checksum
+      };
+    });
+  });
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @param {Object} options
+ * @param {string} options.connectionString - Postgres connection string
+ * @param {string} options.dir - Migrations directory
+ * @param {Object} options.logger - Anything with log() and warn()
+ * @param {Function} options.createClient - (connectionString) => pg client
+ * @returns {Promise<Array<string>>} - Files applied by this run
+ */
+async function runMigrations({
+  connectionString = process.env.DATABASE_URL,
+  dir = MIGRATIONS_DIR,
+  logger = console,
+  createClient = createPgClient
+} = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withClient(connectionString, createClient, async client => {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await getAppliedMigrations(client);
+      const appliedNow = [];
+
+      for (const migration of migrations) {
+        const record = applied.get(migration.version);
+
+        if (record) {
+          if (record.checksum !== migration.checksum) {
+            logger.warn(`${migration.file} changed after it was applied; add a new migration instead`);
+          }
+          continue;
+        }
+
+        logger.log(`Applying ${migration.file}...`);
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.sql);
+          await client.query(
+            `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+        }
+
+        appliedNow.push(migration.file);
+      }
+
+      return appliedNow;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  });
+}
+
+async function main(args) {
+  if (args.includes('--status')) {
+    const status = await getMigrationStatus();
+
+    status.forEach(migration => {
+      const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+      const note = migration.modified ? ' (modified since applied)' : '';
+      console.log(`${migration.version}_${migration.name}: ${state}${note}`);
+    });
+
+    console.log(`\n${status.filter(m => !m.applied).length} pending`);
+    return;
+  }
+
+  const applied = await runMigrations();
+  console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
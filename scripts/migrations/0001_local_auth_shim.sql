@@ -0,0 +1,31 @@
+-- Minimal stand-in for Supabase's auth schema so the same migrations run on a
+-- plain local Postgres. Every statement is skipped when Supabase already
+-- provides the object, so this is a no-op on a Supabase project.
+
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+  "id" UUID PRIMARY KEY
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'auth' AND p.proname = 'uid'
+  ) THEN
+    CREATE FUNCTION auth.uid() RETURNS UUID AS $fn$
+      SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID
+    $fn$ LANGUAGE sql STABLE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = 'auth' AND p.proname = 'role'
+  ) THEN
+    CREATE FUNCTION auth.role() RETURNS TEXT AS $fn$
+      SELECT NULLIF(current_setting('request.jwt.claim.role', true), '')::TEXT
+    $fn$ LANGUAGE sql STABLE;
+  END IF;
+END
+$$;
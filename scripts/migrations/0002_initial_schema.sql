@@ -1,9 +1,10 @@
+-- Baseline schema: settings, user profiles and the artist recommendations cache
 
 -- Create extension for UUID if not exists
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 -- Create app_settings table
-CREATE TABLE "app_settings" (
+CREATE TABLE IF NOT EXISTS "app_settings" (
   "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   "max_users" INTEGER NOT NULL DEFAULT 50,
   "registration_open" BOOLEAN NOT NULL DEFAULT true,
@@ -11,7 +12,7 @@ CREATE TABLE "app_settings" (
 );
 
 -- Create user_profiles table
-CREATE TABLE "user_profiles" (
+CREATE TABLE IF NOT EXISTS "user_profiles" (
   "id" UUID PRIMARY KEY REFERENCES auth.users ON DELETE CASCADE,
   "search_count" INTEGER NOT NULL DEFAULT 0,
   "is_admin" BOOLEAN NOT NULL DEFAULT false,
@@ -19,7 +20,8 @@ CREATE TABLE "user_profiles" (
 );
 
 -- Create artist_recommendations_cache table
-CREATE TABLE "artist_recommendations_cache" (
+-- (recommendations moved to their own table in 0004; the JSONB column stays for old rows)
+CREATE TABLE IF NOT EXISTS "artist_recommendations_cache" (
   "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   "artist_name" TEXT NOT NULL,
   "artist_spotify_id" TEXT NOT NULL,
@@ -30,17 +32,14 @@ CREATE TABLE "artist_recommendations_cache" (
   "created_by" UUID REFERENCES auth.users ON DELETE SET NULL
 );
 
--- Add unique constraint on artist_name (case insensitive)
-CREATE UNIQUE INDEX artist_name_unique_idx ON "artist_recommendations_cache" (LOWER(artist_name));
-
 -- Add indexes for better performance
-CREATE INDEX artist_recommendations_cache_is_featured_idx ON "artist_recommendations_cache" (is_featured);
-CREATE INDEX artist_spotify_id_idx ON "artist_recommendations_cache" (artist_spotify_id);
-CREATE INDEX user_profiles_is_admin_idx ON "user_profiles" (is_admin);
+CREATE INDEX IF NOT EXISTS artist_recommendations_cache_is_featured_idx ON "artist_recommendations_cache" (is_featured);
+CREATE INDEX IF NOT EXISTS user_profiles_is_admin_idx ON "user_profiles" (is_admin);
 
 -- Insert default app settings
 INSERT INTO "app_settings" (max_users, registration_open)
-VALUES (50, true);
+SELECT 50, true
+WHERE NOT EXISTS (SELECT 1 FROM "app_settings");
 
 -- Enable RLS (Row Level Security) for all tables
 ALTER TABLE "artist_recommendations_cache" ENABLE ROW LEVEL SECURITY;
@@ -49,15 +48,18 @@ ALTER TABLE "app_settings" ENABLE ROW LEVEL SECURITY;
 
 -- Create RLS policies for artist_recommendations_cache
 -- Everyone can read
+DROP POLICY IF EXISTS "Anyone can view artist recommendations" ON "artist_recommendations_cache";
 CREATE POLICY "Anyone can view artist recommendations" 
   ON "artist_recommendations_cache" FOR SELECT USING (true);
 
--- Only authenticated users can insert (fixed syntax)
+-- Only authenticated users can insert
+DROP POLICY IF EXISTS "Authenticated users can create artist recommendations" ON "artist_recommendations_cache";
 CREATE POLICY "Authenticated users can create artist recommendations" 
   ON "artist_recommendations_cache" FOR INSERT 
   WITH CHECK (auth.role() = 'authenticated');
 
 -- Only admins or the creator can update
+DROP POLICY IF EXISTS "Admins and creators can update artist recommendations" ON "artist_recommendations_cache";
 CREATE POLICY "Admins and creators can update artist recommendations" 
   ON "artist_recommendations_cache" FOR UPDATE 
   USING (
@@ -67,24 +69,29 @@ CREATE POLICY "Admins and creators can update artist recommendations"
 
 -- Create RLS policies for user_profiles
 -- Users can read their own profile
+DROP POLICY IF EXISTS "Users can view own profile" ON "user_profiles";
 CREATE POLICY "Users can view own profile" 
   ON "user_profiles" FOR SELECT USING (auth.uid() = id);
 
 -- Admins can view all profiles
+DROP POLICY IF EXISTS "Admins can view all profiles" ON "user_profiles";
 CREATE POLICY "Admins can view all profiles" 
   ON "user_profiles" FOR SELECT 
   USING (EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND is_admin = true));
 
 -- Users can update their own profile
+DROP POLICY IF EXISTS "Users can update own profile" ON "user_profiles";
 CREATE POLICY "Users can update own profile" 
   ON "user_profiles" FOR UPDATE USING (auth.uid() = id);
 
 -- Create RLS policies for app_settings
 -- Everyone can read settings
+DROP POLICY IF EXISTS "Anyone can view app settings" ON "app_settings";
 CREATE POLICY "Anyone can view app settings" 
   ON "app_settings" FOR SELECT USING (true);
 
 -- Only admins can update settings
+DROP POLICY IF EXISTS "Only admins can update app settings" ON "app_settings";
 CREATE POLICY "Only admins can update app settings" 
   ON "app_settings" FOR UPDATE 
   USING (EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND is_admin = true));
@@ -98,14 +105,6 @@ SELECT
   COUNT(*) FILTER (WHERE search_count >= 3) AS users_at_limit
 FROM user_profiles;
 
--- Create a view for featured artists statistics
-CREATE OR REPLACE VIEW featured_artists_statistics AS
-SELECT 
-  COUNT(*) AS total_cached_artists,
-  COUNT(*) FILTER (WHERE is_featured = true) AS featured_count,
-  AVG(JSONB_ARRAY_LENGTH(recommendations)) AS avg_recommendations_per_artist
-FROM artist_recommendations_cache;
-
 -- Create a function to increment user search count
 CREATE OR REPLACE FUNCTION increment_search_count()
 RETURNS TRIGGER AS $$
@@ -118,6 +117,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Create a trigger to increment user search count on cache insert
+DROP TRIGGER IF EXISTS increment_search_count_trigger ON artist_recommendations_cache;
 CREATE TRIGGER increment_search_count_trigger
 AFTER INSERT ON artist_recommendations_cache
 FOR EACH ROW
@@ -136,4 +136,4 @@ BEGIN
   
   RETURN search_count < 3;
 END;
-$$ LANGUAGE plpgsql;
\ No newline at end of file
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,3 @@
+-- Track when each cached artist was last regenerated (drives the cache TTL)
+
+ALTER TABLE "artist_recommendations_cache" ADD COLUMN IF NOT EXISTS "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW();
@@ -0,0 +1,74 @@
+-- Move recommendations out of the artist_recommendations_cache.recommendations
+-- JSONB column into the normalized recommendations table.
+-- Safe to rerun: artists that already have rows are skipped.
+
+CREATE TABLE IF NOT EXISTS "recommendations" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "artist_cache_id" UUID NOT NULL REFERENCES "artist_recommendations_cache" ON DELETE CASCADE,
+  "position" INTEGER NOT NULL DEFAULT 0,
+  "name" TEXT NOT NULL,
+  "type" TEXT NOT NULL CHECK ("type" IN ('artist', 'album', 'song')),
+  "quote" TEXT,
+  "year" TEXT,
+  "month" TEXT,
+  "source" TEXT,
+  "domain" TEXT,
+  "author" TEXT,
+  "source_url" TEXT,
+  "extra" JSONB NOT NULL DEFAULT '{}'::jsonb,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS recommendations_artist_cache_id_idx ON "recommendations" (artist_cache_id, position);
+CREATE INDEX IF NOT EXISTS recommendations_name_idx ON "recommendations" (LOWER(name));
+CREATE INDEX IF NOT EXISTS recommendations_source_year_idx ON "recommendations" (source, year);
+
+-- Backfill one row per element of the JSONB array, keeping the original order.
+-- Known fields get their own column; everything else (sources, reason, ...) lands in "extra".
+INSERT INTO "recommendations" (artist_cache_id, position, name, type, quote, year, month, source, domain, author, source_url, extra)
+SELECT
+  c.id,
+  (e.ordinality - 1)::INTEGER,
+  e.value->>'name',
+  LOWER(e.value->>'type'),
+  e.value->>'quote',
+  e.value->>'year',
+  e.value->>'month',
+  e.value->>'source',
+  e.value->>'domain',
+  e.value->>'author',
+  e.value->>'sourceUrl',
+  e.value - ARRAY['name', 'type', 'quote', 'year', 'month', 'source', 'domain', 'author', 'sourceUrl']
+FROM artist_recommendations_cache c
+CROSS JOIN LATERAL JSONB_ARRAY_ELEMENTS(c.recommendations) WITH ORDINALITY AS e(value, ordinality)
+WHERE JSONB_TYPEOF(c.recommendations) = 'array'
+  AND e.value->>'name' IS NOT NULL
+  AND LOWER(e.value->>'type') IN ('artist', 'album', 'song')
+  AND NOT EXISTS (SELECT 1 FROM recommendations r WHERE r.artist_cache_id = c.id);
+
+-- The JSONB column is no longer written; keep it (nullable) until the backfill is verified,
+-- then drop it with: ALTER TABLE "artist_recommendations_cache" DROP COLUMN "recommendations";
+ALTER TABLE "artist_recommendations_cache" ALTER COLUMN "recommendations" DROP NOT NULL;
+
+ALTER TABLE "recommendations" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view recommendations" ON "recommendations";
+CREATE POLICY "Anyone can view recommendations" 
+  ON "recommendations" FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Authenticated users can create recommendations" ON "recommendations";
+CREATE POLICY "Authenticated users can create recommendations" 
+  ON "recommendations" FOR INSERT 
+  WITH CHECK (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Authenticated users can delete recommendations" ON "recommendations";
+CREATE POLICY "Authenticated users can delete recommendations" 
+  ON "recommendations" FOR DELETE 
+  USING (auth.role() = 'authenticated');
+
+CREATE OR REPLACE VIEW featured_artists_statistics AS
+SELECT 
+  COUNT(*) AS total_cached_artists,
+  COUNT(*) FILTER (WHERE is_featured = true) AS featured_count,
+  AVG((SELECT COUNT(*) FROM recommendations r WHERE r.artist_cache_id = c.id)) AS avg_recommendations_per_artist
+FROM artist_recommendations_cache c;
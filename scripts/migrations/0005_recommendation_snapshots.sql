@@ -0,0 +1,20 @@
+-- One immutable row per generation run, so refreshes can be audited and diffed
+
+CREATE TABLE IF NOT EXISTS "recommendation_snapshots" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "artist_name" TEXT NOT NULL,
+  "artist_spotify_id" TEXT NOT NULL,
+  "recommendations" JSONB NOT NULL,
+  "model" TEXT,
+  "prompt_version" TEXT,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS recommendation_snapshots_artist_idx ON "recommendation_snapshots" (LOWER(artist_name), created_at DESC);
+
+ALTER TABLE "recommendation_snapshots" ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read; snapshots are written with the service role key
+DROP POLICY IF EXISTS "Anyone can view recommendation snapshots" ON "recommendation_snapshots";
+CREATE POLICY "Anyone can view recommendation snapshots" 
+  ON "recommendation_snapshots" FOR SELECT USING (true);
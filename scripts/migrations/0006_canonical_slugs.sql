@@ -0,0 +1,11 @@
+-- Add stored canonical slugs for cached artists and recommended entities.
+-- Safe to rerun. Slugs are generated in application code (lib/slugs.js) and
+-- filled in the next time each artist is written, e.g. by `npm run cache`.
+-- Until then, unslugged artists are still found by name and redirected.
+
+ALTER TABLE "artist_recommendations_cache" ADD COLUMN IF NOT EXISTS "slug" TEXT UNIQUE;
+ALTER TABLE "artist_recommendations_cache" ADD COLUMN IF NOT EXISTS "slug_aliases" TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS artist_slug_aliases_idx ON "artist_recommendations_cache" USING GIN (slug_aliases);
+
+ALTER TABLE "recommendations" ADD COLUMN IF NOT EXISTS "slug" TEXT;
+CREATE INDEX IF NOT EXISTS recommendations_slug_idx ON "recommendations" (slug);
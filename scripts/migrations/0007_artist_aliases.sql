@@ -0,0 +1,39 @@
+-- Key cached artists by Spotify ID and add the artist_aliases table.
+-- Safe to rerun. If two rows share a Spotify ID the unique index fails;
+-- delete the older duplicate first.
+-- Alias keys are normalized in application code (lib/artist-aliases.js), so
+-- existing artists get their aliases on their next write (e.g. `npm run cache`).
+-- Until then they are still found by exact (case-insensitive) name.
+
+DROP INDEX IF EXISTS artist_name_unique_idx;
+DROP INDEX IF EXISTS artist_spotify_id_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS artist_spotify_id_unique_idx ON "artist_recommendations_cache" (artist_spotify_id);
+CREATE INDEX IF NOT EXISTS artist_name_idx ON "artist_recommendations_cache" (LOWER(artist_name));
+
+CREATE TABLE IF NOT EXISTS "artist_aliases" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "artist_spotify_id" TEXT NOT NULL,
+  "alias" TEXT NOT NULL,
+  "alias_key" TEXT NOT NULL,
+  "kind" TEXT NOT NULL CHECK ("kind" IN ('name', 'alternate', 'transliteration', 'former')),
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE ("artist_spotify_id", "alias_key")
+);
+
+CREATE INDEX IF NOT EXISTS artist_aliases_alias_key_idx ON "artist_aliases" (alias_key);
+
+ALTER TABLE "artist_aliases" ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view artist aliases" ON "artist_aliases";
+CREATE POLICY "Anyone can view artist aliases" 
+  ON "artist_aliases" FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Authenticated users can create artist aliases" ON "artist_aliases";
+CREATE POLICY "Authenticated users can create artist aliases" 
+  ON "artist_aliases" FOR INSERT 
+  WITH CHECK (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Authenticated users can update artist aliases" ON "artist_aliases";
+CREATE POLICY "Authenticated users can update artist aliases" 
+  ON "artist_aliases" FOR UPDATE 
+  USING (auth.role() = 'authenticated');
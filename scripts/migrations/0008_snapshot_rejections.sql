@@ -0,0 +1,3 @@
+-- Keep the records schema validation rejected (with reasons) alongside each snapshot
+
+ALTER TABLE "recommendation_snapshots" ADD COLUMN IF NOT EXISTS "rejected" JSONB NOT NULL DEFAULT '[]'::jsonb;
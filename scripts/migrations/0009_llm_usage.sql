@@ -0,0 +1,33 @@
+-- Token usage, latency and estimated cost of every LLM generation call
+
+CREATE TABLE IF NOT EXISTS "llm_usage" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "artist_name" TEXT NOT NULL,
+  "artist_spotify_id" TEXT,
+  "provider" TEXT NOT NULL,
+  "model" TEXT NOT NULL,
+  "prompt_tokens" INTEGER NOT NULL DEFAULT 0,
+  "completion_tokens" INTEGER NOT NULL DEFAULT 0,
+  "total_tokens" INTEGER NOT NULL DEFAULT 0,
+  "web_search_calls" INTEGER NOT NULL DEFAULT 0,
+  "latency_ms" INTEGER NOT NULL DEFAULT 0,
+  -- NULL when the model has no entry in data/llm-pricing.json
+  "cost_usd" NUMERIC(12, 6),
+  -- app, debug or cache-script
+  "source" TEXT NOT NULL,
+  -- Groups the calls of one cache script run
+  "run_id" UUID,
+  "success" BOOLEAN NOT NULL DEFAULT TRUE,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS llm_usage_created_at_idx ON "llm_usage" (created_at DESC);
+CREATE INDEX IF NOT EXISTS llm_usage_run_id_idx ON "llm_usage" (run_id);
+
+ALTER TABLE "llm_usage" ENABLE ROW LEVEL SECURITY;
+
+-- Costs aren't public: no read policy, so only the service role key sees them
+DROP POLICY IF EXISTS "Authenticated users can record llm usage" ON "llm_usage";
+CREATE POLICY "Authenticated users can record llm usage" 
+  ON "llm_usage" FOR INSERT 
+  WITH CHECK (auth.role() = 'authenticated');
@@ -0,0 +1,4 @@
+-- Research constraints (window, source types, domain lists) each cached list and snapshot was generated under
+
+ALTER TABLE "artist_recommendations_cache" ADD COLUMN IF NOT EXISTS "research_options" JSONB;
+ALTER TABLE "recommendation_snapshots" ADD COLUMN IF NOT EXISTS "research_options" JSONB;
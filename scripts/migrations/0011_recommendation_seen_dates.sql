@@ -0,0 +1,17 @@
+-- When a recommendation was first and last returned by a generation run.
+-- Refreshes now merge into the cached list instead of replacing it, so a
+-- recommendation can outlive the run that found it.
+
+ALTER TABLE "recommendations" ADD COLUMN IF NOT EXISTS "first_seen_at" TIMESTAMP WITH TIME ZONE;
+ALTER TABLE "recommendations" ADD COLUMN IF NOT EXISTS "last_seen_at" TIMESTAMP WITH TIME ZONE;
+
+-- Existing rows were last written with their artist's cache entry
+UPDATE "recommendations" r
+SET
+  first_seen_at = COALESCE(r.first_seen_at, c.updated_at, r.created_at),
+  last_seen_at = COALESCE(r.last_seen_at, c.updated_at, r.created_at)
+FROM artist_recommendations_cache c
+WHERE r.artist_cache_id = c.id
+  AND (r.first_seen_at IS NULL OR r.last_seen_at IS NULL);
+
+CREATE INDEX IF NOT EXISTS recommendations_last_seen_at_idx ON "recommendations" (last_seen_at);
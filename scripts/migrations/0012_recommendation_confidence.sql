@@ -0,0 +1,8 @@
+-- Confidence score (0-1) of each recommendation, see lib/confidence.js.
+-- Rows cached before scoring stay NULL and are scored when read, until the
+-- artist's next refresh stores a score.
+
+ALTER TABLE "recommendations" ADD COLUMN IF NOT EXISTS "confidence" REAL
+  CHECK ("confidence" IS NULL OR ("confidence" >= 0 AND "confidence" <= 1));
+
+CREATE INDEX IF NOT EXISTS recommendations_confidence_idx ON "recommendations" (confidence);
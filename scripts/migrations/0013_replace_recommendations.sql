@@ -0,0 +1,31 @@
+-- Replace an artist's recommendation rows in a single transaction, so a failed
+-- insert keeps the previous rows instead of leaving none. Writing the rows also
+-- clears the legacy recommendations JSONB column, which would otherwise be read
+-- back when the new list is empty.
+
+CREATE OR REPLACE FUNCTION replace_artist_recommendations(p_artist_cache_id UUID, p_rows JSONB)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM recommendations
+  WHERE artist_cache_id = p_artist_cache_id;
+
+  INSERT INTO recommendations (
+    artist_cache_id, position, name, slug, type, quote, year, month, source, domain, author,
+    source_url, first_seen_at, last_seen_at, confidence, extra
+  )
+  SELECT
+    p_artist_cache_id, r.position, r.name, r.slug, r.type, r.quote, r.year, r.month, r.source, r.domain, r.author,
+    r.source_url, r.first_seen_at, r.last_seen_at, r.confidence, COALESCE(r.extra, '{}'::jsonb)
+  FROM jsonb_populate_recordset(NULL::recommendations, COALESCE(p_rows, '[]'::jsonb)) AS r;
+
+  UPDATE artist_recommendations_cache
+  SET recommendations = NULL
+  WHERE id = p_artist_cache_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Artists already moved to the table no longer need their legacy copy
+UPDATE artist_recommendations_cache c
+SET recommendations = NULL
+WHERE c.recommendations IS NOT NULL
+  AND EXISTS (SELECT 1 FROM recommendations r WHERE r.artist_cache_id = c.id);
@@ -0,0 +1,23 @@
+-- The cache is written by the server with the service role key, which row
+-- level security lets through; the anon key only reads. Replacing an artist's
+-- recommendation rows is likewise limited to the service role, so the anon
+-- key can't empty an artist's list through the function. The roles are
+-- Supabase's, so they are checked for on a plain local Postgres.
+
+REVOKE EXECUTE ON FUNCTION replace_artist_recommendations(UUID, JSONB) FROM PUBLIC;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    REVOKE EXECUTE ON FUNCTION replace_artist_recommendations(UUID, JSONB) FROM anon;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    REVOKE EXECUTE ON FUNCTION replace_artist_recommendations(UUID, JSONB) FROM authenticated;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    GRANT EXECUTE ON FUNCTION replace_artist_recommendations(UUID, JSONB) TO service_role;
+  END IF;
+END
+$$;
@@ -0,0 +1,76 @@
+-- Save a cached artist in a single transaction: its row, its recommendation
+-- rows (see 0013) and its aliases. updated_at, which decides when the artist
+-- is next regenerated, only moves once all of them are written, so a failed
+-- save never leaves a fresh timestamp over the previous rows. Limited to the
+-- service role, like replace_artist_recommendations (0014).
+
+CREATE OR REPLACE FUNCTION save_artist_recommendations(
+  p_artist_cache_id UUID,
+  p_artist JSONB,
+  p_rows JSONB,
+  p_aliases JSONB
+)
+RETURNS artist_recommendations_cache AS $$
+DECLARE
+  v_saved artist_recommendations_cache;
+BEGIN
+  IF p_artist_cache_id IS NULL THEN
+    INSERT INTO artist_recommendations_cache (
+      artist_name, slug, slug_aliases, artist_spotify_id, artist_data, is_featured, research_options
+    )
+    SELECT
+      a.artist_name, a.slug, COALESCE(a.slug_aliases, '{}'), a.artist_spotify_id, a.artist_data,
+      COALESCE(a.is_featured, FALSE), a.research_options
+    FROM jsonb_populate_record(NULL::artist_recommendations_cache, p_artist) AS a
+    RETURNING * INTO v_saved;
+  ELSE
+    UPDATE artist_recommendations_cache c
+    SET
+      artist_name = a.artist_name,
+      slug = a.slug,
+      slug_aliases = COALESCE(a.slug_aliases, '{}'),
+      artist_spotify_id = a.artist_spotify_id,
+      artist_data = a.artist_data,
+      is_featured = COALESCE(a.is_featured, FALSE),
+      research_options = a.research_options,
+      updated_at = NOW()
+    FROM jsonb_populate_record(NULL::artist_recommendations_cache, p_artist) AS a
+    WHERE c.id = p_artist_cache_id
+    RETURNING c.* INTO v_saved;
+
+    IF v_saved.id IS NULL THEN
+      RAISE EXCEPTION 'Cached artist % not found', p_artist_cache_id;
+    END IF;
+  END IF;
+
+  PERFORM replace_artist_recommendations(v_saved.id, p_rows);
+
+  INSERT INTO artist_aliases (artist_spotify_id, alias, alias_key, kind)
+  SELECT r.artist_spotify_id, r.alias, r.alias_key, r.kind
+  FROM jsonb_populate_recordset(NULL::artist_aliases, COALESCE(p_aliases, '[]'::jsonb)) AS r
+  ON CONFLICT (artist_spotify_id, alias_key) DO UPDATE SET alias = EXCLUDED.alias, kind = EXCLUDED.kind;
+
+  -- Read back after replace_artist_recommendations cleared the legacy column
+  SELECT * INTO v_saved FROM artist_recommendations_cache WHERE id = v_saved.id;
+
+  RETURN v_saved;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION save_artist_recommendations(UUID, JSONB, JSONB, JSONB) FROM PUBLIC;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    REVOKE EXECUTE ON FUNCTION save_artist_recommendations(UUID, JSONB, JSONB, JSONB) FROM anon;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    REVOKE EXECUTE ON FUNCTION save_artist_recommendations(UUID, JSONB, JSONB, JSONB) FROM authenticated;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    GRANT EXECUTE ON FUNCTION save_artist_recommendations(UUID, JSONB, JSONB, JSONB) TO service_role;
+  END IF;
+END
+$$;
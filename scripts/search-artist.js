@@ -1,39 +1,11 @@
 require('dotenv').config({ path: '.env.local' });
 const fetch = require('node-fetch');
+const { createSpotifyClient } = require('../lib/spotify-client');
 
-async function getSpotifyToken() {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+const spotify = createSpotifyClient({ fetcher: fetch });
 
-  const params = new URLSearchParams();
-  params.append('grant_type', 'client_credentials');
-
-  const response = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': 'Basic ' + Buffer.from(clientId + ':' + clientSecret).toString('base64')
-    },
-    body: params
-  });
-
-  const data = await response.json();
-  
-  if (!response.ok) {
-    throw new Error('Failed to get Spotify access token: ' + data.error);
-  }
-
-  return data.access_token;
-}
-
-async function searchArtist(name, token) {
-  const response = await fetch(
-    'https://api.spotify.com/v1/search?q=' + encodeURIComponent(name) + '&type=artist&limit=1',
-    {
-      headers: { 'Authorization': 'Bearer ' + token }
-    }
-  );
-  
+async function searchArtist(name) {
+  const response = await spotify.request('/search?q=' + encodeURIComponent(name) + '&type=artist&limit=1');
   const data = await response.json();
   
   if (!response.ok) {
@@ -49,9 +21,8 @@ async function searchArtist(name, token) {
 
 (async () => {
   try {
-    const token = await getSpotifyToken();
-    await searchArtist('Steven Wilson', token);
+    await searchArtist('Steven Wilson');
   } catch (error) {
     console.error('Error:', error);
   }
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  CONFIDENCE_WEIGHTS,
+  confidenceSignals,
+  scoreConfidence,
+  confidenceLevel,
+  parseMinConfidence,
+  rankRecommendations
+} = require('../lib/confidence');
+const { normalizeResearchOptions } = require('../lib/llm/research');
+
+const NOW = new Date('2026-06-15T00:00:00.000Z');
+
+const fullySupported = {
+  name: 'Spirit of Eden',
+  quote: 'The record I keep returning to',
+  quoteVerification: { status: 'verified' },
+  sourceUrl: 'https://pitchfork.com/features/interview/example',
+  sourceVerification: { status: 'verified' },
+  sources: [{ url: 'https://pitchfork.com/features/interview/example' }],
+  spotify: { id: 'spirit-of-eden' },
+  year: 2026,
+  month: 6
+};
+
+function recencyOf(rec) {
+  return confidenceSignals(rec, normalizeResearchOptions(null, NOW), NOW).recency;
+}
+
+test('the weights add up to 1', () => {
+  const total = Object.values(CONFIDENCE_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+
+  assert.strictEqual(Math.round(total * 1000) / 1000, 1);
+});
+
+test('every signal present scores 1, none scores 0', () => {
+  assert.strictEqual(scoreConfidence(fullySupported, { now: NOW }), 1);
+  assert.strictEqual(scoreConfidence({ name: 'Nothing Known' }, { now: NOW }), 0);
+});
+
+test('recency falls to 0 at the 24 month horizon', () => {
+  assert.strictEqual(recencyOf({ year: 2026, month: 6 }), 1);
+  assert.ok(Math.abs(recencyOf({ year: 2024, month: 7 }) - 1 / 24) < 1e-9);
+  assert.strictEqual(recencyOf({ year: 2024, month: 6 }), 0);
+  assert.strictEqual(recencyOf({ year: 2020, month: 1 }), 0);
+  // Dates ahead of now don't earn more than a current one
+  assert.strictEqual(recencyOf({ year: 2027, month: 1 }), 1);
+});
+
+test('a year without a month counts from mid-year, and no year earns nothing', () => {
+  assert.strictEqual(recencyOf({ year: 2025 }), recencyOf({ year: 2025, month: 6 }));
+  assert.strictEqual(recencyOf({}), 0);
+});
+
+test('a source off the allowed domains or failing its check earns no source credit', () => {
+  const research = normalizeResearchOptions(null, NOW);
+
+  const offList = confidenceSignals({ sourceUrl: 'https://example.io/a' }, research, NOW);
+  const failed = confidenceSignals({ sourceUrl: 'https://example.com/a', sourceVerification: { status: 'unverified' } }, research, NOW);
+  const unchecked = confidenceSignals({ sourceUrl: 'https://example.com/a' }, research, NOW);
+
+  assert.strictEqual(offList.sourceUrl, 0);
+  assert.strictEqual(failed.sourceUrl, 0);
+  assert.strictEqual(unchecked.sourceUrl, 1);
+});
+
+test('confidenceLevel labels scores at their cut-offs', () => {
+  assert.strictEqual(confidenceLevel(0.7), 'high');
+  assert.strictEqual(confidenceLevel(0.69), 'medium');
+  assert.strictEqual(confidenceLevel(0.4), 'medium');
+  assert.strictEqual(confidenceLevel(0), 'low');
+  assert.strictEqual(confidenceLevel(undefined), null);
+});
+
+test('parseMinConfidence accepts 0 to 1 and nothing', () => {
+  assert.strictEqual(parseMinConfidence(undefined), null);
+  assert.strictEqual(parseMinConfidence(''), null);
+  assert.strictEqual(parseMinConfidence('0'), 0);
+  assert.strictEqual(parseMinConfidence('0.5'), 0.5);
+  assert.strictEqual(parseMinConfidence('1'), 1);
+});
+
+test('parseMinConfidence rejects values outside 0 to 1', () => {
+  ['-0.1', '1.01', '2', 'high', 'NaN'].forEach(value => {
+    assert.throws(() => parseMinConfidence(value), { code: 'INVALID_MIN_CONFIDENCE' }, value);
+  });
+});
+
+test('rankRecommendations sorts, filters and keeps stored scores unless asked to rescore', () => {
+  const recommendations = [
+    { name: 'Stored Low', confidence: 0.2 },
+    { name: 'Stored High', confidence: 0.9 },
+    { name: 'Unscored', quote: 'a quote' }
+  ];
+
+  const ranked = rankRecommendations(recommendations, { now: NOW });
+  const filtered = rankRecommendations(recommendations, { minConfidence: 0.2, now: NOW });
+  const rescored = rankRecommendations(recommendations, { rescore: true, now: NOW });
+
+  assert.deepStrictEqual(ranked.map(rec => [rec.name, rec.confidence]), [
+    ['Stored High', 0.9],
+    ['Stored Low', 0.2],
+    ['Unscored', 0.15]
+  ]);
+  assert.deepStrictEqual(filtered.map(rec => rec.name), ['Stored High', 'Stored Low']);
+  assert.deepStrictEqual(rescored.map(rec => rec.confidence), [0.15, 0, 0]);
+  assert.deepStrictEqual(rescored.map(rec => rec.name), ['Unscored', 'Stored Low', 'Stored High']);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHttpClient } = require('../lib/http');
+
+const quiet = { warn() {} };
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function response(status) {
+  return { status, ok: status < 300, headers: { get: () => null }, arrayBuffer: async () => {} };
+}
+
+// A client whose breaker opens on the first failure and half-opens 20ms later
+function createClient(fetcher) {
+  return createHttpClient({ name: 'Test', fetcher, retries: 0, failureThreshold: 1, resetMs: 20, logger: quiet });
+}
+
+async function openBreaker(client, statuses) {
+  statuses.push(503);
+  await assert.rejects(client.fetch('https://example.com'), { code: 'UPSTREAM_UNAVAILABLE' });
+  assert.strictEqual(client.breaker.state(), 'open');
+  await wait(25);
+  assert.strictEqual(client.breaker.state(), 'half-open');
+}
+
+test('a rate-limited trial call releases the half-open breaker', async () => {
+  const statuses = [];
+  const client = createClient(async () => response(statuses.shift()));
+
+  await openBreaker(client, statuses);
+
+  statuses.push(429);
+  await assert.rejects(client.fetch('https://example.com'), { code: 'UPSTREAM_UNAVAILABLE', status: 429 });
+
+  // The next call is the new trial instead of failing with CIRCUIT_OPEN
+  statuses.push(200);
+  assert.strictEqual((await client.fetch('https://example.com')).status, 200);
+  assert.strictEqual(client.breaker.state(), 'closed');
+});
+
+test('a trial call aborted by its caller releases the half-open breaker', async () => {
+  const statuses = [];
+  let hang = false;
+  const client = createClient((url, init) => {
+    if (!hang) {
+      return Promise.resolve(response(statuses.shift()));
+    }
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  });
+
+  await openBreaker(client, statuses);
+
+  hang = true;
+  const controller = new AbortController();
+  const trial = client.fetch('https://example.com', { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(trial, /aborted/);
+
+  hang = false;
+  statuses.push(200);
+  assert.strictEqual((await client.fetch('https://example.com')).status, 200);
+  assert.strictEqual(client.breaker.state(), 'closed');
+});
+
+test('a client without retryAfterSend retries only what the upstream never acted on', async () => {
+  const outcomes = [];
+  let attempts = 0;
+  const client = createHttpClient({
+    name: 'Test',
+    fetcher: async () => {
+      attempts += 1;
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      return response(outcome);
+    },
+    retries: 2,
+    retryAfterSend: false,
+    sleep: async () => {},
+    logger: quiet
+  });
+
+  // A 5xx may have done the work already
+  outcomes.push(500, 200);
+  await assert.rejects(client.fetch('https://example.com', { method: 'POST' }), { code: 'UPSTREAM_UNAVAILABLE', status: 500 });
+  assert.strictEqual(attempts, 1);
+
+  // So may a request that timed out or lost its connection midway
+  outcomes.length = 0;
+  attempts = 0;
+  outcomes.push(new Error('timed out after 10ms'), 200);
+  await assert.rejects(client.fetch('https://example.com', { method: 'POST' }), { code: 'UPSTREAM_UNAVAILABLE' });
+  assert.strictEqual(attempts, 1);
+
+  // Rate limits and refused connections never reached it
+  outcomes.length = 0;
+  attempts = 0;
+  outcomes.push(429, Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }), 200);
+  assert.strictEqual((await client.fetch('https://example.com', { method: 'POST' })).status, 200);
+  assert.strictEqual(attempts, 3);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue } = require('../lib/job-queue');
+const { createRateLimiter } = require('../lib/rate-limiter');
+
+const quiet = { error() {} };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Queue whose jobs finish when the test says so, on a clock the test moves
+function createTestQueue(options = {}) {
+  const clock = { ms: Date.parse('2025-01-01T00:00:00.000Z') };
+  const pending = new Map();
+  const runs = [];
+
+  const queue = createJobQueue({
+    run: input => new Promise((resolve, reject) => {
+      runs.push(input.name);
+      pending.set(input.name, { resolve, reject });
+    }),
+    now: () => clock.ms,
+    logger: quiet,
+    ...options
+  });
+
+  const finish = async (name, error = null) => {
+    const job = pending.get(name);
+    pending.delete(name);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve({ done: name });
+    }
+    await settle();
+  };
+
+  return { queue, clock, runs, finish };
+}
+
+test('enqueueing a key that is queued or running returns the same job', async () => {
+  const { queue, runs, finish } = createTestQueue({ concurrency: 1 });
+
+  const first = queue.enqueue('a', { name: 'a' });
+  const again = queue.enqueue('a', { name: 'a' });
+  await settle();
+
+  assert.strictEqual(first.created, true);
+  assert.strictEqual(again.created, false);
+  assert.strictEqual(again.job.id, first.job.id);
+  assert.deepStrictEqual(runs, ['a']);
+
+  await finish('a');
+  assert.deepStrictEqual(queue.getJob(first.job.id).result, { done: 'a' });
+
+  // Once it has succeeded, the key is free again
+  assert.strictEqual(queue.enqueue('a', { name: 'a' }).created, true);
+});
+
+test('no more than concurrency jobs run at once, the rest wait in order', async () => {
+  const { queue, runs, finish } = createTestQueue({ concurrency: 2 });
+
+  const jobs = ['a', 'b', 'c', 'd'].map(name => queue.enqueue(name, { name }).job);
+  await settle();
+
+  assert.deepStrictEqual(runs, ['a', 'b']);
+  assert.deepStrictEqual(queue.stats(), { running: 2, queued: 2 });
+  assert.strictEqual(queue.getJob(jobs[2].id).position, 1);
+  assert.strictEqual(queue.getJob(jobs[3].id).position, 2);
+
+  await finish('b');
+
+  assert.deepStrictEqual(runs, ['a', 'b', 'c']);
+  assert.strictEqual(queue.getJob(jobs[1].id).status, 'succeeded');
+  assert.strictEqual(queue.getJob(jobs[2].id).status, 'running');
+  assert.strictEqual(queue.getJob(jobs[3].id).position, 1);
+});
+
+test('a full queue refuses new keys but still returns existing jobs', async () => {
+  const { queue } = createTestQueue({ concurrency: 1, maxQueued: 1 });
+
+  queue.enqueue('a', { name: 'a' });
+  await settle();
+  queue.enqueue('b', { name: 'b' });
+
+  assert.throws(() => queue.enqueue('c', { name: 'c' }), { code: 'QUEUE_FULL' });
+  assert.strictEqual(queue.enqueue('b', { name: 'b' }).created, false);
+});
+
+test('a failed job is returned for its key until the cooldown ends', async () => {
+  const { queue, clock, runs, finish } = createTestQueue({ failureCooldownMs: 60000 });
+
+  const { job } = queue.enqueue('a', { name: 'a' });
+  await settle();
+  await finish('a', new Error('model timed out'));
+
+  const failed = queue.enqueue('a', { name: 'a' });
+
+  assert.strictEqual(failed.created, false);
+  assert.strictEqual(failed.job.id, job.id);
+  assert.strictEqual(failed.job.status, 'failed');
+  assert.strictEqual(failed.job.error, 'model timed out');
+  assert.strictEqual(failed.job.retryAt, new Date(clock.ms + 60000).toISOString());
+
+  clock.ms += 60000;
+  const retried = queue.enqueue('a', { name: 'a' });
+  await settle();
+
+  assert.strictEqual(retried.created, true);
+  assert.notStrictEqual(retried.job.id, job.id);
+  assert.deepStrictEqual(runs, ['a', 'a']);
+});
+
+test('admit is only asked about new jobs, and a refusal queues nothing', async () => {
+  const { queue, runs } = createTestQueue();
+  let admitted = 0;
+  const admit = () => {
+    admitted += 1;
+  };
+  const refuse = () => {
+    throw Object.assign(new Error('limited'), { code: 'RATE_LIMITED' });
+  };
+
+  queue.enqueue('a', { name: 'a' }, { admit });
+  queue.enqueue('a', { name: 'a' }, { admit: refuse });
+
+  assert.throws(() => queue.enqueue('b', { name: 'b' }, { admit: refuse }), { code: 'RATE_LIMITED' });
+  await settle();
+
+  assert.strictEqual(admitted, 1);
+  assert.deepStrictEqual(runs, ['a']);
+  assert.strictEqual(queue.findJob(input => input.name === 'b'), null);
+});
+
+test('finished jobs stay readable for retainMs', async () => {
+  const { queue, clock, finish } = createTestQueue({ retainMs: 1000 });
+
+  const { job } = queue.enqueue('a', { name: 'a' });
+  await settle();
+  await finish('a');
+
+  clock.ms += 1000;
+  assert.strictEqual(queue.getJob(job.id).status, 'succeeded');
+  assert.strictEqual(queue.findJob(input => input.name === 'a').id, job.id);
+
+  clock.ms += 1;
+  assert.strictEqual(queue.getJob(job.id), null);
+});
+
+test('the rate limiter allows limit events per window and says how long to wait', () => {
+  let now = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+
+  assert.strictEqual(limiter.check('1.2.3.4'), 0);
+  limiter.record('1.2.3.4');
+  now = 400;
+  limiter.record('1.2.3.4');
+
+  assert.strictEqual(limiter.check('1.2.3.4'), 600);
+  assert.strictEqual(limiter.check('5.6.7.8'), 0);
+
+  now = 1000;
+  assert.strictEqual(limiter.check('1.2.3.4'), 0);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage/memory-storage');
+
+test('set keeps a record read from another backend as it is', async () => {
+  const storage = createMemoryStorage();
+  const record = {
+    id: 'a1',
+    artist_name: 'Caroline Polachek',
+    artist_spotify_id: '4Ge8xMJNwt6EEXOzVXju9a',
+    slug: 'caroline-polachek',
+    slug_aliases: [],
+    recommendations: [],
+    created_at: '2024-01-01T00:00:00.000Z',
+    updated_at: '2024-01-01T00:00:00.000Z'
+  };
+
+  await storage.set(record);
+  await storage.set(record);
+
+  const stored = await storage.getBySpotifyId(record.artist_spotify_id);
+  assert.strictEqual(stored.updated_at, record.updated_at);
+  assert.strictEqual(stored.slug, record.slug);
+  assert.strictEqual((await storage.list()).length, 1);
+  assert.strictEqual((await storage.findAliases('caroline polachek'))[0].artist_spotify_id, record.artist_spotify_id);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+const { loadMigrations, getMigrationStatus, runMigrations } = require('../scripts/migrate');
+
+const quiet = { log() {}, warn() {} };
+
+// Directory of migration files for one test, removed afterwards
+function migrationsDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recd-migrations-'));
+  Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Stand-in for Postgres: keeps schema_migrations in memory, honours
+// BEGIN/COMMIT/ROLLBACK for it, records every other statement it runs and
+// fails any containing "FAIL"
+function createFakeDatabase() {
+  const database = { applied: new Map(), executed: [] };
+
+  database.createClient = () => {
+    let pending = null;
+
+    return {
+      async connect() {},
+      async end() {},
+      async query(sql, params = []) {
+        const statement = sql.trim();
+
+        if (/^SELECT pg_advisory_(un)?lock/.test(statement) || statement.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+          return { rows: [] };
+        }
+        if (statement.startsWith('SELECT version, name, checksum, applied_at FROM schema_migrations')) {
+          return { rows: [...database.applied.values()] };
+        }
+        if (statement === 'BEGIN') {
+          pending = [];
+          return { rows: [] };
+        }
+        if (statement === 'COMMIT') {
+          pending.forEach(row => database.applied.set(row.version, row));
+          pending = null;
+          return { rows: [] };
+        }
+        if (statement === 'ROLLBACK') {
+          pending = null;
+          return { rows: [] };
+        }
+        if (statement.startsWith('INSERT INTO schema_migrations')) {
+          const [version, name, checksum] = params;
+          pending.push({ version, name, checksum, applied_at: new Date('2025-01-01T00:00:00.000Z') });
+          return { rows: [] };
+        }
+        if (statement.includes('FAIL')) {
+          throw new Error('syntax error at or near "FAIL"');
+        }
+
+        database.executed.push(statement);
+        return { rows: [] };
+      }
+    };
+  };
+
+  return database;
+}
+
+function run(dir, database, logger = quiet) {
+  return runMigrations({ connectionString: 'postgres://fake', dir, logger, createClient: database.createClient });
+}
+
+test('migrations load in numeric version order, other files are ignored', t => {
+  const dir = migrationsDir(t, {
+    '10_later.sql': 'SELECT 10;',
+    '2_earlier.sql': 'SELECT 2;',
+    '0001_first.sql': 'SELECT 1;',
+    'README.md': 'notes',
+    '3_draft.sql.bak': 'SELECT 3;'
+  });
+
+  const migrations = loadMigrations(dir);
+
+  assert.deepStrictEqual(migrations.map(m => m.file), ['0001_first.sql', '2_earlier.sql', '10_later.sql']);
+  assert.deepStrictEqual(migrations.map(m => m.name), ['first', 'earlier', 'later']);
+  assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test('two migrations with the same version are refused', t => {
+  const dir = migrationsDir(t, { '0001_a.sql': 'SELECT 1;', '1_b.sql': 'SELECT 2;' });
+
+  assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+});
+
+test('pending migrations are applied in order, and a second run applies nothing', async t => {
+  const dir = migrationsDir(t, {
+    '0002_second.sql': 'SELECT 2;',
+    '0001_first.sql': 'SELECT 1;'
+  });
+  const database = createFakeDatabase();
+
+  const first = await run(dir, database);
+  const second = await run(dir, database);
+
+  assert.deepStrictEqual(first, ['0001_first.sql', '0002_second.sql']);
+  assert.deepStrictEqual(second, []);
+  assert.deepStrictEqual(database.executed, ['SELECT 1;', 'SELECT 2;']);
+  assert.deepStrictEqual([...database.applied.keys()], ['0001', '0002']);
+});
+
+test('a failing migration is rolled back, unrecorded, and stops the ones after it', async t => {
+  const dir = migrationsDir(t, {
+    '0001_first.sql': 'SELECT 1;',
+    '0002_broken.sql': 'FAIL;',
+    '0003_third.sql': 'SELECT 3;'
+  });
+  const database = createFakeDatabase();
+
+  await assert.rejects(run(dir, database), /Migration 0002_broken.sql failed: syntax error/);
+
+  assert.deepStrictEqual([...database.applied.keys()], ['0001']);
+  assert.deepStrictEqual(database.executed, ['SELECT 1;']);
+
+  // Once fixed, the run picks up where it stopped
+  fs.writeFileSync(path.join(dir, '0002_broken.sql'), 'SELECT 2;');
+
+  assert.deepStrictEqual(await run(dir, database), ['0002_broken.sql', '0003_third.sql']);
+});
+
+test('a migration edited after it was applied is reported, not rerun', async t => {
+  const dir = migrationsDir(t, { '0001_first.sql': 'SELECT 1;' });
+  const database = createFakeDatabase();
+  const warnings = [];
+
+  await run(dir, database);
+  fs.writeFileSync(path.join(dir, '0001_first.sql'), 'SELECT 11;');
+  fs.writeFileSync(path.join(dir, '0002_second.sql'), 'SELECT 2;');
+
+  const status = await getMigrationStatus({ connectionString: 'postgres://fake', dir, createClient: database.createClient });
+  const applied = await run(dir, database, { log() {}, warn: message => warnings.push(message) });
+
+  assert.deepStrictEqual(status.map(({ version, applied: done, modified }) => ({ version, done, modified })), [
+    { version: '0001', done: true, modified: true },
+    { version: '0002', done: false, modified: false }
+  ]);
+  assert.deepStrictEqual(applied, ['0002_second.sql']);
+  assert.deepStrictEqual(database.executed, ['SELECT 1;', 'SELECT 2;']);
+  assert.match(warnings[0], /0001_first.sql changed after it was applied/);
+});
+
+// Against a real, throwaway Postgres: TEST_DATABASE_URL=postgresql://... npm test
+test('every repository migration can be run twice', { skip: !process.env.TEST_DATABASE_URL }, async () => {
+  const connectionString = process.env.TEST_DATABASE_URL;
+
+  await runMigrations({ connectionString, logger: quiet });
+
+  const client = new Client({ connectionString });
+  await client.connect();
+
+  try {
+    for (const migration of loadMigrations()) {
+      try {
+        await client.query(migration.sql);
+      } catch (error) {
+        assert.fail(`${migration.file} failed on a second run: ${error.message}`);
+      }
+    }
+  } finally {
+    await client.end();
+  }
+});
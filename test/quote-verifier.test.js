@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractText, matchQuote, createQuoteVerifier } = require('../lib/quote-verifier');
+
+const quiet = { warn() {} };
+
+// Fetcher answering every URL with one page
+function pageFetcher(body, contentType = 'text/html; charset=utf-8') {
+  return async () => new Response(body, { status: 200, headers: { 'content-type': contentType } });
+}
+
+test('matchQuote ignores case, accents and punctuation', () => {
+  const text = extractText('<p>Honestly &mdash; &ldquo;SIGUR RÓS changed how I hear silence,&rdquo; he said.</p>');
+
+  const { score, excerpt } = matchQuote('Sigur Ros changed how I hear silence.', text);
+
+  assert.strictEqual(score, 1);
+  assert.strictEqual(excerpt, '“SIGUR RÓS changed how I hear silence,”');
+});
+
+test('matchQuote scores the share of quote words found in order', () => {
+  const text = 'I think Spirit of Eden is the most important record ever made, full stop.';
+
+  const partial = matchQuote('Spirit of Eden is the most beautiful record ever made', text);
+  const reordered = matchQuote('made ever record', text);
+
+  // 9 of the 10 words, "beautiful" missing
+  assert.strictEqual(partial.score, 0.9);
+  assert.match(partial.excerpt, /^Spirit of Eden .* made,?$/);
+  assert.ok(reordered.score < 1);
+});
+
+test('matchQuote compares unspaced scripts per character', () => {
+  const { score } = matchQuote('坂本龍一の音楽', 'インタビューで坂本龍一の音楽について話した');
+
+  assert.strictEqual(score, 1);
+});
+
+test('matchQuote finds nothing in an empty page', () => {
+  assert.deepStrictEqual(matchQuote('anything at all', ''), { score: 0, excerpt: null });
+});
+
+test('a quote matching below the threshold is unverified with its best score', async () => {
+  const verifier = createQuoteVerifier({
+    fetcher: pageFetcher('<p>Talk Talk made a record that still sounds like nothing else.</p>'),
+    threshold: 0.8,
+    logger: quiet
+  });
+
+  const close = await verifier.verifyQuote('Talk Talk made a record that sounds like nothing else', 'https://example.com/a');
+  const far = await verifier.verifyQuote('Talk Talk were the greatest band of their decade', 'https://example.com/a');
+  const absent = await verifier.verifyQuote('completely unrelated words here', 'https://example.com/a');
+
+  assert.strictEqual(close.status, 'verified');
+  assert.strictEqual(far.status, 'unverified');
+  assert.ok(far.score > 0 && far.score < 0.8);
+  assert.match(far.reason, /^best match \d+% of the quote$/);
+  assert.strictEqual(absent.status, 'unverified');
+  assert.strictEqual(absent.reason, 'quote not found on the page');
+  assert.strictEqual(absent.excerpt, null);
+});
+
+test('scripts, styles and markup are not matched, page descriptions are', async () => {
+  const html = [
+    '<html><head><meta property="og:description" content="Björk on the album she keeps returning to"></head>',
+    '<body><script>var quote = "hidden words in a script";</script><p>Visible text only.</p></body></html>'
+  ].join('');
+  const verifier = createQuoteVerifier({ fetcher: pageFetcher(html), logger: quiet });
+
+  const description = await verifier.verifyQuote('Bjork on the album she keeps returning to', 'https://example.com/b');
+  const script = await verifier.verifyQuote('hidden words in a script', 'https://example.com/b');
+
+  assert.strictEqual(description.status, 'verified');
+  assert.strictEqual(script.status, 'unverified');
+});
+
+test('a page that is not text is not searched', async () => {
+  const verifier = createQuoteVerifier({ fetcher: pageFetcher('%PDF-1.7', 'application/pdf'), logger: quiet });
+
+  const result = await verifier.verifyQuote('anything', 'https://example.com/interview.pdf');
+
+  assert.strictEqual(result.status, 'unverified');
+  assert.strictEqual(result.reason, 'source page unavailable: application/pdf is not a text page');
+});
+
+test('plain text pages are matched as they are', async () => {
+  const verifier = createQuoteVerifier({ fetcher: pageFetcher('<b>not markup</b> here', 'text/plain'), logger: quiet });
+
+  const result = await verifier.verifyQuote('<b>not markup</b> here', 'https://example.com/c.txt');
+
+  assert.strictEqual(result.status, 'verified');
+});
+
+test('recommendations whose source failed are marked without a fetch', async () => {
+  let fetches = 0;
+  const verifier = createQuoteVerifier({
+    fetcher: async () => {
+      fetches++;
+      return new Response('<p>Laughing Stock is perfect</p>', { headers: { 'content-type': 'text/html' } });
+    },
+    logger: quiet
+  });
+
+  const [failedSource, checked, again] = await verifier.verifyRecommendations([
+    { name: 'A', quote: 'anything', sourceUrl: 'https://example.com/x', sourceVerification: { status: 'unverified' } },
+    { name: 'B', quote: 'Laughing Stock is perfect', sourceUrl: 'https://example.com/y' },
+    { name: 'C', quote: 'Laughing Stock', sourceUrl: 'https://example.com/y' }
+  ]);
+
+  assert.strictEqual(failedSource.quoteVerification.reason, 'source URL failed verification');
+  assert.strictEqual(checked.quoteVerification.status, 'verified');
+  assert.strictEqual(again.quoteVerification.status, 'verified');
+  assert.strictEqual(fetches, 1);
+});
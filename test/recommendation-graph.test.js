@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  nodeId,
+  buildRecommendationGraph,
+  findArtistNode,
+  getNeighborhood,
+  findConnection
+} = require('../lib/recommendation-graph');
+
+const artist = (name, spotifyId, recommendations) => ({
+  artist_name: name,
+  artist_spotify_id: spotifyId,
+  recommendations
+});
+const recommends = (name, spotifyId = null, type = 'artist') => ({
+  type,
+  name,
+  quote: `${name} is great`,
+  ...(spotifyId ? { spotify: { id: spotifyId } } : {})
+});
+
+// Steven Wilson -> Talk Talk -> Mark Hollis; Steven Wilson -> Low -> Mark Hollis;
+// Mark Hollis -> Nick Drake, who recommends nobody cached
+const records = [
+  artist('Steven Wilson', 'sw', [recommends('Talk Talk', 'tt'), recommends('Low', 'low'), recommends('Spirit of Eden', null, 'album')]),
+  artist('Talk Talk', 'tt', [recommends('Mark Hollis', 'mh')]),
+  artist('Low', 'low', [recommends('Mark Hollis')]),
+  artist('Mark Hollis', 'mh', [recommends('Nick Drake')])
+];
+
+test('nodes are keyed by Spotify ID, or by name when there is none', () => {
+  assert.strictEqual(nodeId('artist', 'Talk Talk', 'tt'), 'artist:spotify:tt');
+  assert.strictEqual(nodeId('Album', 'Spirit of Eden'), 'album:spirit-of-eden');
+
+  const graph = buildRecommendationGraph(records);
+
+  assert.ok(graph.nodes.has('artist:spotify:tt'));
+  assert.ok(graph.nodes.has('album:spirit-of-eden'));
+  assert.strictEqual(graph.nodes.get('artist:spotify:tt').cached, true);
+});
+
+test('a recommendation without an ID joins the only node with its name that has one', () => {
+  const graph = buildRecommendationGraph(records);
+
+  // Low recommends Mark Hollis without an ID; Talk Talk's recommendation has it
+  assert.strictEqual(graph.nodes.has('artist:mark-hollis'), false);
+  assert.deepStrictEqual(graph.incoming.get('artist:spotify:mh').map(edge => edge.source), [
+    'artist:spotify:tt',
+    'artist:spotify:low'
+  ]);
+});
+
+test('artists sharing a name stay apart, and the name alone is ambiguous', () => {
+  const graph = buildRecommendationGraph([
+    artist('Low', 'low-us', [recommends('Talk Talk', 'tt')]),
+    artist('Low', 'low-uk', [recommends('Nick Drake', 'nd')]),
+    artist('Steven Wilson', 'sw', [recommends('Low')])
+  ]);
+
+  assert.strictEqual(findArtistNode(graph, 'Low', 'low-uk'), 'artist:spotify:low-uk');
+  assert.throws(() => findArtistNode(graph, 'Low'), error => {
+    assert.strictEqual(error.code, 'AMBIGUOUS_ARTIST');
+    assert.deepStrictEqual(error.candidates.map(candidate => candidate.artist_spotify_id), ['low-us', 'low-uk']);
+    return true;
+  });
+  // Two IDs for the name, so the recommendation without one can't pick
+  assert.ok(graph.nodes.has('artist:low'));
+});
+
+test('a name with one cached artist picks it over uncached namesakes', () => {
+  const graph = buildRecommendationGraph([
+    artist('Steven Wilson', 'sw', [recommends('Low', 'low-other')]),
+    artist('Low', 'low', [])
+  ]);
+
+  assert.strictEqual(findArtistNode(graph, 'low'), 'artist:spotify:low');
+  assert.strictEqual(findArtistNode(graph, 'Nobody'), null);
+});
+
+test('getNeighborhood follows outgoing edges up to the hop limit', () => {
+  const graph = buildRecommendationGraph(records);
+
+  const oneHop = getNeighborhood(graph, 'Steven Wilson', 1);
+  const twoHops = getNeighborhood(graph, 'Steven Wilson', 2);
+
+  assert.strictEqual(oneHop.root, 'artist:spotify:sw');
+  assert.deepStrictEqual(oneHop.nodes.map(node => [node.name, node.depth]), [
+    ['Steven Wilson', 0],
+    ['Talk Talk', 1],
+    ['Low', 1],
+    ['Spirit of Eden', 1]
+  ]);
+  assert.deepStrictEqual(twoHops.nodes.map(node => node.name).slice(-1), ['Mark Hollis']);
+  assert.strictEqual(getNeighborhood(graph, 'Nobody', 1), null);
+});
+
+test('findConnection returns the shortest chain', () => {
+  const graph = buildRecommendationGraph(records);
+
+  const path = findConnection(graph, 'Steven Wilson', 'Nick Drake');
+
+  assert.deepStrictEqual(path.nodes.map(node => node.name), ['Steven Wilson', 'Talk Talk', 'Mark Hollis', 'Nick Drake']);
+  assert.strictEqual(path.edges.length, 3);
+  assert.deepStrictEqual(path.edges.map(edge => edge.quote), ['Talk Talk is great', 'Mark Hollis is great', 'Nick Drake is great']);
+});
+
+test('findConnection only walks edges backwards when undirected', () => {
+  const graph = buildRecommendationGraph(records);
+
+  const directed = findConnection(graph, 'Nick Drake', 'Low');
+  const undirected = findConnection(graph, 'Nick Drake', 'Low', { directed: false });
+
+  assert.strictEqual(directed, null);
+  assert.deepStrictEqual(undirected.nodes.map(node => node.name), ['Nick Drake', 'Mark Hollis', 'Low']);
+  // Edges keep their recommendation direction
+  assert.deepStrictEqual(undirected.edges.map(edge => [edge.source, edge.target]), [
+    ['artist:spotify:mh', 'artist:nick-drake'],
+    ['artist:spotify:low', 'artist:spotify:mh']
+  ]);
+});
+
+test('findConnection from an artist to itself is an empty chain, unknown artists have none', () => {
+  const graph = buildRecommendationGraph(records);
+
+  const self = findConnection(graph, 'Low', 'Low');
+
+  assert.deepStrictEqual(self.nodes.map(node => node.name), ['Low']);
+  assert.deepStrictEqual(self.edges, []);
+  assert.strictEqual(findConnection(graph, 'Low', 'Nobody'), null);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { identityKeys, sourceScore, mergeRecommendations } = require('../lib/recommendation-merge');
+
+const EARLIER = '2024-01-01T00:00:00.000Z';
+const LATER = '2024-06-01T00:00:00.000Z';
+const NOW = '2025-01-01T00:00:00.000Z';
+
+const verifiedSource = { sourceUrl: 'https://example.com/a', sourceVerification: { status: 'verified' } };
+const failedSource = { sourceUrl: 'https://example.com/b', sourceVerification: { status: 'unverified' } };
+
+test('identityKeys puts the Spotify entity before type and normalized name', () => {
+  assert.deepStrictEqual(
+    identityKeys({ type: 'Album', name: 'OK Computer (Remastered)', spotify: { id: 'abc' } }),
+    ['spotify:abc', 'album:ok-computer']
+  );
+  assert.deepStrictEqual(identityKeys({ type: 'artist', name: 'The Cure' }), ['artist:cure']);
+});
+
+test('recommendations match by Spotify ID even when their names differ', () => {
+  const previous = [{ type: 'album', name: 'Kid A', spotify: { id: 'kid-a' } }];
+  const fresh = [{ type: 'album', name: 'Kid A Mnesia', spotify: { id: 'kid-a' } }];
+
+  const merged = mergeRecommendations(previous, fresh, { seenAt: NOW });
+
+  assert.strictEqual(merged.recommendations.length, 1);
+  assert.strictEqual(merged.seenAgain, 1);
+  assert.strictEqual(merged.recommendations[0].name, 'Kid A Mnesia');
+});
+
+test('recommendations without an entity match by type and name, and take the resolved entity', () => {
+  const previous = [{ type: 'album', name: 'OK Computer', quote: 'cached' }];
+  const fresh = [
+    { type: 'album', name: 'OK Computer (Remastered)', spotify: { id: 'okc' } },
+    // Same name, other type: a different recommendation
+    { type: 'song', name: 'OK Computer' }
+  ];
+
+  const merged = mergeRecommendations(previous, fresh, { seenAt: NOW });
+
+  assert.strictEqual(merged.recommendations.length, 2);
+  assert.deepStrictEqual(merged.recommendations[0].spotify, { id: 'okc' });
+  assert.strictEqual(merged.recommendations[0].name, 'OK Computer (Remastered)');
+  assert.strictEqual(merged.seenAgain, 1);
+  assert.strictEqual(merged.added, 1);
+});
+
+test('a match keeps the better-sourced quote', () => {
+  const previous = [{ type: 'artist', name: 'Talk Talk', quote: 'checked quote', ...verifiedSource }];
+  const fresh = [{ type: 'artist', name: 'Talk Talk', quote: 'fresh quote', ...failedSource }];
+
+  const kept = mergeRecommendations(previous, fresh, { seenAt: NOW }).recommendations[0];
+  const replaced = mergeRecommendations(fresh, previous, { seenAt: NOW }).recommendations[0];
+
+  assert.ok(sourceScore(previous[0]) > sourceScore(fresh[0]));
+  assert.strictEqual(kept.quote, 'checked quote');
+  assert.strictEqual(replaced.quote, 'checked quote');
+});
+
+test('on equal sources the fresh quote wins, and an unchecked source beats a failed one', () => {
+  const fresh = [{ type: 'artist', name: 'Talk Talk', quote: 'fresh', sourceUrl: 'https://example.com/c' }];
+
+  const tie = mergeRecommendations([{ type: 'artist', name: 'Talk Talk', quote: 'cached', sourceUrl: 'https://example.com/d' }], fresh);
+  const unchecked = mergeRecommendations([{ type: 'artist', name: 'Talk Talk', quote: 'cached', ...failedSource }], fresh);
+
+  assert.strictEqual(tie.recommendations[0].quote, 'fresh');
+  assert.strictEqual(unchecked.recommendations[0].quote, 'fresh');
+});
+
+test('seen dates keep the first sighting and move the last one to the run', () => {
+  const previous = [
+    { type: 'artist', name: 'Sigur Rós', firstSeenAt: EARLIER, lastSeenAt: LATER },
+    { type: 'artist', name: 'Low', firstSeenAt: EARLIER, lastSeenAt: LATER }
+  ];
+  const fresh = [{ type: 'artist', name: 'Sigur Ros' }];
+
+  const [seenAgain, retained] = mergeRecommendations(previous, fresh, { seenAt: NOW }).recommendations;
+
+  assert.strictEqual(seenAgain.firstSeenAt, EARLIER);
+  assert.strictEqual(seenAgain.lastSeenAt, NOW);
+  assert.strictEqual(retained.firstSeenAt, EARLIER);
+  assert.strictEqual(retained.lastSeenAt, LATER);
+});
+
+test('cached recommendations without seen dates take previousSeenAt', () => {
+  const previous = [{ type: 'album', name: 'Laughing Stock' }];
+
+  const withDate = mergeRecommendations(previous, [], { seenAt: NOW, previousSeenAt: LATER }).recommendations[0];
+  const withoutDate = mergeRecommendations(previous, [], { seenAt: NOW }).recommendations[0];
+  const seenAgain = mergeRecommendations(previous, [{ type: 'album', name: 'Laughing Stock' }], {
+    seenAt: NOW,
+    previousSeenAt: LATER
+  }).recommendations[0];
+
+  assert.strictEqual(withDate.firstSeenAt, LATER);
+  assert.strictEqual(withDate.lastSeenAt, LATER);
+  assert.strictEqual(withoutDate.firstSeenAt, null);
+  assert.strictEqual(seenAgain.firstSeenAt, LATER);
+  assert.strictEqual(seenAgain.lastSeenAt, NOW);
+});
+
+test('counts added, seen again, retained and duplicates', () => {
+  const previous = [
+    { type: 'artist', name: 'Talk Talk' },
+    { type: 'artist', name: 'Low' },
+    // Cached twice under different spellings
+    { type: 'artist', name: 'The Low' }
+  ];
+  const fresh = [
+    { type: 'artist', name: 'Talk Talk' },
+    { type: 'album', name: 'Spirit of Eden' },
+    { type: 'album', name: 'Spirit of Eden (Deluxe Edition)' }
+  ];
+
+  const merged = mergeRecommendations(previous, fresh, { seenAt: NOW });
+
+  assert.deepStrictEqual(merged.recommendations.map(rec => rec.name), ['Talk Talk', 'Spirit of Eden', 'Low']);
+  assert.strictEqual(merged.added, 1);
+  assert.strictEqual(merged.seenAgain, 1);
+  assert.strictEqual(merged.retained, 1);
+  assert.strictEqual(merged.duplicates, 2);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeJson } = require('../lib/llm/repair');
+
+test('sanitizeJson loosens structure but leaves string literals alone', () => {
+  const quote = 'Listen to this, Radiohead: a band, }and "True" ones, None better, ]';
+  const text = `{recommendations: [{"name": "OK Computer", "quote": ${JSON.stringify(quote)}, verified: True,},]}`;
+
+  const parsed = JSON.parse(sanitizeJson(text));
+
+  assert.strictEqual(parsed.recommendations[0].quote, quote);
+  assert.strictEqual(parsed.recommendations[0].verified, true);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSnapshot, recommendationKey, diffRecommendations } = require('../lib/snapshots');
+const { createMemoryStorage } = require('../lib/storage/memory-storage');
+
+test('recommendationKey ignores case, accents and punctuation but not type', () => {
+  assert.strictEqual(recommendationKey({ type: 'Artist', name: 'Sigur Rós!' }), 'artist:sigur ros');
+  assert.strictEqual(recommendationKey({ type: 'artist', name: '  sigur   ros ' }), 'artist:sigur ros');
+  assert.notStrictEqual(recommendationKey({ type: 'album', name: 'Low' }), recommendationKey({ type: 'artist', name: 'Low' }));
+});
+
+test('diffRecommendations sorts recommendations into added, removed, changed and unchanged', () => {
+  const before = [
+    { type: 'artist', name: 'Talk Talk', quote: 'A band out of time', year: 2020 },
+    { type: 'album', name: 'Spirit of Eden', quote: 'Perfect' },
+    { type: 'artist', name: 'Low' }
+  ];
+  const after = [
+    { type: 'artist', name: 'talk talk', quote: 'A band out of time', year: 2020 },
+    { type: 'album', name: 'Spirit of Eden', quote: 'Still perfect', sourceUrl: 'https://example.com/a' },
+    { type: 'album', name: 'Laughing Stock' }
+  ];
+
+  const diff = diffRecommendations(before, after);
+
+  assert.deepStrictEqual(diff.added.map(rec => rec.name), ['Laughing Stock']);
+  assert.deepStrictEqual(diff.removed.map(rec => rec.name), ['Low']);
+  assert.deepStrictEqual(diff.unchanged.map(rec => rec.name), ['talk talk']);
+  assert.strictEqual(diff.changed.length, 1);
+  assert.deepStrictEqual(diff.changed[0].fields, ['quote', 'sourceUrl']);
+  assert.strictEqual(diff.changed[0].before.quote, 'Perfect');
+  assert.strictEqual(diff.changed[0].after.quote, 'Still perfect');
+});
+
+test('a missing field and an empty one are not a change', () => {
+  const diff = diffRecommendations(
+    [{ type: 'artist', name: 'Low', quote: '' }],
+    [{ type: 'artist', name: 'Low', author: null }]
+  );
+
+  assert.strictEqual(diff.changed.length, 0);
+  assert.strictEqual(diff.unchanged.length, 1);
+});
+
+test('diffing against nothing adds or removes everything', () => {
+  const recommendations = [{ type: 'artist', name: 'Low' }, { type: 'artist', name: 'Talk Talk' }];
+
+  assert.strictEqual(diffRecommendations(undefined, recommendations).added.length, 2);
+  assert.strictEqual(diffRecommendations(recommendations, []).removed.length, 2);
+});
+
+test('buildSnapshot records the run with defaults for what is missing', () => {
+  const snapshot = buildSnapshot({
+    artistName: 'Steven Wilson',
+    artistId: '4X42BfuhWCAZ2swiVze9O0',
+    recommendations: [{ type: 'artist', name: 'Talk Talk' }],
+    model: 'gpt-4o'
+  });
+
+  assert.strictEqual(snapshot.artist_name, 'Steven Wilson');
+  assert.strictEqual(snapshot.artist_spotify_id, '4X42BfuhWCAZ2swiVze9O0');
+  assert.deepStrictEqual(snapshot.rejected, []);
+  assert.strictEqual(snapshot.prompt_version, null);
+  assert.strictEqual(snapshot.research_options, null);
+  assert.ok(!Number.isNaN(Date.parse(snapshot.created_at)));
+});
+
+test('snapshots are listed newest first, per artist', async () => {
+  const storage = createMemoryStorage();
+  const older = await storage.addSnapshot({ ...buildSnapshot({ artistName: 'Low' }), created_at: '2024-01-01T00:00:00.000Z' });
+  const newer = await storage.addSnapshot({ ...buildSnapshot({ artistName: 'Low' }), created_at: '2024-06-01T00:00:00.000Z' });
+  await storage.addSnapshot(buildSnapshot({ artistName: 'Talk Talk' }));
+
+  const listed = await storage.listSnapshots('low');
+
+  assert.deepStrictEqual(listed.map(snapshot => snapshot.id), [newer.id, older.id]);
+  assert.strictEqual((await storage.getSnapshot(older.id)).created_at, '2024-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createSourceVerifier } = require('../lib/source-verifier');
+
+const quiet = { warn() {} };
+
+test('a redirect to a malformed Location leaves the source unverified', async () => {
+  const fetcher = async () => ({
+    status: 301,
+    headers: { get: name => (name === 'location' ? 'https://[not-a-host' : null) }
+  });
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const result = await verifier.verifyUrl('https://pitchfork.com/reviews/albums/example/');
+
+  assert.strictEqual(result.status, 'unverified');
+  assert.match(result.reason, /malformed URL/);
+  assert.strictEqual(result.httpStatus, 301);
+});
+
+// Paths the stub answers; anything else is a 404
+const routes = {
+  '/article': (req, res) => res.writeHead(200).end('ok'),
+  '/moved': (req, res) => res.writeHead(301, { Location: '/moved-again' }).end(),
+  '/moved-again': (req, res) => res.writeHead(302, { Location: 'https://www.pitchfork.com/article' }).end(),
+  '/off-list': (req, res) => res.writeHead(302, { Location: 'https://example.io/article' }).end(),
+  '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+  '/gone-home': (req, res) => res.writeHead(301, { Location: '/' }).end(),
+  '/': (req, res) => res.writeHead(200).end('front page'),
+  '/broken': (req, res) => res.writeHead(500).end(),
+  '/get-only': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+  // Never answers, so the verifier's timeout has to end it
+  '/slow': () => {}
+};
+
+// Local HTTP server standing in for every source host: the fetcher sends the
+// request there, keeping the path, and records which URLs were asked for
+async function startStub(t) {
+  const server = http.createServer((req, res) => {
+    (routes[req.url] || ((_, response) => response.writeHead(404).end()))(req, res);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const { port } = server.address();
+  const requested = [];
+  const fetcher = (url, options) => {
+    requested.push(`${options.method} ${url}`);
+    const { pathname } = new URL(url);
+    return fetch(`http://127.0.0.1:${port}${pathname}`, options);
+  };
+
+  return { fetcher, requested };
+}
+
+test('redirects are followed hop by hop and the chain is recorded', async t => {
+  const { fetcher } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const result = await verifier.verifyUrl('https://pitchfork.com/moved');
+
+  assert.strictEqual(result.status, 'verified');
+  assert.strictEqual(result.httpStatus, 200);
+  assert.strictEqual(result.finalUrl, 'https://www.pitchfork.com/article');
+  assert.deepStrictEqual(result.redirects, [
+    { url: 'https://pitchfork.com/moved', status: 301 },
+    { url: 'https://pitchfork.com/moved-again', status: 302 }
+  ]);
+});
+
+test('a source off the allowed domains is never requested, even as a redirect target', async t => {
+  const { fetcher, requested } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const direct = await verifier.verifyUrl('https://example.io/article');
+  const redirected = await verifier.verifyUrl('https://pitchfork.com/off-list');
+
+  assert.strictEqual(direct.status, 'unverified');
+  assert.match(direct.reason, /example\.io is not on an allowed domain/);
+  assert.strictEqual(redirected.status, 'unverified');
+  assert.match(redirected.reason, /^redirected to https:\/\/example\.io\/article: /);
+  assert.strictEqual(redirected.finalUrl, 'https://example.io/article');
+  assert.deepStrictEqual(requested, ['HEAD https://pitchfork.com/off-list']);
+});
+
+test('4xx and 5xx answers leave the source unverified', async t => {
+  const { fetcher } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const missing = await verifier.verifyUrl('https://pitchfork.com/missing');
+  const broken = await verifier.verifyUrl('https://pitchfork.com/broken');
+
+  assert.strictEqual(missing.status, 'unverified');
+  assert.strictEqual(missing.reason, 'HTTP 404');
+  assert.strictEqual(missing.httpStatus, 404);
+  assert.strictEqual(broken.status, 'unverified');
+  assert.strictEqual(broken.reason, 'HTTP 500');
+});
+
+test('a server refusing HEAD is asked again with GET', async t => {
+  const { fetcher, requested } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const result = await verifier.verifyUrl('https://pitchfork.com/get-only');
+
+  assert.strictEqual(result.status, 'verified');
+  assert.deepStrictEqual(requested, ['HEAD https://pitchfork.com/get-only', 'GET https://pitchfork.com/get-only']);
+});
+
+test('redirect loops and soft 404s to the front page are caught', async t => {
+  const { fetcher } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, maxRedirects: 3, logger: quiet });
+
+  const loop = await verifier.verifyUrl('https://pitchfork.com/loop');
+  const softNotFound = await verifier.verifyUrl('https://pitchfork.com/gone-home');
+
+  assert.strictEqual(loop.reason, 'more than 3 redirects');
+  assert.strictEqual(loop.redirects.length, 4);
+  assert.strictEqual(softNotFound.status, 'unverified');
+  assert.strictEqual(softNotFound.reason, 'redirected to the site root');
+});
+
+test('a source that never answers times out', async t => {
+  const { fetcher } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, timeoutMs: 50, logger: quiet });
+
+  const result = await verifier.verifyUrl('https://pitchfork.com/slow');
+
+  assert.strictEqual(result.status, 'unverified');
+  assert.strictEqual(result.reason, 'timed out after 50ms');
+  assert.strictEqual(result.finalUrl, 'https://pitchfork.com/slow');
+});
+
+test('verifyRecommendations checks each URL once', async t => {
+  const { fetcher, requested } = await startStub(t);
+  const verifier = createSourceVerifier({ fetcher, logger: quiet });
+
+  const checked = await verifier.verifyRecommendations([
+    { name: 'Spirit of Eden', sourceUrl: 'https://pitchfork.com/article' },
+    { name: 'Laughing Stock', sourceUrl: 'https://pitchfork.com/article' },
+    { name: 'No Source' }
+  ]);
+
+  assert.deepStrictEqual(checked.map(rec => rec.sourceVerification?.status), ['verified', 'verified', undefined]);
+  assert.deepStrictEqual(requested, ['HEAD https://pitchfork.com/article']);
+});
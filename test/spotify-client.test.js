@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_IDS_PER_REQUEST, createSpotifyClient } = require('../lib/spotify-client');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Valid-looking Spotify IDs: 22 letters and digits
+const spotifyId = n => `artist${String(n).padStart(16, '0')}`;
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+// Stand-in for the accounts and Web API hosts, recording what was asked for
+function createFakeSpotify({ rejectTokens = 0 } = {}) {
+  const calls = { tokens: 0, artists: [] };
+  let rejected = 0;
+
+  const fetcher = async (url, options = {}) => {
+    if (url.startsWith('https://accounts.spotify.com/')) {
+      calls.tokens += 1;
+      return json({ access_token: `token-${calls.tokens}`, expires_in: 3600 });
+    }
+
+    const { pathname, searchParams } = new URL(url);
+
+    if (options.headers.Authorization === 'Bearer token-1' && rejected < rejectTokens) {
+      rejected += 1;
+      return json({ error: { message: 'The access token expired' } }, 401);
+    }
+
+    if (pathname === '/v1/artists') {
+      const ids = searchParams.get('ids').split(',');
+      calls.artists.push(ids);
+      // Unknown IDs come back as null, like Spotify does
+      return json({
+        artists: ids.map(id => (id.endsWith('9999') ? null : { id, name: `Artist ${id}`, images: [{ url: `https://i.scdn.co/${id}` }] }))
+      });
+    }
+
+    return json({ error: { message: 'not found' } }, 404);
+  };
+
+  return { fetcher, calls };
+}
+
+function createClient(fake, options = {}) {
+  return createSpotifyClient({ clientId: 'id', clientSecret: 'secret', fetcher: fake.fetcher, logger: quiet, ...options });
+}
+
+test('the token is requested once and reused until shortly before it expires', async () => {
+  const fake = createFakeSpotify();
+  let now = 0;
+  const client = createClient(fake, { now: () => now });
+
+  const concurrent = await Promise.all([client.getAccessToken(), client.getAccessToken(), client.getAccessToken()]);
+
+  assert.deepStrictEqual(concurrent, ['token-1', 'token-1', 'token-1']);
+  assert.strictEqual(fake.calls.tokens, 1);
+
+  // 3600s token, replaced a minute early
+  now = 3540 * 1000 - 1;
+  assert.strictEqual(await client.getAccessToken(), 'token-1');
+
+  now = 3540 * 1000;
+  assert.strictEqual(await client.getAccessToken(), 'token-2');
+  assert.strictEqual(fake.calls.tokens, 2);
+});
+
+test('a rejected token is replaced and the request made again once', async () => {
+  const fake = createFakeSpotify({ rejectTokens: 1 });
+  const client = createClient(fake);
+
+  const artists = await client.getArtists([spotifyId(1)]);
+
+  assert.strictEqual(artists.get(spotifyId(1)).name, `Artist ${spotifyId(1)}`);
+  assert.strictEqual(fake.calls.tokens, 2);
+});
+
+test('missing credentials fail before any request', async () => {
+  const fake = createFakeSpotify();
+  const client = createSpotifyClient({ clientId: '', clientSecret: '', fetcher: fake.fetcher, logger: quiet });
+
+  await assert.rejects(client.getAccessToken(), /Missing Spotify credentials/);
+  assert.strictEqual(fake.calls.tokens, 0);
+});
+
+test('getArtists sends at most 50 unique IDs per request and leaves unknown IDs out', async () => {
+  const fake = createFakeSpotify();
+  const client = createClient(fake);
+  const ids = Array.from({ length: 60 }, (_, i) => spotifyId(i + 1));
+
+  const artists = await client.getArtists([...ids, spotifyId(1), spotifyId(9999)]);
+
+  assert.deepStrictEqual(fake.calls.artists.map(batch => batch.length), [MAX_IDS_PER_REQUEST, 11]);
+  assert.strictEqual(artists.size, 60);
+  assert.deepStrictEqual(artists.get(spotifyId(2)), {
+    id: spotifyId(2),
+    name: `Artist ${spotifyId(2)}`,
+    image: `https://i.scdn.co/${spotifyId(2)}`
+  });
+  assert.strictEqual(artists.has(spotifyId(9999)), false);
+});
+
+test('getArtist calls made together share one request', async () => {
+  const fake = createFakeSpotify();
+  const client = createClient(fake, { batchWindowMs: 5 });
+
+  const [first, again, second] = await Promise.all([
+    client.getArtist(spotifyId(1)),
+    client.getArtist(spotifyId(1)),
+    client.getArtist(spotifyId(2))
+  ]);
+
+  assert.strictEqual(first.id, spotifyId(1));
+  assert.strictEqual(again.id, spotifyId(1));
+  assert.strictEqual(second.id, spotifyId(2));
+  assert.deepStrictEqual(fake.calls.artists, [[spotifyId(1), spotifyId(2)]]);
+});
+
+test('a full batch is sent without waiting for the window', async () => {
+  const fake = createFakeSpotify();
+  const client = createClient(fake, { batchWindowMs: 60000 });
+  const ids = Array.from({ length: MAX_IDS_PER_REQUEST }, (_, i) => spotifyId(i + 1));
+
+  const artists = await Promise.all(ids.map(id => client.getArtist(id)));
+
+  assert.strictEqual(artists.length, MAX_IDS_PER_REQUEST);
+  assert.strictEqual(fake.calls.artists.length, 1);
+});
+
+test('an unknown ID fails only its own getArtist call, a malformed one never joins a batch', async () => {
+  const fake = createFakeSpotify();
+  const client = createClient(fake, { batchWindowMs: 5 });
+
+  const [known, unknown, malformed] = await Promise.allSettled([
+    client.getArtist(spotifyId(1)),
+    client.getArtist(spotifyId(9999)),
+    client.getArtist('not-an-id')
+  ]);
+
+  assert.strictEqual(known.status, 'fulfilled');
+  assert.match(unknown.reason.message, /no artist with ID/);
+  assert.strictEqual(malformed.reason.code, 'INVALID_SPOTIFY_ID');
+  assert.deepStrictEqual(fake.calls.artists, [[spotifyId(1), spotifyId(9999)]]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSpotifyResolver } = require('../lib/spotify-resolver');
+
+const quiet = { warn() {} };
+
+test('backfill attaches entities to cached recommendations and drops the ones Spotify lacks', async () => {
+  const searched = [];
+  const fetcher = async url => {
+    searched.push(url);
+    return {
+      ok: true,
+      json: async () => (url.includes('Lateralus')
+        ? { albums: { items: [{ id: 'a1', name: 'Lateralus', images: [{ url: 'https://i.scdn.co/a1', width: 640 }], artists: [] }] } }
+        : {})
+    };
+  };
+  const resolver = createSpotifyResolver({ getToken: async () => 'token', fetcher, logger: quiet });
+
+  const { recommendations, backfilled, rejected } = await resolver.backfillRecommendations([
+    { name: 'Lateralus', type: 'ALBUM' },
+    { name: 'Not In The Catalog', type: 'artist' },
+    { name: 'Marked Missing Before', type: 'artist', spotify: null },
+    { name: 'Already Resolved', type: 'artist', spotify: { id: 'r1' } }
+  ]);
+
+  assert.strictEqual(backfilled, 1);
+  assert.deepStrictEqual(recommendations.map(rec => rec.name), ['Lateralus', 'Already Resolved']);
+  assert.strictEqual(recommendations[0].type, 'ALBUM');
+  assert.strictEqual(recommendations[0].spotify.id, 'a1');
+  assert.deepStrictEqual(rejected.map(({ index, stage }) => [index, stage]), [[1, 'catalog'], [2, 'catalog']]);
+  assert.strictEqual(searched.length, 3);
+});
+
+test('a failed lookup fails resolution and backfill instead of letting the recommendation through', async () => {
+  const outage = Object.assign(new Error('Spotify is unavailable'), { code: 'UPSTREAM_UNAVAILABLE' });
+  const fetcher = async () => {
+    throw outage;
+  };
+  const resolver = createSpotifyResolver({ getToken: async () => 'token', fetcher, logger: quiet });
+
+  for (const check of [resolver.resolveRecommendations, resolver.backfillRecommendations]) {
+    await assert.rejects(check([{ name: 'Lateralus', type: 'album' }]), error => {
+      assert.strictEqual(error.code, 'CATALOG_UNAVAILABLE');
+      assert.strictEqual(error.cause, outage);
+      return true;
+    });
+  }
+});